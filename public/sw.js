@@ -0,0 +1,38 @@
+/**
+ * sw.js
+ *
+ * Service worker that keeps the app itself (page, scripts, styles, the data
+ * worker) available offline. Every request goes to the network first and a
+ * copy of the response is kept; when the network is gone the copy is used.
+ *
+ * Data files are left alone: the data worker caches parsed tables in
+ * IndexedDB (see src/cache.js) and falls back to them on its own.
+ */
+
+const CACHE_NAME = "temperature-matrix-app";
+
+// Request destinations that make up the app
+const APP_DESTINATIONS = ["document", "script", "style", "image", "font", "worker"];
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+  if (!APP_DESTINATIONS.includes(request.destination)) return;
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(err => caches.match(request).then(cached => cached ?? Promise.reject(err)))
+  );
+});
@@ -6,527 +6,1630 @@
  * This component visualizes daily temperature data from Hong Kong
  * as an interactive matrix, where:
  *   - Each ROW is a month (January → December)
- *   - Each COLUMN is a year (last 10 years in the dataset)
- *   - Each CELL shows the monthly max OR min temperature via background color
+ *   - Each COLUMN is a year (the last 10 years by default; any range can be chosen)
+ *   - Each CELL shows one monthly statistic via background color
  *   - A mini line chart inside every cell shows day-by-day temperature changes
- *   - Clicking the toggle button switches between Max and Min temperature views
- *   - Hovering a cell shows a tooltip with the date and temperature value
- *   - A color legend on the right maps colors to Celsius values
+ *   - The statistic selector picks what colors the cells: the max or min
+ *     temperature (peak or mean), mean, median, diurnal range, standard
+ *     deviation, or a count of days past a threshold
+ *   - Hovering a cell shows a tooltip with the date and the statistic's value
+ *   - A color legend on the right maps colors to the statistic's values
+ *   - A year-range control (selects + brush) picks which years become columns
+ *
+ * Everything is drawn by TemperatureMatrix.jsx (through matrix.js) — the
+ * matrix, the calendar and day-of-year layouts and the side-by-side compare —
+ * and the year brush by YearBrush.jsx; App holds the state and passes props.
  */
 
-import { useEffect, useRef, useState, useCallback } from "react";
+import { useEffect, useRef, useState, useCallback, useMemo } from "react";
 import * as d3 from "d3";
-
-const MONTH_NAMES = [
-  "January", "February", "March",     "April",
-  "May",     "June",     "July",      "August",
-  "September","October", "November",  "December"
+import {
+  DEFAULT_DATA_URL, DATE_FORMATS, getDataUrlParam, guessMapping, isMappingComplete,
+} from "./dataSource.js";
+import { loadSource, prepareData, formatProgress } from "./dataClient.js";
+import { selectYears } from "./aggregate.js";
+import { ISSUE_KINDS, issuesToCsv } from "./dataQuality.js";
+import { downloadText } from "./download.js";
+import { exportSvg, exportPng, printChart } from "./exportImage.js";
+import { cellsToRecords, dailyRecords, downloadRecords } from "./exportData.js";
+import { readUrlState, writeUrlState } from "./urlState.js";
+import { selectedCells, summarizeSelection } from "./selection.js";
+import { buildMarginals } from "./marginals.js";
+import { PROJECTION_YEARS, projectCells, backtestProjection } from "./projection.js";
+import {
+  PLAY_MODES, PLAY_SPEEDS, DEFAULT_PLAY_SPEED, playFrames, revealCells, frameTransition,
+} from "./playback.js";
+import { VISUALLY_HIDDEN, describeCell } from "./accessibility.js";
+import {
+  buildMonthTrends, significanceStars, formatTrend, trendDigits,
+} from "./trend.js";
+import { EVENT_KINDS, formatRun } from "./events.js";
+import {
+  COMPARE_BY, COMPARE_LAYOUTS, DIFFERENCE_COLUMN, getDefaultCompareRanges, formatRange,
+  buildDifferenceCells, buildStationDifferenceCells, findDifference,
+  formatPeriodValue, formatDelta, formatComparison,
+} from "./compare.js";
+import { DEFAULT_STATION, stationSlug } from "./stations.js";
+import { LAYOUTS, isDailyLayout } from "./layouts.js";
+import { chooseRenderer } from "./render.js";
+import MonthDetail from "./MonthDetail.jsx";
+import TemperatureMatrix from "./TemperatureMatrix.jsx";
+import YearBrush from "./YearBrush.jsx";
+import { SVG_NODES_PER_CELL } from "./matrix.js";
+import {
+  DEFAULT_THRESHOLDS, localizeStatistics, localizeDailyValues,
+  statisticTitle, statisticShort, formatStatistic,
+} from "./statistics.js";
+import {
+  TEMPERATURE_UNITS, DEFAULT_UNIT, toUnit, fromUnit, convertStation,
+} from "./units.js";
+import {
+  LOCALES, DEFAULT_LOCALE, formatNumber, monthNames, formatMonthYear,
+} from "./locale.js";
+import {
+  ANOMALY_INTERPOLATOR, getDefaultBaselineRange, buildBaseline, addAnomalies, formatSigned,
+} from "./anomaly.js";
+import {
+  PALETTES, DEFAULT_COLOR_SETTINGS, buildColorScale,
+} from "./colorScale.js";
+
+// How many of the most recent years are shown when the data first loads
+const DEFAULT_YEAR_SPAN = 10;
+
+// Maximum number of issues listed in the data-quality panel
+const QUALITY_LIST_LIMIT = 200;
+
+// Stand-in for the stations, rows and cells before any data has loaded
+const NO_DATA = [];
+
+// Page background, shared by the app and exported images
+const PAGE_BACKGROUND = "#f7f4ef";
+
+// Line key for the mini charts, shown under the matrix and in exports
+const MINI_CHART_KEY = [
+  { label: "Daily Max", color: "rgba(80,180,80,0.9)"   },
+  { label: "Daily Min", color: "rgba(200,220,255,0.9)" },
 ];
 
-// Outer spacing around the matrix so axes and legend have room to breathe
-const MARGIN = { top: 50, right: 130, bottom: 20, left: 90 };
+// Pixel densities offered for PNG export
+const PNG_SCALES = [1, 2, 3, 4];
 
-// Padding inside each mini chart so lines don't touch cell borders
-const MINI_CHART_PADDING = 4;
+// View changes closer together than this (ms) share one browser history entry
+const URL_HISTORY_COALESCE_MS = 1000;
 
-// The temperature range the color scale covers (°C)
-const TEMP_MIN_C = 0;
-const TEMP_MAX_C = 40;
+// Spells listed in a cell's tooltip before the rest are summarized
+const TOOLTIP_SPELL_LIMIT = 3;
 
-// D3 sequential color scale: cold temperatures → blue, hot temperatures → red
-// We invert the built-in RdYlBu palette so that:
-//   low values  → blue  (cool)
-//   mid values  → yellow/orange
-//   high values → dark red (hot)
-const COLOR_SCALE = d3.scaleSequential()
-  .domain([TEMP_MIN_C, TEMP_MAX_C])
-  .interpolator(t => d3.interpolateRdYlBu(1 - t));
+// Characters that would be read as markup in the tooltip's HTML
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
 
 // ─────────────────────────────────────────────────────────────────────────────
 // DATA HELPERS
-// These pure functions handle all CSV parsing and data transformation.
-// Keeping them separate from the drawing code makes both easier to maintain.
+// Parsing and aggregation live in aggregate.js and run in the data worker;
+// these pure functions pick the default view for a loaded dataset.
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * parseRows — converts raw CSV strings into typed JavaScript objects.
- *
- * Each row in the CSV becomes an object with:
- *   { date, year, month, day, max, min }
- *
- * Rows with missing or non-numeric temperature values are filtered out
- * to prevent NaN values from breaking the color scale or line charts.
+ * getDefaultYearRange — the initial year window: the most recent
+ * DEFAULT_YEAR_SPAN years, clamped to the start of the dataset.
  *
- * @param {object[]} raw - raw rows from d3.csv()
- * @returns {object[]} cleaned array of daily temperature records
+ * @param {number[]} extent - [firstYear, lastYear] from getYearExtent()
+ * @returns {number[]} [startYear, endYear]
  */
-function parseRows(raw) {
-  const parseDate = d3.timeParse("%Y-%m-%d");
+function getDefaultYearRange([firstYear, lastYear]) {
+  return [Math.max(firstYear, lastYear - DEFAULT_YEAR_SPAN + 1), lastYear];
+}
 
-  return raw
-    .map(d => {
-      const date = parseDate(d.date);
-      return {
-        date,
-        year:  date.getFullYear(),
-        month: date.getMonth() + 1, // convert 0-indexed JS month to 1–12
-        day:   date.getDate(),
-        max:   +d.max_temperature,
-        min:   +d.min_temperature,
-      };
-    })
-    .filter(d => !isNaN(d.max) && !isNaN(d.min)); // drop rows with bad data
+/**
+ * getDefaultView — the default year window, anomaly baseline, compare
+ * ranges and station for a dataset; view settings equal to these are left
+ * out of the URL.
+ *
+ * @param {number[]} extent   - [firstYear, lastYear] from getYearExtent()
+ * @param {string[]} stations - names of the dataset's stations
+ * @returns {{ yearRange: number[], baselineRange: number[], compareRanges: object, station: string }}
+ */
+function getDefaultView(extent, stations) {
+  return {
+    yearRange:     getDefaultYearRange(extent),
+    baselineRange: getDefaultBaselineRange(extent),
+    compareRanges: getDefaultCompareRanges(extent),
+    station:       stations[0],
+  };
 }
 
 /**
- * buildGrouped — filters to the last 10 years and groups daily records
- * into a nested Map structure: year → month → day[].
+ * escapeHtml — text made safe to put into the tooltip's HTML. Station names
+ * come from the loaded file, which anyone can supply through ?data=.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
 
+// ─────────────────────────────────────────────────────────────────────────────
+// REACT COMPONENTS
+// App manages state (mode, data, loading), wires up D3, and returns JSX;
+// the smaller panels it opens are defined just above it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * ColumnMappingPanel — lets the user say which columns of a loaded table
+ * hold the date, daily max and daily min, and how the dates are written,
+ * plus optionally which one names the station of each row.
  *
- * @param {object[]} rows - output of parseRows()
- * @returns {{ grouped, years, maxYear }}
+ * Shown automatically when a file's columns can't be guessed, and on demand
+ * from the "Columns…" button. Edits stay local until "Apply" is pressed.
+ *
+ * @param {object}   props
+ * @param {object}   props.table    - table from dataSource.js
+ * @param {object}   props.mapping  - initial { date, max, min, dateFormat, station }
+ * @param {string}   props.error    - message from the last failed apply, if any
+ * @param {Function} props.onApply  - called with the edited mapping
+ * @param {Function} props.onCancel - closes the panel without changes
  */
-function buildGrouped(rows) {
-  const maxYear  = d3.max(rows, d => d.year);
+function ColumnMappingPanel({ table, mapping, error, onApply, onCancel }) {
+  const [draft, setDraft] = useState(mapping);
+
+  const update = (field, value) => setDraft(current => ({ ...current, [field]: value || null }));
+
+  // One <select> per mapped field, listing every column of the table
+  const columnSelect = (field, label, blank = "— choose —") => (
+    <label style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+      {label}
+      <select
+        value={draft[field] ?? ""}
+        onChange={e => update(field, e.target.value)}
+        style={{ fontFamily: "monospace", minWidth: 180 }}
+      >
+        <option value="">{blank}</option>
+        {table.columns.map(c => <option key={c} value={c}>{c}</option>)}
+      </select>
+    </label>
+  );
+
+  // First record, shown so the user can check values against their choices
+  const sample   = table.records[0];
+  const isPreset = DATE_FORMATS.some(f => f.value === draft.dateFormat);
+
+  return (
+    <div
+      style={{
+        position:      "fixed",
+        top:           "50%",
+        left:          "50%",
+        transform:     "translate(-50%, -50%)",
+        background:    "#fff",
+        border:        "1px solid #ccc",
+        borderRadius:  6,
+        padding:       "16px 20px",
+        boxShadow:     "0 4px 20px rgba(0,0,0,0.2)",
+        fontSize:      12,
+        color:         "#222",
+        zIndex:        1000,
+        display:       "flex",
+        flexDirection: "column",
+        gap:           8,
+        minWidth:      360,
+      }}
+    >
+      <strong style={{ fontSize: 14 }}>Map columns — {table.label}</strong>
 
-  // Keep only rows within the 10-year window
-  const filtered = rows.filter(d => d.year > maxYear - 10);
+      {columnSelect("date", "Date column")}
 
-  // d3.group creates a nested Map: Map<year, Map<month, day[]>>
-  const grouped = d3.group(filtered, d => d.year, d => d.month);
+      <label style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+        Date format
+        <span style={{ display: "flex", gap: 4 }}>
+          <select
+            value={isPreset ? draft.dateFormat : "custom"}
+            onChange={e => update("dateFormat", e.target.value === "custom" ? "" : e.target.value)}
+            style={{ fontFamily: "monospace" }}
+          >
+            {DATE_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            <option value="custom">custom…</option>
+          </select>
+          {!isPreset && (
+            <input
+              value={draft.dateFormat ?? ""}
+              onChange={e => update("dateFormat", e.target.value)}
+              placeholder="%Y-%m-%d"
+              title="d3-time-format specifier"
+              style={{ fontFamily: "monospace", width: 90 }}
+            />
+          )}
+        </span>
+      </label>
+
+      {columnSelect("max", "Daily max column")}
+      {columnSelect("min", "Daily min column")}
+      {columnSelect("station", "Station column", "— none (one station) —")}
+
+      <div style={{ color: "#666" }}>
+        First row:{" "}
+        {["date", "max", "min", ...(draft.station ? ["station"] : [])]
+          .map(f => draft[f] ? `${draft[f]} = ${sample[draft[f]] ?? ""}` : `${f} = ?`)
+          .join(", ")}
+      </div>
 
-  // Sorted year list drives the x-axis column order
-  const years = [...new Set(filtered.map(d => d.year))].sort((a, b) => a - b);
+      {error && <div style={{ color: "red" }}>{error}</div>}
 
-  return { grouped, years, maxYear };
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 4 }}>
+        <button onClick={onCancel} style={{ fontFamily: "monospace", cursor: "pointer" }}>
+          Cancel
+        </button>
+        <button
+          onClick={() => onApply(draft)}
+          disabled={!isMappingComplete(draft)}
+          style={{ fontFamily: "monospace", cursor: "pointer" }}
+        >
+          Apply
+        </button>
+      </div>
+    </div>
+  );
 }
 
 /**
- * buildCells — flattens the nested Map into a plain array of cell objects,
- * one per (year, month) pair. Each cell pre-computes the statistics needed
- * for coloring and tooltips so the drawing functions stay simple.
- *
- * Each cell contains:
- *   { year, month, days, absMax, absMin }
+ * QualityPanel — summarizes the data-quality report and lists its issues.
  *
- *   absMax — the single hottest day in that month (used for "Max" mode color)
- *   absMin — the single coldest day in that month (used for "Min" mode color)
+ * The list is capped at QUALITY_LIST_LIMIT entries to keep the DOM small;
+ * the exported CSV always contains every issue.
  *
- * @param {Map}      grouped - nested Map from buildGrouped()
- * @param {number[]} years   - sorted array of years
- * @returns {object[]} flat array of cell data objects
+ * @param {object}   props
+ * @param {object}   props.report   - output of buildQualityReport()
+ * @param {number}   props.rowCount - number of rows that made it into the matrix
+ * @param {Function} props.onExport - downloads the full issue list
+ * @param {Function} props.onClose  - hides the panel
  */
-function buildCells(grouped, years) {
-  const cells = [];
-
-  years.forEach(year => {
-    const monthMap = grouped.get(year);
-    if (!monthMap) return;
-
-    for (let month = 1; month <= 12; month++) {
-      const days = monthMap.get(month) || [];
-
-      cells.push({
-        year,
-        month,
-        days,
-        // absMax: the peak daily maximum in this month → drives "Max" cell color
-        absMax: days.length ? d3.max(days, d => d.max) : null,
-        // absMin: the lowest daily minimum in this month → drives "Min" cell color
-        absMin: days.length ? d3.min(days, d => d.min) : null,
-      });
-    }
-  });
+function QualityPanel({ report, rowCount, onExport, onClose }) {
+  const formatDate = d3.timeFormat("%Y-%m-%d");
+  const shown      = report.issues.slice(0, QUALITY_LIST_LIMIT);
 
-  return cells;
-}
+  return (
+    <div
+      style={{
+        position:      "fixed",
+        top:           16,
+        right:         16,
+        bottom:        16,
+        width:         380,
+        background:    "#fff",
+        border:        "1px solid #ccc",
+        borderRadius:  6,
+        padding:       "14px 16px",
+        boxShadow:     "0 4px 20px rgba(0,0,0,0.2)",
+        fontSize:      12,
+        color:         "#222",
+        zIndex:        1000,
+        display:       "flex",
+        flexDirection: "column",
+        gap:           8,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong style={{ fontSize: 14 }}>Data quality</strong>
+        <button onClick={onClose} style={{ fontFamily: "monospace", cursor: "pointer" }}>
+          Close
+        </button>
+      </div>
 
-// ─────────────────────────────────────────────────────────────────────────────
-// DRAWING FUNCTIONS
-// Each function has exactly one job. This makes it easy to change one aspect
-// (e.g. legend style) without touching unrelated code.
-// ─────────────────────────────────────────────────────────────────────────────
+      <div style={{ color: "#666" }}>
+        {rowCount} daily rows, {formatDate(report.span[0])} → {formatDate(report.span[1])}
+      </div>
+
+      {/* One line per issue kind, including kinds with nothing to report */}
+      <table style={{ borderCollapse: "collapse" }}>
+        <tbody>
+          {Object.entries(ISSUE_KINDS).map(([kind, label]) => (
+            <tr key={kind}>
+              <td style={{ padding: "1px 0" }}>{label}</td>
+              <td style={{ textAlign: "right", color: report.counts[kind] ? "#c0392b" : "#27ae60" }}>
+                {report.counts[kind]}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        onClick={onExport}
+        disabled={!report.issues.length}
+        style={{ fontFamily: "monospace", cursor: "pointer", alignSelf: "flex-start" }}
+      >
+        Export issues (CSV)
+      </button>
+
+      <div style={{ flex: 1, minHeight: 0, overflowY: "auto", borderTop: "1px solid #eee" }}>
+        {!report.issues.length && <p style={{ color: "#27ae60", marginTop: 8 }}>No issues found.</p>}
+        {shown.map((issue, i) => (
+          <div key={i} style={{ padding: "4px 0", borderBottom: "1px solid #f2f2f2" }}>
+            <strong>{issue.date || "?"}</strong>{" "}
+            <span style={{ color: "#888" }}>{ISSUE_KINDS[issue.kind]}{issue.where && `, ${issue.where}`}</span>
+            <div>{issue.detail}</div>
+          </div>
+        ))}
+        {report.issues.length > shown.length && (
+          <p style={{ color: "#888", marginTop: 8 }}>
+            …and {report.issues.length - shown.length} more (export for the full list)
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
 
 /**
- * drawAxes — renders the year labels across the top and month labels
- * down the left side of the matrix.
+ * ColorScalePanel — settings for the scale that colors the cells:
+ * the value range, continuous vs. binned colors, and the palette.
+ *
+ * Changes apply immediately so the matrix can be watched while tuning.
  *
- * @param {d3.Selection} svg     - the root SVG element
- * @param {number[]}     years   - list of years for column headers
- * @param {d3.ScaleBand} xScale  - band scale mapping year → x position
- * @param {d3.ScaleBand} yScale  - band scale mapping month number → y position
- * @param {object}       margin  - { top, right, bottom, left } in px
+ * @param {object}   props
+ * @param {object}   props.settings - current color settings (see colorScale.js)
+ * @param {Function} props.onChange - called with the updated settings
+ * @param {Function} props.onClose  - hides the panel
  */
-function drawAxes(svg, years, xScale, yScale, margin) {
-  // ── Year labels along the top edge ──
-  svg.selectAll(".year-label")
-    .data(years)
-    .join("text")
-    .attr("class", "year-label")
-    .attr("x", d => xScale(d) + xScale.bandwidth() / 2) // center over each column
-    .attr("y", margin.top - 10)
-    .attr("text-anchor", "middle")
-    .attr("font-size", 12)
-    .attr("font-family", "monospace")
-    .attr("fill", "#333")
-    .text(d => d);
-
-  // ── Month labels along the left edge ──
-  svg.selectAll(".month-label")
-    .data(d3.range(1, 13)) // [1, 2, ..., 12]
-    .join("text")
-    .attr("class", "month-label")
-    .attr("x", margin.left - 8) // a little to the left of the first column
-    .attr("y", d => yScale(d) + yScale.bandwidth() / 2) // vertically centered in each row
-    .attr("text-anchor", "end")
-    .attr("dominant-baseline", "middle")
-    .attr("font-size", 11)
-    .attr("font-family", "monospace")
-    .attr("fill", "#333")
-    .text(d => MONTH_NAMES[d - 1]); // convert 1-based month to name
+function ColorScalePanel({ settings, onChange, onClose }) {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  const rowStyle   = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 };
+  const inputStyle = { fontFamily: "monospace", width: 64 };
+
+  return (
+    <div
+      style={{
+        position:      "fixed",
+        top:           64,
+        right:         16,
+        width:         320,
+        background:    "#fff",
+        border:        "1px solid #ccc",
+        borderRadius:  6,
+        padding:       "14px 16px",
+        boxShadow:     "0 4px 20px rgba(0,0,0,0.2)",
+        fontSize:      12,
+        color:         "#222",
+        zIndex:        1000,
+        display:       "flex",
+        flexDirection: "column",
+        gap:           8,
+      }}
+    >
+      <div style={rowStyle}>
+        <strong style={{ fontSize: 14 }}>Color scale</strong>
+        <button onClick={onClose} style={{ fontFamily: "monospace", cursor: "pointer" }}>
+          Close
+        </button>
+      </div>
+
+      {/* ── Value range ── */}
+      <label style={rowStyle}>
+        Range
+        <select
+          value={settings.domainMode}
+          onChange={e => update("domainMode", e.target.value)}
+          style={{ fontFamily: "monospace" }}
+        >
+          <option value="preset">Preset for statistic</option>
+          <option value="auto">Auto (from data)</option>
+          <option value="manual">Manual</option>
+        </select>
+      </label>
+      {settings.domainMode === "manual" && (
+        <div style={rowStyle}>
+          <span>from / to</span>
+          <span style={{ display: "flex", gap: 4 }}>
+            <input
+              type="number"
+              value={settings.manualMin}
+              onChange={e => update("manualMin", e.target.value)}
+              style={inputStyle}
+            />
+            <input
+              type="number"
+              value={settings.manualMax}
+              onChange={e => update("manualMax", e.target.value)}
+              style={inputStyle}
+            />
+          </span>
+        </div>
+      )}
+
+      {/* ── Continuous or binned colors ── */}
+      <label style={rowStyle}>
+        Colors
+        <select
+          value={settings.scaleType}
+          onChange={e => update("scaleType", e.target.value)}
+          style={{ fontFamily: "monospace" }}
+        >
+          <option value="continuous">Continuous</option>
+          <option value="quantize">Equal bins</option>
+          <option value="threshold">Custom breaks</option>
+        </select>
+      </label>
+      {settings.scaleType === "quantize" && (
+        <label style={rowStyle}>
+          Number of bins
+          <input
+            type="number"
+            min={2}
+            max={20}
+            value={settings.bins}
+            onChange={e => update("bins", +e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+      )}
+      {settings.scaleType === "threshold" && (
+        <label style={rowStyle}>
+          Breaks
+          <input
+            value={settings.breaks}
+            onChange={e => update("breaks", e.target.value)}
+            placeholder="10, 15, 20, 25, 30"
+            title="Comma-separated values where one color bin ends and the next begins"
+            style={{ ...inputStyle, width: 160 }}
+          />
+        </label>
+      )}
+
+      {/* ── Palette ── */}
+      <label style={rowStyle}>
+        Palette
+        <select
+          value={settings.palette}
+          onChange={e => update("palette", e.target.value)}
+          style={{ fontFamily: "monospace", maxWidth: 200 }}
+        >
+          {Object.entries(PALETTES).map(([key, p]) => (
+            <option key={key} value={key}>{p.label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.reverse}
+          onChange={e => update("reverse", e.target.checked)}
+        />
+        {" "}Reverse palette
+      </label>
+
+      <button
+        onClick={() => onChange(DEFAULT_COLOR_SETTINGS)}
+        style={{ fontFamily: "monospace", cursor: "pointer", alignSelf: "flex-start" }}
+      >
+        Reset
+      </button>
+    </div>
+  );
 }
 
 /**
- * drawLegend — draws a vertical color gradient bar on the right side
- * of the chart, with tick marks showing the temperature values it represents.
+ * ExportPanel — saves the matrix as a standalone SVG, a PNG at a chosen
+ * pixel density, or sends it to a print window (for PDF); and downloads
+ * the cell table or the daily rows of chosen months as CSV/JSON.
  *
- * The legend helps readers decode what each cell color means in °C.
+ * Data exports cover exactly the cells on screen, i.e. the current year
+ * window, with the active statistic in the `value` column.
  *
- * @param {d3.Selection} svg         - the root SVG element
- * @param {number}       totalWidth  - full SVG width in px
- * @param {number}       totalHeight - full SVG height in px
- * @param {object}       margin      - { top, right, bottom, left } in px
+ * @param {object}   props
+ * @param {object}   props.svgRef    - ref to the live matrix SVG
+ * @param {object}   props.canvasRef - ref to the canvas painted behind it, or null when the SVG holds everything
+ * @param {object}   props.options   - { title, keyItems, background } for exportImage.js
+ * @param {string}   props.filename - file name without extension
+ * @param {object}   props.data     - { cells, stat, thresholds, meta } for exportData.js
+ * @param {Function} props.onClose  - hides the panel
  */
-function drawLegend(svg, totalWidth, totalHeight, margin) {
-  const legendX  = totalWidth - margin.right + 20; // position just inside right margin
-  const legendY  = margin.top + 20;
-  const barWidth = 18;   // width of the colored rectangle
-  const barHeight = 220; // height of the colored rectangle
-
-  // Scale that maps temperature values to pixel positions along the bar
-  const legendScale = d3.scaleLinear()
-    .domain([TEMP_MIN_C, TEMP_MAX_C])
-    .range([barHeight, 0]); // top of bar = hot, bottom = cold
-
-  const legendAxis = d3.axisRight(legendScale)
-    .tickValues([0, 10, 20, 30, 40])
-    .tickFormat(d => `${d}`);
-
-  // ── Define the vertical gradient in the SVG <defs> section ──
-  const defs = svg.append("defs");
-  const gradient = defs.append("linearGradient")
-    .attr("id", "legend-gradient")
-    .attr("x1", "0%").attr("y1", "100%") // gradient runs bottom → top
-    .attr("x2", "0%").attr("y2", "0%");
-
-  // Add a color stop every 5°C so the gradient closely matches the cell colors
-  d3.range(TEMP_MIN_C, TEMP_MAX_C + 1, 5).forEach(temp => {
-    gradient.append("stop")
-      .attr("offset", `${((temp - TEMP_MIN_C) / (TEMP_MAX_C - TEMP_MIN_C)) * 100}%`)
-      .attr("stop-color", COLOR_SCALE(temp));
+function ExportPanel({ svgRef, canvasRef, options, filename, data, onClose }) {
+  const [scale,  setScale]  = useState(2);
+  const [format, setFormat] = useState("csv");
+  const [error,  setError]  = useState(null);
+
+  // Months whose daily rows are exported (all twelve by default)
+  const [months, setMonths] = useState(() => new Set(d3.range(1, 13)));
+
+  const toggleMonth = month => setMonths(current => {
+    const next = new Set(current);
+    if (next.has(month)) next.delete(month); else next.add(month);
+    return next;
   });
 
-  // ── Group to hold all legend elements, positioned at legendX, legendY ──
-  const legendGroup = svg.append("g")
-    .attr("class", "legend")
-    .attr("transform", `translate(${legendX}, ${legendY})`);
-
-  // The colored gradient bar itself
-  legendGroup.append("rect")
-    .attr("width", barWidth)
-    .attr("height", barHeight)
-    .style("fill", "url(#legend-gradient)");
-
-  // Tick marks and numbers to the right of the bar
-  legendGroup.append("g")
-    .attr("transform", `translate(${barWidth}, 0)`)
-    .call(legendAxis)
-    .call(g => {
-      g.select(".domain").remove(); // remove the vertical axis line
-      g.selectAll("text")
-        .attr("font-size", 10)
-        .attr("font-family", "monospace");
-    });
+  // Runs one export, reporting failures inside the panel
+  const run = action => {
+    setError(null);
+    if (!svgRef.current) return;
+    Promise.resolve()
+      .then(() => action(svgRef.current, { ...options, canvas: canvasRef?.current ?? null }))
+      .catch(err => setError(err.message));
+  };
+
+  const buttonStyle = { fontFamily: "monospace", fontSize: 12, cursor: "pointer" };
+
+  return (
+    <div
+      style={{
+        position:      "fixed",
+        top:           64,
+        right:         16,
+        width:         260,
+        background:    "#fff",
+        border:        "1px solid #ccc",
+        borderRadius:  6,
+        padding:       "14px 16px",
+        boxShadow:     "0 4px 20px rgba(0,0,0,0.2)",
+        fontSize:      12,
+        color:         "#222",
+        zIndex:        1000,
+        display:       "flex",
+        flexDirection: "column",
+        gap:           8,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong style={{ fontSize: 14 }}>Export</strong>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+
+      <strong>Image</strong>
+
+      <button onClick={() => run((svg, image) => exportSvg(svg, image, `${filename}.svg`))} style={buttonStyle}>
+        Download SVG
+      </button>
 
-  // Label at the cool (top) end of the bar
-  legendGroup.append("text")
-    .attr("x", barWidth / 2).attr("y", -14)
-    .attr("text-anchor", "middle")
-    .attr("font-size", 10)
-    .attr("font-family", "monospace")
-    .attr("fill", COLOR_SCALE(TEMP_MIN_C))
-    .text(`${TEMP_MIN_C} Celsius`);
-
-  // Label at the hot (bottom) end of the bar
-  legendGroup.append("text")
-    .attr("x", barWidth / 2).attr("y", barHeight + 16)
-    .attr("text-anchor", "middle")
-    .attr("font-size", 10)
-    .attr("font-family", "monospace")
-    .attr("fill", COLOR_SCALE(TEMP_MAX_C))
-    .text(`${TEMP_MAX_C} Celsius`);
+      <div style={{ display: "flex", gap: 6 }}>
+        <button
+          onClick={() => run((svg, image) => exportPng(svg, { ...image, scale }, `${filename}@${scale}x.png`))}
+          style={{ ...buttonStyle, flex: 1 }}
+        >
+          Download PNG
+        </button>
+        <select
+          value={scale}
+          onChange={e => setScale(+e.target.value)}
+          title="Pixel density"
+          style={{ fontFamily: "monospace" }}
+        >
+          {PNG_SCALES.map(s => <option key={s} value={s}>{s}×</option>)}
+        </select>
+      </div>
+
+      <button onClick={() => run((svg, image) => printChart(svg, image))} style={buttonStyle}>
+        Print / Save as PDF…
+      </button>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 6 }}>
+        <strong>Data</strong>
+        <select value={format} onChange={e => setFormat(e.target.value)} style={{ fontFamily: "monospace" }}>
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+      </div>
+
+      <button
+        onClick={() => run(() => downloadRecords(
+          cellsToRecords(data.cells, data.stat, data.thresholds), format, `${filename}-cells`, data.meta
+        ))}
+        style={buttonStyle}
+      >
+        Download cell table
+      </button>
+
+      {/* Months whose daily rows to export, within the current year window */}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 2 }}>
+        {d3.range(1, 13).map(month => (
+          <label key={month}>
+            <input type="checkbox" checked={months.has(month)} onChange={() => toggleMonth(month)} />
+            {monthNames(data.stat.locale, "short")[month - 1]}
+          </label>
+        ))}
+      </div>
+      <button
+        onClick={() => run(() => downloadRecords(
+          dailyRecords(data.cells.filter(d => months.has(d.month))), format, `${filename}-daily`, data.meta
+        ))}
+        disabled={!months.size}
+        style={buttonStyle}
+      >
+        Download daily rows
+      </button>
+
+      {error && <div style={{ color: "red" }}>{error}</div>}
+    </div>
+  );
 }
 
 /**
- * drawMiniChart — draws two small line charts inside a single matrix cell:
- *   - Green line  → daily maximum temperature
- *   - Light blue  → daily minimum temperature
- *
- * The x-axis maps to each day of the month (1 → last day).
- * The y-axis maps to the fixed temperature range (TEMP_MIN_C → TEMP_MAX_C),
- * keeping y scales consistent across all cells for fair visual comparison.
+ * DataTable — the matrix as an HTML table (months × years), the text
+ * alternative to the chart. It stays in the page for screen readers
+ * while hidden, and **Table** shows it on screen.
  *
- * @param {d3.Selection} g        - the <g> element for this cell
- * @param {object}       cellData - contains the days[] array for this month
- * @param {number}       bw       - cell width in px (from xScale.bandwidth())
- * @param {number}       bh       - cell height in px (from yScale.bandwidth())
+ * @param {object}   props
+ * @param {object[]} props.cells    - cells as drawn (possibly with anomalies)
+ * @param {number[]} props.years    - the shown years, ascending
+ * @param {object}   props.stat     - the active entry of localizeStatistics()
+ * @param {string}   props.caption  - what the values are
+ * @param {Function} props.describe - cell → full text description
+ * @param {Map|null} props.trends   - month → trend, adds a trend column when set
+ * @param {Function} props.columnLabel - year → column header (default: the year)
+ * @param {Function} props.formatCell  - cell → table text, replacing the default
+ * @param {boolean}  props.visible  - shown on screen, or only to assistive tech
+ * @param {Function} props.onClose  - hides the table again
  */
-function drawMiniChart(g, cellData, bw, bh) {
-  // Skip cells with no data (e.g. future months or missing data at end of dataset)
-  if (!cellData.days.length) return;
-
-  const p = MINI_CHART_PADDING;
-
-  // X: maps day index (1-based) to horizontal pixel position within the cell
-  const xScale = d3.scaleLinear()
-    .domain([1, cellData.days.length])
-    .range([p, bw - p]);
-
-  // Y: maps temperature value to vertical pixel position
-  // Range is inverted so that higher temperatures appear higher in the cell
-  const yScale = d3.scaleLinear()
-    .domain([TEMP_MIN_C, TEMP_MAX_C])
-    .range([bh - p, p]);
-
-  // Line generator for the daily maximum temperatures (green)
-  const maxLine = d3.line()
-    .x((d, i) => xScale(i + 1))
-    .y(d => yScale(d.max))
-    .curve(d3.curveCatmullRom); // smooth curve between data points
-
-  // Line generator for the daily minimum temperatures (light blue)
-  const minLine = d3.line()
-    .x((d, i) => xScale(i + 1))
-    .y(d => yScale(d.min))
-    .curve(d3.curveCatmullRom);
-
-  // Draw the max line in green
-  g.append("path")
-    .datum(cellData.days)
-    .attr("d", maxLine)
-    .attr("stroke", "rgba(80,180,80,0.85)")
-    .attr("stroke-width", 1.2)
-    .attr("fill", "none");
-
-  // Draw the min line in light blue/white
-  g.append("path")
-    .datum(cellData.days)
-    .attr("d", minLine)
-    .attr("stroke", "rgba(200,220,255,0.85)")
-    .attr("stroke-width", 1.2)
-    .attr("fill", "none");
+function DataTable({
+  cells, years, stat, caption, describe, trends, columnLabel = year => year, formatCell,
+  visible, onClose,
+}) {
+  const cellIndex = new Map(cells.map(d => [`${d.year}-${d.month}`, d]));
+  const digits    = stat.unit === "days" ? 0 : 1;
+
+  // Value as shown in the table: the statistic, plus the anomaly when there is one
+  const cellText = formatCell ?? (d => {
+    const value = formatStatistic(stat, d[stat.field]);
+    if (d.baseline === undefined || d.anomaly === null) return value;
+    return `${value} (${formatSigned(d.anomaly, digits, stat.locale)})`;
+  });
+
+  const headerStyle = { padding: "3px 8px", background: "#f0ede8", textAlign: "right" };
+  const valueStyle  = { padding: "3px 8px", textAlign: "right", whiteSpace: "nowrap" };
+
+  return (
+    <div
+      style={visible ? {
+        position:     "fixed",
+        top:          64,
+        left:         16,
+        right:        16,
+        maxHeight:    "calc(100vh - 96px)",
+        overflow:     "auto",
+        background:   "#fff",
+        border:       "1px solid #ccc",
+        borderRadius: 6,
+        padding:      "14px 16px",
+        boxShadow:    "0 4px 20px rgba(0,0,0,0.2)",
+        fontSize:     12,
+        color:        "#222",
+        zIndex:       1000,
+      } : VISUALLY_HIDDEN}
+    >
+      {visible && (
+        <div style={{ display: "flex", justifyContent: "flex-end", marginBottom: 8 }}>
+          <button onClick={onClose} style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}>
+            Close
+          </button>
+        </div>
+      )}
+      <table style={{ borderCollapse: "collapse", fontFamily: "monospace", fontSize: 12 }}>
+        <caption style={{ textAlign: "left", fontWeight: "bold", fontSize: 14, marginBottom: 8 }}>
+          {caption}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col" style={{ ...headerStyle, textAlign: "left" }}>Month</th>
+            {years.map(year => <th key={year} scope="col" style={headerStyle}>{columnLabel(year)}</th>)}
+            {trends && <th scope="col" style={headerStyle}>Trend ({stat.unit}/decade)</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {monthNames(stat.locale).map((name, i) => (
+            <tr key={name} style={{ borderTop: "1px solid #eee" }}>
+              <th scope="row" style={{ ...headerStyle, textAlign: "left" }}>{name}</th>
+              {years.map(year => {
+                const d = cellIndex.get(`${year}-${i + 1}`);
+                return (
+                  <td key={year} title={d ? describe(d) : undefined} style={valueStyle}>
+                    {d ? cellText(d) : "—"}
+                  </td>
+                );
+              })}
+              {trends && (
+                <td
+                  title={trends.has(i + 1) ? formatTrend(trends.get(i + 1), stat.unit, stat.locale) : undefined}
+                  style={valueStyle}
+                >
+                  {trends.has(i + 1)
+                    ? formatSigned(trends.get(i + 1).slope, trendDigits(stat.unit), stat.locale) +
+                      significanceStars(trends.get(i + 1).pValue)
+                    : "—"}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
 }
 
 /**
- * drawMatrix — the main orchestration function that builds the entire
- * matrix visualization inside the given SVG element.
- *
- * It clears any previous render, computes scales, then calls the
- * specialized draw functions for axes, legend, cell backgrounds,
- * mini charts, and hover overlays.
+ * SelectionPanel — aggregate figures for the cells selected in the matrix
+ * (ctrl/⌘-click, shift-click or a drag across the grid), for the active
+ * statistic: its mean, max and min over the months, the number of days,
+ * and the most extreme day with its date. Non-modal, so the selection can
+ * be changed while it is open.
  *
- * @param {object} params
- * @param {d3.Selection} params.svg         - root SVG element
- * @param {object[]}     params.cells       - flat array from buildCells()
- * @param {number[]}     params.years       - sorted year list
- * @param {string}       params.mode        - "max" or "min"
- * @param {Function}     params.onCellHover - mousemove handler for tooltip
- * @param {Function}     params.onCellLeave - mouseleave handler for tooltip
- * @param {number}       params.totalWidth  - SVG width in px
- * @param {number}       params.totalHeight - SVG height in px
+ * @param {object}   props
+ * @param {object[]} props.cells     - the selected cells of the year window
+ * @param {number}   props.outside   - selected months outside the year window
+ * @param {object}   props.stat      - the active entry of localizeStatistics()
+ * @param {object}   props.thresholds - threshold values in °C, plus minRun (days)
+ * @param {object}   props.daily     - the entry of localizeDailyValues() for the statistic
+ * @param {Function} props.onClear   - empties the selection
  */
-function drawMatrix({ svg, cells, years, mode, onCellHover, onCellLeave, totalWidth, totalHeight }) {
-  // Clear previous render before drawing fresh (avoids element duplication)
-  svg.selectAll("*").remove();
-
-  // Usable drawing area after subtracting margins for axes and legend
-  const chartWidth  = totalWidth  - MARGIN.left - MARGIN.right;
-  const chartHeight = totalHeight - MARGIN.top  - MARGIN.bottom;
-
-  // X scale: each year gets an equal-width column band
-  const xScale = d3.scaleBand()
-    .domain(years)
-    .range([MARGIN.left, MARGIN.left + chartWidth])
-    .padding(0.04); // small gap between columns
-
-  // Y scale: each month (1–12) gets an equal-height row band
-  const yScale = d3.scaleBand()
-    .domain(d3.range(1, 13))
-    .range([MARGIN.top, MARGIN.top + chartHeight])
-    .padding(0.04); // small gap between rows
-
-  // Draw supporting elements first (behind cells)
-  drawAxes(svg, years, xScale, yScale, MARGIN);
-  drawLegend(svg, totalWidth, totalHeight, MARGIN);
-
-  // ── Build one <g> group per cell (year × month pair) ──
-  // Only cells that have actual data are rendered; empty months are skipped.
-  const cellGroups = svg.selectAll(".cell")
-    .data(cells.filter(d => d.days.length > 0), d => `${d.year}-${d.month}`)
-    .join("g")
-    .attr("class", "cell")
-    .attr("transform", d => `translate(${xScale(d.year)}, ${yScale(d.month)})`);
-
-  const cellWidth  = xScale.bandwidth();
-  const cellHeight = yScale.bandwidth();
-
-  // ── Background rectangle ──
-  // Color encodes the monthly peak max OR coldest min depending on current mode.
-  // absMax / absMin represent the single extreme day, matching the reference tooltip.
-  cellGroups.append("rect")
-    .attr("width",  cellWidth)
-    .attr("height", cellHeight)
-    .attr("rx", 2) // slightly rounded corners
-    .attr("fill", d => {
-      const temp = mode === "max" ? d.absMax : d.absMin;
-      return temp !== null ? COLOR_SCALE(temp) : "#eee"; // grey for missing data
-    })
-    .attr("stroke", "rgba(255,255,255,0.3)")
-    .attr("stroke-width", 0.5);
-
-  // ── Mini line chart inside each cell ──
-  cellGroups.each(function(d) {
-    drawMiniChart(d3.select(this), d, cellWidth, cellHeight);
-  });
+function SelectionPanel({ cells, outside, stat, thresholds, daily, onClear }) {
+  const summary    = summarizeSelection(cells, stat);
+  const { locale } = stat;
+  const formatDate = d3.timeFormat("%Y-%m-%d");
+  const cellDate   = d => d && formatMonthYear(d.year, d.month, locale);
+  const [first, last] = d3.extent(cells, d => d.year);
+  const months     = [...new Set(cells.map(d => d.month))].sort(d3.ascending);
+
+  const rows = [
+    ["Mean", formatStatistic(stat, summary.mean)],
+    ["Max",  formatStatistic(stat, summary.max), cellDate(summary.maxCell)],
+    ["Min",  formatStatistic(stat, summary.min), cellDate(summary.minCell)],
+    ["Days", formatNumber(summary.days, 0, locale)],
+  ];
 
-  // ── Transparent hover overlay ──
-  // Sits on top of everything in the cell so it captures mouse events cleanly
-  // without interfering with the visual elements underneath.
-  cellGroups.append("rect")
-    .attr("width",  cellWidth)
-    .attr("height", cellHeight)
-    .attr("fill", "transparent")
-    .attr("cursor", "crosshair")
-    .on("mousemove",  (event, d) => onCellHover(event, d, mode))
-    .on("mouseleave", onCellLeave);
-}
+  return (
+    <section
+      aria-label="Selection summary"
+      style={{
+        position:     "fixed",
+        right:        16,
+        bottom:       48,
+        width:        300,
+        background:   "#fff",
+        border:       "1px solid #ccc",
+        borderRadius: 6,
+        padding:      "12px 14px",
+        boxShadow:    "0 4px 20px rgba(0,0,0,0.2)",
+        fontSize:     12,
+        fontFamily:   "monospace",
+        color:        "#222",
+        zIndex:       900,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong style={{ fontSize: 13 }}>Selection</strong>
+        <button onClick={onClear} style={{ fontFamily: "monospace", cursor: "pointer" }}>
+          Clear
+        </button>
+      </div>
 
-// ─────────────────────────────────────────────────────────────────────────────
-// REACT COMPONENT
-// Manages state (mode, data, loading), wires up D3, and returns JSX.
-// ─────────────────────────────────────────────────────────────────────────────
+      <p style={{ color: "#666", margin: "6px 0" }}>
+        {cells.length} months, {first}–{last},{" "}
+        {months.map(month => monthNames(locale, "short")[month - 1]).join(", ")}
+        {outside > 0 && ` (${outside} outside the year window left out)`}
+      </p>
+
+      <table style={{ borderCollapse: "collapse", width: "100%" }}>
+        <caption style={{ textAlign: "left", fontWeight: "bold", paddingBottom: 4 }}>
+          {statisticTitle(stat, thresholds)}
+        </caption>
+        <tbody>
+          {rows.map(([label, value, where]) => (
+            <tr key={label}>
+              <th scope="row" style={{ textAlign: "left", fontWeight: "normal", padding: "1px 0" }}>{label}</th>
+              <td style={{ textAlign: "right" }}>{value}</td>
+              <td style={{ textAlign: "right", color: "#888", paddingLeft: 8 }}>{where}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {summary.values < cells.length && (
+        <p style={{ color: "#888", margin: "4px 0 0" }}>{cells.length - summary.values} months without data</p>
+      )}
+
+      {summary.extreme && (
+        <p style={{ margin: "8px 0 0" }}>
+          {stat.extreme === "low" ? "Lowest" : "Highest"} {daily.label.toLowerCase()}:{" "}
+          <strong>
+            {formatNumber(summary.extreme.value, 1, locale)} {TEMPERATURE_UNITS[stat.temperatureUnit].symbol}
+          </strong>{" "}
+          on {formatDate(summary.extreme.day.date)}
+        </p>
+      )}
+    </section>
+  );
+}
 
 export default function App() {
   // DOM refs — give D3 direct access to the SVG and its container
   const svgRef       = useRef(null);
-  const containerRef = useRef(null); // used to measure available pixel space
+  const canvasRef    = useRef(null); // behind the SVG; used by the canvas renderer
   const tooltipRef   = useRef(null);
+  const liveRef      = useRef(null); // screen-reader announcements
 
-  // "max" = show monthly peak max temperature; "min" = show coldest min
+  // Key of STATISTICS coloring the cells; "max" = monthly peak max temperature
   const [mode,    setMode]    = useState("max");
 
-  // Processed data from the CSV
-  const [cells,   setCells]   = useState([]);
-  const [years,   setYears]   = useState([]);
+  // Thresholds (°C) for the "days above / below" statistics
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+
+  // The threshold or spell-length input being typed in, as typed: { key, text }.
+  // It becomes a threshold on Enter or blur — each new threshold re-aggregates
+  // the data in the worker and caches the result, so not on every keystroke —
+  // and is dropped when the URL sets the thresholds
+  const [thresholdDraft, setThresholdDraft] = useState(null);
+
+  // Display unit (key of TEMPERATURE_UNITS) and locale (key of LOCALES)
+  const [unit,   setUnit]   = useState(DEFAULT_UNIT);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+
+  // Image export panel visibility
+  const [showExport, setShowExport] = useState(false);
+
+  // Whether the data table is shown on screen (it is always there for screen readers)
+  const [showTable, setShowTable] = useState(false);
+
+  // { year, month } shown in the month detail view, or null when closed
+  const [detail, setDetail] = useState(null);
+
+  // [{ year, month }] of the selected cells: the last one clicked, or the
+  // months picked with ctrl/⌘-click, shift-click or a drag (see selection.js).
+  // Kept by month, so the selection survives changes of statistic and window.
+  const [selection, setSelection] = useState(NO_DATA);
+
+  // URL syncing: whether the next URL write should replace the current
+  // history entry, and when an entry was last pushed
+  const replaceNextUrlRef = useRef(false);
+  const lastUrlPushRef    = useRef(0);
+
+  // Keyboard focus in the matrix: the cell that holds the Tab stop, and
+  // whether closing the month detail should hand focus back to it
+  const focusedCellRef  = useRef(null);
+  const returnFocusRef  = useRef(false);
+
+  // Color-scale settings (see colorScale.js) and their panel's visibility
+  const [colorSettings,     setColorSettings]     = useState(DEFAULT_COLOR_SETTINGS);
+  const [showColorSettings, setShowColorSettings] = useState(false);
+
+  // Anomaly view: color by departure from the [startYear, endYear] baseline
+  const [anomaly,       setAnomaly]       = useState(false);
+  const [baselineRange, setBaselineRange] = useState(null);
+
+  // Compare mode: two year ranges { a, b }, or the shown station against
+  // another (compareBy, a key of COMPARE_BY), shown as a difference matrix
+  // or side by side (a key of COMPARE_LAYOUTS)
+  const [compare,        setCompare]        = useState(false);
+  const [compareBy,      setCompareBy]      = useState("years");
+  const [compareRanges,  setCompareRanges]  = useState(null);
+  const [compareStation, setCompareStation] = useState(null);
+  const [compareLayout,  setCompareLayout]  = useState("difference");
+
+  // Whether the per-month trend column is shown next to the matrix
+  const [showTrend, setShowTrend] = useState(true);
+
+  // Whether the year and month strips and the climatology panel frame the matrix
+  const [showMarginals, setShowMarginals] = useState(false);
+
+  // Years projected past the shown window (0 = no projection, see projection.js)
+  const [projectYears, setProjectYears] = useState(0);
+
+  // How the data is laid out: a key of LAYOUTS (matrix, transposed, calendar, raster)
+  const [layout, setLayout] = useState("matrix");
+
+  // Preview of the loaded source table (see loadSource() in dataClient.js;
+  // the worker keeps its records) and how its columns map to fields.
+  // Each loaded table is numbered (table.load), to tell loads apart when
+  // the browser can't hash their content
+  const [table,   setTable]   = useState(null);
+  const tableLoadsRef = useRef(0);
+  const [mapping, setMapping] = useState(null);
+
+  // Column-mapping panel visibility, and the error from the last failed apply
+  const [showMapping,  setShowMapping]  = useState(false);
+  const [mappingError, setMappingError] = useState(null);
+
+  // What the data worker made of the table — { extent, stations }, each
+  // station with its rows, quality report and cells — and the first/last
+  // year the data covers
+  const [dataset,    setDataset]    = useState(null);
+  const [yearExtent, setYearExtent] = useState(null);
+
+  // Name of the station shown (the first one when null or unknown)
+  const [station, setStation] = useState(null);
+
+  // Inclusive [startYear, endYear] window shown as matrix columns
+  const [yearRange,  setYearRange]  = useState(null);
+
+  // Playback for presentations (see playback.js): how it steps, how fast,
+  // and while it runs or is paused, its frames and the one shown
+  const [playMode,  setPlayMode]  = useState("reveal");
+  const [playSpeed, setPlaySpeed] = useState(DEFAULT_PLAY_SPEED);
+  const [playback,  setPlayback]  = useState(null); // { frames, index, playing }, or null
+
+  // Data-quality panel visibility (the report is the shown station's)
+  const [showQuality, setShowQuality] = useState(false);
+
+  // UI state; progress is the data worker's latest report while it runs
+  const [loading,  setLoading]  = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [error,    setError]    = useState(null);
+  const [dragOver, setDragOver] = useState(false); // a file is being dragged over the page
+
+  // Hidden <input type="file"> behind the "Load file…" button
+  const fileInputRef = useRef(null);
+
+  // ── URL state: restore the view described by the address bar ──
+  // Used after data loads and on browser back/forward. The next URL write
+  // replaces the current history entry instead of adding one, since this
+  // change came from the URL itself.
+  const applyUrlState = useCallback((extent, stations) => {
+    const url = readUrlState(window.location.search, getDefaultView(extent, stations), extent, stations);
+    replaceNextUrlRef.current = true;
+    setMode(url.mode);
+    setStation(url.station);
+    setYearRange(url.yearRange);
+    setPlayback(null);
+    setAnomaly(url.anomaly);
+    setBaselineRange(url.baselineRange);
+    setCompare(url.compare);
+    setCompareBy(url.compareBy);
+    setCompareRanges(url.compareRanges);
+    setCompareStation(url.compareStation);
+    setCompareLayout(url.compareLayout);
+    setShowTrend(url.showTrend);
+    setShowMarginals(url.showMarginals);
+    setProjectYears(url.projectYears);
+    setLayout(url.layout);
+    setThresholds(url.thresholds);
+    setThresholdDraft(null);
+    setUnit(url.unit);
+    setLocale(url.locale);
+    setColorSettings(url.colorSettings);
+    setSelection(url.selection);
+    setDetail(url.detail);
+  }, []);
 
-  // UI state
-  const [loading, setLoading] = useState(true);
-  const [error,   setError]   = useState(null);
+  // ── Parse and aggregate in the data worker ──
+  // Runs for each new table or mapping, and again when the thresholds
+  // change. The first result for a table and mapping also restores the
+  // view from the URL; a mapping that fails goes back to the mapping panel.
+  const preparedRef = useRef(null); // { table, mapping } the shown data came from
 
-  // ── Load and parse the CSV exactly once on mount ──
   useEffect(() => {
-    d3.csv("/temperature_daily.csv")
-      .then(raw => {
-        const rows               = parseRows(raw);
-        const { grouped, years } = buildGrouped(rows);
-        const cells              = buildCells(grouped, years);
-        setCells(cells);
-        setYears(years);
+    if (!table || !mapping || !isMappingComplete(mapping)) return;
+
+    let cancelled = false;
+    prepareData(mapping, thresholds, report => !cancelled && setProgress(report))
+      .then(dataset => {
+        if (cancelled) return;
+        setDataset(dataset);
+
+        const prepared = preparedRef.current;
+        if (prepared?.table !== table || prepared.mapping !== mapping) {
+          preparedRef.current = { table, mapping };
+          setYearExtent(dataset.extent);
+          // View settings from the URL, or the defaults
+          applyUrlState(dataset.extent, dataset.stations.map(s => s.name));
+          setShowMapping(false);
+          setMappingError(null);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (cancelled) return;
+        // Keep the panel open so the user can pick other columns or a format
+        setMappingError(err.message);
+        setShowMapping(true);
+      })
+      .finally(() => {
+        if (cancelled) return;
+        setProgress(null);
         setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [table, mapping, thresholds, applyUrlState]);
+
+  // ── Take a freshly loaded table through the column-mapping step ──
+  // Known layouts are parsed straight away; anything the guess can't
+  // fully resolve opens the mapping panel instead.
+  const receiveTable = useCallback(promise => {
+    promise
+      .then(table => {
+        const mapping = guessMapping(table);
+        setTable({ ...table, load: ++tableLoadsRef.current });
+        setMapping(mapping);
+        if (!isMappingComplete(mapping)) {
+          setMappingError(null);
+          setShowMapping(true);
+          setProgress(null);
+          setLoading(false);
+        }
       })
       .catch(err => {
         // Show a human-readable error if the file is missing or malformed
         setError(err.message);
+        setProgress(null);
         setLoading(false);
       });
-  }, []); // empty deps = run once
+  }, []);
+
+  // ── Load the ?data= URL (or the bundled CSV) exactly once on mount ──
+  useEffect(() => {
+    receiveTable(loadSource({ url: getDataUrlParam() ?? DEFAULT_DATA_URL }, setProgress));
+  }, [receiveTable]);
+
+  // Loads a user-supplied file from the upload button or a drop
+  const loadFile = file => {
+    if (!file) return;
+    setLoading(true);
+    setError(null);
+    receiveTable(loadSource({ file }, setProgress));
+  };
+
+  // ── Drag-and-drop onto the page ──
+  const handleDragOver = event => {
+    event.preventDefault(); // required for the drop event to fire
+    setDragOver(true);
+  };
+
+  const handleDrop = event => {
+    event.preventDefault();
+    setDragOver(false);
+    loadFile(event.dataTransfer.files[0]);
+  };
+
+  // ── The shown station, and station B of a station comparison ──
+  // Stations are converted to the display unit here, once per unit change.
+  // Station B is the one chosen, or else the first other station.
+  const stations = useMemo(
+    () => (dataset?.stations ?? NO_DATA).map(s => convertStation(s, unit)),
+    [dataset, unit]
+  );
+  const stationNames = useMemo(() => stations.map(s => s.name), [stations]);
+  const multiStation = stations.length > 1;
+  const shown        = stations.find(s => s.name === station) ?? stations[0] ?? null;
+  const stationName  = shown?.name ?? DEFAULT_STATION;
+  const rows         = shown?.rows ?? NO_DATA;
+  const quality      = shown?.quality ?? null;
+  const allCells     = shown?.cells ?? NO_DATA;
+  const versus       = stations.find(s => s.name === compareStation && s !== shown)
+    ?? stations.find(s => s !== shown) ?? null;
+  const byStation    = compareBy === "stations" && versus !== null;
+
+  // ── The cells of the year window ──
+  // Spells were found over the whole dataset, so runs crossing the edges
+  // of the year window or a month boundary stay whole
+  const { cells, years } = useMemo(() => {
+    if (!allCells.length || !yearRange) return { cells: [], years: [] };
+    return selectYears(allCells, yearRange);
+  }, [allCells, yearRange]);
+
+  // While a reveal plays, the cells up to its current year are drawn
+  const revealYear = playback?.frames[playback.index].revealYear ?? null;
+
+  // The statistics in the display unit and locale, and the one the cells are colored by
+  const statistics  = useMemo(() => localizeStatistics(unit, locale), [unit, locale]);
+  const dailyValues = useMemo(() => localizeDailyValues(unit), [unit]);
+  const stat = statistics[mode];
+
+  // Compare mode always uses the matrix; the day-level layouts color days,
+  // not months, so they have no anomaly view or trend column
+  const shownLayout = compare ? "matrix" : layout;
+  const dailyView   = isDailyLayout(shownLayout);
+
+  // ── Anomaly view: per-month baseline over the reference period ──
+  // The baseline is aggregated from the full dataset, independent of the
+  // year window, so it stays put while the shown years change.
+  const baseline = useMemo(() => {
+    if (!anomaly || compare || dailyView || !allCells.length || !baselineRange) return null;
+    return buildBaseline(selectYears(allCells, baselineRange).cells, stat.field);
+  }, [anomaly, compare, dailyView, allCells, baselineRange, stat]);
+
+  // ── Compare mode: cells of A and B and their difference ──
+  // Two year ranges are compared month by month and take the place of the
+  // year window; two stations are compared year by year over the window.
+  // Either way the anomaly view is off. labels name A and B.
+  const comparison = useMemo(() => {
+    if (!compare) return null;
+    if (byStation) {
+      if (!yearRange) return null;
+      const a = selectYears(shown.cells, yearRange);
+      const b = selectYears(versus.cells, yearRange);
+      const labels = { a: shown.name, b: versus.name };
+      const differences = buildStationDifferenceCells(a.cells, b.cells, a.years, stat.field, [labels.a, labels.b]);
+      return { a, b, labels, byStation, differences };
+    }
+    if (!allCells.length || !compareRanges) return null;
+    const a = selectYears(allCells, compareRanges.a);
+    const b = selectYears(allCells, compareRanges.b);
+    const labels = { a: formatRange(compareRanges.a), b: formatRange(compareRanges.b) };
+    return { a, b, labels, byStation, differences: buildDifferenceCells(a.cells, b.cells, stat.field, compareRanges) };
+  }, [compare, byStation, shown, versus, yearRange, allCells, compareRanges, stat]);
+
+  // Cells as drawn: with baseline/anomaly values attached in the anomaly view
+  const shownCells = useMemo(
+    () => baseline ? addAnomalies(cells, baseline, stat.field) : cells,
+    [cells, baseline, stat]
+  );
+
+  // ── Projection: the next year or two of each month, and its backtest ──
+  // Fitted to the values of the shown years; in the anomaly view the
+  // projected months get anomalies from the same baseline
+  const projection = useMemo(() => {
+    if (!projectYears || compare || dailyView || !cells.length) return null;
+    const { years: projectedYears, cells: projected } = projectCells(cells, stat, projectYears);
+    return {
+      years:    projectedYears,
+      cells:    baseline ? addAnomalies(projected, baseline, stat.field) : projected,
+      backtest: backtestProjection(cells, stat),
+    };
+  }, [projectYears, compare, dailyView, cells, baseline, stat]);
+
+  // ── Trend column: slope of the statistic down each month row ──
+  // Fitted to the values rather than the anomalies; the baseline is a
+  // constant per month, so the slope is the same either way.
+  const trends = useMemo(
+    () => showTrend && shownLayout === "matrix" && !compare
+      ? buildMonthTrends(revealCells(cells, revealYear), stat.field)
+      : null,
+    [showTrend, shownLayout, compare, cells, revealYear, stat]
+  );
+
+  // ── What the cell fill and legend encode ──
+  // With several stations, the legend also names the one shown
+  const stationLine = multiStation && !comparison?.byStation ? stationName : null;
+
+  const colorSpec = useMemo(() => {
+    // Calendar and day-of-year layouts: each day colored by the daily value
+    // matching the statistic, on that value's own scale
+    if (dailyView) {
+      const daily = dailyValues[stat.daily];
+      const { scale, extent } = buildColorScale(colorSettings, {
+        interpolator: daily.interpolator,
+        presetDomain: daily.domain,
+        diverging:    false,
+        values:       cells.flatMap(d => d.days.map(daily.value)),
+      });
+      return {
+        colorValue: daily.value,
+        colorScale: scale,
+        legend:     {
+          extent, title: daily.label, subtitle: stationLine, unitName: TEMPERATURE_UNITS[unit].name, locale,
+        },
+      };
+    }
+
+    const title  = statisticTitle(stat, thresholds);
+    const digits = stat.unit === "days" ? 0 : 1;
+
+    // Departures (anomalies, compare differences) get a diverging scale
+    // around zero; the side-by-side matrices share one scale over both ranges
+    const differences = comparison && compareLayout === "difference";
+    const diverging   = Boolean(baseline) || differences;
+    const colorValue  = differences ? d => d.delta
+      : baseline ? d => d.anomaly
+      : d => d[stat.field];
+    const colored = differences ? comparison.differences
+      : comparison ? [...comparison.a.cells, ...comparison.b.cells]
+      : shownCells;
+
+    // The view's own palette and range; the color settings may override either
+    const { scale, extent } = buildColorScale(colorSettings, {
+      interpolator: diverging ? ANOMALY_INTERPOLATOR : stat.interpolator,
+      presetDomain: diverging ? [-stat.anomalySpan, stat.anomalySpan] : stat.domain,
+      diverging,
+      values:       colored.map(colorValue).filter(v => v !== null),
+    });
+
+    if (diverging) {
+      return {
+        colorValue,
+        colorScale: scale,
+        legend: {
+          extent,
+          title,
+          subtitle:   differences
+            ? `B − A, ${comparison.byStation ? "" : "mean of "}${comparison.labels.b} − ${comparison.labels.a}`
+            : [stationLine, `anomaly vs ${baselineRange[0]}–${baselineRange[1]}`],
+          unitName:   stat.unitName,
+          tickFormat: d => d === 0 ? "0" : formatSigned(d, d % 1 ? digits : 0, locale),
+        },
+      };
+    }
+
+    return {
+      colorValue,
+      colorScale: scale,
+      legend:     { extent, title, subtitle: stationLine, unitName: stat.unitName, locale },
+    };
+  }, [stat, thresholds, baseline, baselineRange, comparison, compareLayout, stationLine,
+      colorSettings, shownCells, dailyView, dailyValues, unit, locale, cells]);
+
+  // ── Marginal summaries: what the colors show, by year, by month and overall ──
+  const marginals = useMemo(
+    () => showMarginals && shownLayout === "matrix" && !comparison
+      ? buildMarginals(revealCells(shownCells, revealYear), colorSpec.colorValue, stat.extreme)
+      : null,
+    [showMarginals, shownLayout, comparison, shownCells, revealYear, colorSpec, stat]
+  );
 
   // ── Tooltip: show on cell hover ──
   // useCallback prevents re-creating this function on every render,
   // which would cause the ResizeObserver draw loop to fire unnecessarily.
-  const handleCellHover = useCallback((event, d, currentMode) => {
+  const handleCellHover = useCallback((event, d, day) => {
     const tip = tooltipRef.current;
     if (!tip) return;
 
-    // Show the monthly extreme value that matches the current viewing mode
-    const temp  = currentMode === "max" ? d.absMax : d.absMin;
-    const label = currentMode === "max" ? "max" : "min";
-
     tip.style.visibility = "visible";
     tip.style.left = (event.pageX + 14) + "px";
     tip.style.top  = (event.pageY - 10) + "px";
+
+    // Numbers and month names follow the locale the statistic was localized for
+    const { locale } = stat;
+    const degrees = value => `${formatNumber(value, 1, locale)} ${TEMPERATURE_UNITS[stat.temperatureUnit].symbol}`;
+    const month   = monthNames(locale)[d.month - 1];
+
+    // Over a day of the mini chart: that day's own values
+    if (day) {
+      tip.innerHTML =
+        `<strong>Date:</strong> ${d3.timeFormat("%Y-%m-%d")(day.date)}<br/>` +
+        `<strong>max:</strong> ${degrees(day.max)}<br/>` +
+        `<strong>min:</strong> ${degrees(day.min)}<br/>` +
+        `<strong>range:</strong> ${degrees(day.max - day.min)}`;
+      return;
+    }
+
+    // Elsewhere in the cell: the monthly summary.
+    // Show the value of the statistic that matches the current viewing mode
+    const value = d[stat.field];
+    const label = statisticShort(stat, thresholds);
+
+    // A cell of a compare difference matrix: the values of A and B (the
+    // ranges' means, or the stations' months) and the difference
+    if (d.delta !== undefined) {
+      tip.innerHTML =
+        (d.year === DIFFERENCE_COLUMN
+          ? `<strong>${month}</strong>, mean ${label}<br/>`
+          : `<strong>${formatMonthYear(d.year, d.month, locale)}</strong>, ${label}<br/>`) +
+        `<strong>A ${escapeHtml(d.periods[0])}:</strong> ${formatPeriodValue(d.a, stat)}<br/>` +
+        `<strong>B ${escapeHtml(d.periods[1])}:</strong> ${formatPeriodValue(d.b, stat)}<br/>` +
+        `<strong>B − A:</strong> ${formatDelta(d.delta, stat)}`;
+      return;
+    }
+
     tip.innerHTML  =
-      `<strong>Date:</strong> ${d.year}-${String(d.month).padStart(2, "0")}<br/>` +
-      `<strong>${label}:</strong> ${temp !== null ? temp.toFixed(1) : "N/A"} °C`;
-  }, []);
+      `<strong>Date:</strong> ${d.year}-${String(d.month).padStart(2, "0")}${d.projected ? " (projected)" : ""}<br/>` +
+      `<strong>${label}:</strong> ${formatStatistic(stat, value)}`;
+
+    // A projected month: the 95% prediction interval and the years its line was fitted to
+    if (d.projected) {
+      if (d.interval) {
+        tip.innerHTML += `<br/><strong>95% interval:</strong> ` +
+          d.interval.map(v => formatStatistic(stat, v)).join(" – ");
+      }
+      tip.innerHTML += `<br/>${month} trend over ${d.fitYears[0]}–${d.fitYears[1]}, extended`;
+    }
+
+    // In the anomaly view, add the departure and the baseline it is measured from
+    if (d.baseline !== undefined) {
+      const digits = stat.unit === "days" ? 0 : 1;
+      tip.innerHTML += d.anomaly !== null
+        ? `<br/><strong>anomaly:</strong> ${formatSigned(d.anomaly, digits, locale)} ${stat.unit}` +
+          ` (baseline ${formatNumber(d.baseline, digits, locale)} ${stat.unit})`
+        : `<br/><strong>anomaly:</strong> N/A (no baseline data)`;
+    }
+
+    // Side-by-side compare: how this month compares between A and B
+    const difference = comparison && findDifference(comparison.differences, d);
+    if (difference) {
+      const heading = comparison.byStation ? formatMonthYear(d.year, d.month, locale) : `${month} means`;
+      tip.innerHTML += `<br/><strong>${heading}:</strong> ${formatComparison(difference, stat)}`;
+    }
+
+    // In the event modes, list the spells running through this month
+    const spells = stat.event ? d.runs?.[stat.event] ?? [] : [];
+    if (spells.length) {
+      const shown = spells.slice(0, TOOLTIP_SPELL_LIMIT).map(run => formatRun(run, locale));
+      if (spells.length > shown.length) shown.push(`+${spells.length - shown.length} more`);
+      tip.innerHTML += `<br/><strong>${EVENT_KINDS[stat.event].spell}s:</strong> ${shown.join(", ")}`;
+    }
+
+    // Only mention coverage when days are missing, to keep the tooltip short
+    if (d.coverage < 1) {
+      const present = Math.round(d.coverage * d.expectedDays);
+      tip.innerHTML +=
+        `<br/><strong>coverage:</strong> ${Math.round(d.coverage * 100)}% ` +
+        `(${present}/${d.expectedDays} days)`;
+    }
+  }, [stat, thresholds, comparison]);
 
   // ── Tooltip: hide when mouse leaves a cell ──
   const handleCellLeave = useCallback(() => {
     if (tooltipRef.current) tooltipRef.current.style.visibility = "hidden";
   }, []);
 
-  // ── Draw / redraw when data or mode changes ──
+  // ── URL state: write view changes to the address bar ──
+  // Each change gets its own history entry so back/forward step through
+  // views, except that changes in quick succession (dragging the brush,
+  // typing a threshold) are folded into a single entry.
   useEffect(() => {
-    if (!cells.length || !svgRef.current || !containerRef.current) return;
-
-    // Inner render function — also used by the ResizeObserver below
-    const render = () => {
-      if (!containerRef.current) return;
-
-      // Measure the flex container so the SVG fills it exactly (no scrollbar)
-      const { width: totalWidth, height: totalHeight } =
-        containerRef.current.getBoundingClientRect();
-
-      d3.select(svgRef.current)
-        .attr("width",  totalWidth)
-        .attr("height", totalHeight);
-
-      drawMatrix({
-        svg: d3.select(svgRef.current),
-        cells,
-        years,
-        mode,
-        onCellHover:  handleCellHover,
-        onCellLeave:  handleCellLeave,
-        totalWidth,
-        totalHeight,
-      });
-    };
+    if (!yearExtent || !yearRange || !baselineRange) return;
+
+    const search = writeUrlState(
+      {
+        mode, station: stationName, yearRange, anomaly, baselineRange, compare,
+        compareBy: byStation ? "stations" : "years", compareRanges, compareStation: versus?.name,
+        compareLayout, showTrend, showMarginals, projectYears, layout, thresholds, unit, locale, colorSettings, selection, detail,
+      },
+      getDefaultView(yearExtent, stationNames),
+      window.location.search
+    );
+    if (search === window.location.search) {
+      replaceNextUrlRef.current = false;
+      return;
+    }
+
+    const url = window.location.pathname + search;
+    const now = Date.now();
+    if (replaceNextUrlRef.current || now - lastUrlPushRef.current < URL_HISTORY_COALESCE_MS) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    lastUrlPushRef.current    = now;
+    replaceNextUrlRef.current = false;
+  }, [yearExtent, stationNames, mode, stationName, yearRange, anomaly, baselineRange, compare,
+      byStation, compareRanges, versus, compareLayout, showTrend, showMarginals, projectYears, layout,
+      thresholds, unit, locale, colorSettings, selection, detail]);
 
-    render(); 
+  // ── URL state: browser back/forward ──
+  useEffect(() => {
+    if (!yearExtent) return;
+    const handlePopState = () => applyUrlState(yearExtent, stationNames);
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [yearExtent, stationNames, applyUrlState]);
+
+  // ── Month detail: open / move / close ──
+  const showDetail  = useCallback(target => setDetail(target), []);
+  const closeDetail = useCallback(() => setDetail(null), []);
+
+  // Clicking a cell (or Enter on it) opens its month detail; the matrix
+  // reports the cell as selected through onSelectionChange
+  const handleCellClick = useCallback((event, d) => {
+    if (d.projected) return; // no days to show
+    handleCellLeave();
+    focusedCellRef.current = { year: d.year, month: d.month };
+    returnFocusRef.current = true;
+    showDetail({ year: d.year, month: d.month });
+  }, [handleCellLeave, showDetail]);
+
+  // ── Screen readers: cell descriptions and focus announcements ──
+  const describe = useCallback(d => describeCell(d, stat, thresholds), [stat, thresholds]);
+
+  const handleCellFocus = useCallback(d => {
+    focusedCellRef.current = { year: d.year, month: d.month };
+    if (liveRef.current) liveRef.current.textContent = describe(d);
+  }, [describe]);
+
+  // ── Renderer: SVG, or canvas when SVG would need too many nodes ──
+  // Compare mode draws two small matrices and always uses SVG
+  const renderer = chooseRenderer(
+    comparison ? 0
+      : dailyView ? d3.sum(shownCells, d => d.days.length)
+      : shownCells.length * SVG_NODES_PER_CELL
+  );
 
-    // Re-draw automatically if the browser window is resized
-    const resizeObserver = new ResizeObserver(render);
-    resizeObserver.observe(containerRef.current);
-    return () => resizeObserver.disconnect(); // clean up on unmount
-  }, [cells, years, mode, handleCellHover, handleCellLeave]);
+  // What the matrix shows, for its accessible name and the data table caption
+  const matrixCaption = comparison?.byStation
+    ? `${statisticTitle(stat, thresholds)} by month, ` +
+      `A ${comparison.labels.a} vs B ${comparison.labels.b}, ${formatRange(yearRange)}` +
+      (compareLayout === "difference" ? ", difference B − A" : "")
+    : comparison
+    ? `${statisticTitle(stat, thresholds)} by month, ` +
+      `A ${comparison.labels.a} vs B ${comparison.labels.b}` +
+      (compareLayout === "difference" ? ", difference B − A of the monthly means" : "")
+    : (stationLine ? `${stationLine}: ` : "") +
+      `${statisticTitle(stat, thresholds)}` +
+      (baseline ? ` anomaly vs ${baselineRange[0]}–${baselineRange[1]}` : "") +
+      (years.length ? ` by month, ${years[0]}–${years[years.length - 1]}` : "");
+
+  // ── What TemperatureMatrix draws: the year window, or compare mode's matrices ──
+  // Side by side, A and B are matrices of their own; B − A of two year
+  // ranges is one column of month cells, each labelled with its difference,
+  // and two stations differ year by year over the window
+  const matrixView = useMemo(() => {
+    if (comparison && compareLayout === "side") {
+      return {
+        cells:      [...comparison.a.cells, ...comparison.b.cells],
+        sideBySide: ["a", "b"].map(key => ({
+          cells:     comparison[key].cells,
+          years:     comparison[key].years,
+          heading:   `${key.toUpperCase()}: ${comparison.labels[key]}`,
+          // The month detail shows the shown station's days
+          clickable: !(comparison.byStation && key === "b"),
+        })),
+        formatters: { describe },
+      };
+    }
+    if (!comparison) {
+      // Projected years follow the shown ones, labelled "~2018", except while a reveal plays
+      if (!projection || revealYear !== null) {
+        return { cells: revealCells(shownCells, revealYear), years, formatters: { describe } };
+      }
+      return {
+        cells:      [...shownCells, ...projection.cells],
+        years:      [...years, ...projection.years],
+        formatters: { describe, year: year => projection.years.includes(year) ? `~${year}` : year },
+      };
+    }
+    if (comparison.byStation) {
+      return { cells: comparison.differences, years: comparison.a.years, formatters: { describe } };
+    }
+    return {
+      cells:      comparison.differences,
+      years:      [DIFFERENCE_COLUMN],
+      formatters: { describe, year: () => "B − A", cell: d => formatComparison(d, stat) },
+    };
+  }, [comparison, compareLayout, projection, shownCells, revealYear, years, describe, stat]);
+
+  // Only the difference matrix has no months to open or select
+  const differenceView = comparison !== null && compareLayout === "difference";
+
+  // Accessible name of the drawing, with how to move around it
+  const matrixLabel = dailyView
+    ? `${dailyValues[stat.daily].label} by day, ${LAYOUTS[shownLayout].toLowerCase()}` +
+      (years.length ? `, ${years[0]}–${years[years.length - 1]}` : "") +
+      ". The data table lists the monthly values."
+    : differenceView ? matrixCaption
+    : comparison ? `${matrixCaption}. Arrow keys move between months, Enter opens one.`
+    : `${matrixCaption}. Arrow keys move between months, Enter opens one; ` +
+      "Ctrl+Enter adds one to the selection, Shift+Enter selects a block.";
+
+  // The selected months among the shown cells, for the selection panel
+  const selectionCells = useMemo(
+    () => comparison || dailyView ? NO_DATA : selectedCells(shownCells, selection),
+    [comparison, dailyView, shownCells, selection]
+  );
 
-  // Switches between "max" and "min" viewing modes
-  const toggleMode = () => setMode(current => current === "max" ? "min" : "max");
+  // ── Return keyboard focus to the matrix when the month detail closes ──
+  useEffect(() => {
+    if (detail || !returnFocusRef.current) return;
+    returnFocusRef.current = false;
+    svgRef.current?.querySelector('.cell[tabindex="0"]')?.focus();
+  }, [detail]);
+
+  // Sets the whole year window by hand (brush, "All years"), ending any playback
+  const pickYears = useCallback(range => {
+    setPlayback(null);
+    setYearRange(range);
+  }, []);
+
+  // Updates one end of the year window from the <select> controls,
+  // pushing the other end along if the window would otherwise invert
+  const changeYearRange = (end, value) => {
+    setPlayback(null);
+    setYearRange(([start, stop]) => end === "start"
+      ? [value, Math.max(stop, value)]
+      : [Math.min(start, value), value]);
+  };
+
+  // ── Playback: show the next frame once the current one has had its time ──
+  // Each step replaces the browser history entry instead of adding one
+  useEffect(() => {
+    if (!playback?.playing) return;
+    const timer = setTimeout(() => {
+      const index = playback.index + 1;
+      if (index === playback.frames.length) {
+        setPlayback(null);
+        return;
+      }
+      replaceNextUrlRef.current = true;
+      setYearRange(playback.frames[index].yearRange);
+      setPlayback({ ...playback, index });
+    }, PLAY_SPEEDS[playSpeed]);
+    return () => clearTimeout(timer);
+  }, [playback, playSpeed]);
+
+  // Revealing draws part of the matrix, so it needs the matrix itself
+  const canReveal = !dailyView && !comparison;
+
+  // Starts playback from its first frame, or pauses / resumes it
+  const togglePlayback = () => {
+    if (playback) {
+      setPlayback({ ...playback, playing: !playback.playing });
+      return;
+    }
+    const frames = playFrames(canReveal ? playMode : "window", yearExtent, yearRange);
+    replaceNextUrlRef.current = true;
+    setYearRange(frames[0].yearRange);
+    setPlayback({ frames, index: 0, playing: true });
+  };
+
+  // Applies the typed threshold or minimum spell length, ignoring blank/partial input.
+  // Thresholds are typed in the display unit and kept in °C (to 0.01°, so °F
+  // values survive the round trip through the URL)
+  const commitThreshold = () => {
+    setThresholdDraft(null);
+    if (!thresholdDraft) return;
+    const { key, text: value } = thresholdDraft;
+    if (value === "" || isNaN(+value)) return;
+    if (key === "minRun" && (+value < 1 || !Number.isInteger(+value))) return; // whole days only
+    const stored = key === "minRun" ? +value : Math.round(fromUnit(+value, unit) * 100) / 100;
+    setThresholds(current => ({ ...current, [key]: stored }));
+  };
+
+  // What a threshold input shows: the text being typed, else the value in use
+  const thresholdInput = key => thresholdDraft?.key === key ? thresholdDraft.text
+    : key === "minRun" ? thresholds.minRun
+    : Math.round(toUnit(thresholds[key], unit) * 10) / 10;
+
+  // Updates one end of a compare range, pushing the other end along if needed
+  const changeCompareRange = (key, end, value) => {
+    setCompareRanges(current => {
+      const [start, stop] = current[key];
+      const range = end === 0 ? [value, Math.max(stop, value)] : [Math.min(start, value), value];
+      return { ...current, [key]: range };
+    });
+  };
+
+  // Heading for exported images: what is shown, and for which years
+  const exportTitle = comparison?.byStation
+    ? `Monthly Temperature — ${matrixCaption}`
+    : comparison
+    ? `${stationName} Monthly Temperature — ${matrixCaption}`
+    : `${stationName} Monthly Temperature — ${statisticTitle(stat, thresholds)}` +
+      (baseline ? ` anomaly vs ${baselineRange[0]}–${baselineRange[1]}` : "") +
+      (years.length ? `, ${years[0]}–${years[years.length - 1]}` : "");
+
+  // Exported data: the main window's cells, or the cells of A and B
+  // (of each station, or of the years the two ranges don't share)
+  const exportCells = comparison?.byStation
+    ? [...comparison.a.cells, ...comparison.b.cells]
+    : comparison
+    ? [...comparison.a.cells, ...comparison.b.cells.filter(d => !comparison.a.years.includes(d.year))]
+    : shownCells;
+  const exportYears = d3.extent(exportCells, d => d.year);
+
+  // Export file names start with the station(s) when there are several
+  const exportName = comparison?.byStation
+    ? `${stationSlug(comparison.labels.a)}-vs-${stationSlug(comparison.labels.b)}`
+    : multiStation ? stationSlug(stationName) : "hk";
+
+  // What the data table lists: the cells shown, or the compare differences.
+  // Two stations always list their differences, which hold both values.
+  const tableView = comparison?.byStation
+    ? {
+        cells:      comparison.differences,
+        years:      comparison.a.years,
+        formatCell: d => formatComparison(d, stat),
+      }
+    : comparison && compareLayout === "difference"
+    ? {
+        cells:       comparison.differences,
+        years:       [DIFFERENCE_COLUMN],
+        columnLabel: () => "B − A",
+        formatCell:  d => formatComparison(d, stat),
+      }
+    : { cells: exportCells, years: d3.sort(new Set(exportCells.map(d => d.year))) };
 
   // ── JSX ──
   return (
-    // Full-viewport wrapper, background matches the page color
+    // Full-viewport wrapper, background matches the page color.
+    // It is also the drop target for loading a CSV/JSON file.
     <div
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
       style={{
         fontFamily:     "monospace",
-        background:     "#f7f4ef",
+        background:     PAGE_BACKGROUND,
         width:          "100vw",
         height:         "100vh",
         overflow:       "hidden",   
         boxSizing:      "border-box",
         display:        "flex",
         flexDirection:  "column",
+        outline:        dragOver ? "3px dashed #2980b9" : "none",
+        outlineOffset:  -6,
       }}
     >
       <div
@@ -545,26 +1648,42 @@ export default function App() {
             display:        "flex",
             alignItems:     "center",
             justifyContent: "center",
+            flexWrap:       "wrap",
             gap:            20,
             flexShrink:     0,
           }}
         >
           <h2 style={{ margin: 0, fontSize: 18, color: "#222", letterSpacing: 1 }}>
-            Hong Kong Monthly Temperature
+            {stationName} Monthly Temperature
           </h2>
 
+          {/* Station picker, when the data holds more than one station */}
+          {multiStation && (
+            <select
+              value={stationName}
+              onChange={e => setStation(e.target.value)}
+              aria-label="Station"
+              title="Choose the station shown"
+              style={{ fontFamily: "monospace" }}
+            >
+              {stationNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+
           {/*
-           * Toggle button — clicking this is the ONLY way to switch modes.
-           * Background color changes to signal which mode is active:
-           *   Red   = Max temperature view
-           *   Blue  = Min temperature view
+           * Mode selector — picks the statistic that colors the cells.
+           * Its background takes the active statistic's accent color
+           * (red for Max, blue for Min, …) to signal which view is shown.
            */}
-          <button
-            onClick={toggleMode}
-            title="Click to switch between Max and Min temperature"
+          <select
+            value={mode}
+            onChange={e => setMode(e.target.value)}
+            title="Choose the statistic that colors the cells"
             style={{
-              padding:      "6px 18px",
-              background:   mode === "max" ? "#c0392b" : "#2980b9",
+              padding:      "6px 12px",
+              background:   stat.accent,
               color:        "#fff",
               border:       "none",
               borderRadius: 4,
@@ -576,40 +1695,502 @@ export default function App() {
               transition:   "background 0.3s",
             }}
           >
-            Showing: {mode === "max" ? "Max Temperature ▲" : "Min Temperature ▼"}
-          </button>
+            {Object.entries(statistics).map(([key, option]) => (
+              <option key={key} value={key}>
+                Showing: {statisticTitle(option, thresholds)}
+              </option>
+            ))}
+          </select>
+
+          {/* Threshold input, only for the day-count statistics */}
+          {stat.threshold && (
+            <label style={{ fontSize: 12, color: "#444" }}>
+              threshold{" "}
+              <input
+                type="number"
+                step="0.5"
+                value={thresholdInput(stat.threshold)}
+                onChange={e => setThresholdDraft({ key: stat.threshold, text: e.target.value })}
+                onBlur={commitThreshold}
+                onKeyDown={e => e.key === "Enter" && commitThreshold()}
+                title="Applied on Enter or when leaving the field"
+                style={{ fontFamily: "monospace", width: 56 }}
+              />
+              {" "}{TEMPERATURE_UNITS[unit].symbol}
+            </label>
+          )}
+          {stat.spell && (
+            <label style={{ fontSize: 12, color: "#444" }}>
+              for ≥{" "}
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={thresholdInput("minRun")}
+                onChange={e => setThresholdDraft({ key: "minRun", text: e.target.value })}
+                onBlur={commitThreshold}
+                onKeyDown={e => e.key === "Enter" && commitThreshold()}
+                title="Minimum number of consecutive event days that make a spell (applied on Enter)"
+                style={{ fontFamily: "monospace", width: 44 }}
+              />
+              {" "}days
+            </label>
+          )}
+
+          {/*
+           * Anomaly view — color by departure from a baseline period instead
+           * of absolute values. The baseline years are chosen from the full
+           * dataset, independently of the year window.
+           */}
+          {yearExtent && baselineRange && (
+            <span style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12, color: "#444" }}>
+              <label title="Color cells by their departure from each month's baseline average">
+                <input
+                  type="checkbox"
+                  checked={anomaly}
+                  disabled={compare || dailyView}
+                  onChange={e => setAnomaly(e.target.checked)}
+                />
+                {" "}Anomaly
+              </label>
+              {anomaly && !compare && !dailyView && (
+                <>
+                  vs{" "}
+                  <select
+                    value={baselineRange[0]}
+                    onChange={e => setBaselineRange(([, stop]) => [+e.target.value, Math.max(stop, +e.target.value)])}
+                    style={{ fontFamily: "monospace" }}
+                  >
+                    {d3.range(yearExtent[0], yearExtent[1] + 1).map(y => (
+                      <option key={y} value={y}>{y}</option>
+                    ))}
+                  </select>
+                  –
+                  <select
+                    value={baselineRange[1]}
+                    onChange={e => setBaselineRange(([start]) => [Math.min(start, +e.target.value), +e.target.value])}
+                    style={{ fontFamily: "monospace" }}
+                  >
+                    {d3.range(yearExtent[0], yearExtent[1] + 1).map(y => (
+                      <option key={y} value={y}>{y}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </span>
+          )}
 
-          <span style={{ fontSize: 12, color: "#666" }}>
-            (Click button to toggle Max / Min)
+          {/*
+           * Layout — the matrix either way round, or the days themselves as a
+           * calendar heatmap or a day-of-year raster. Compare mode uses the matrix.
+           */}
+          <select
+            value={shownLayout}
+            onChange={e => setLayout(e.target.value)}
+            disabled={compare}
+            aria-label="Layout"
+            title="Lay out the months as a matrix, or every day as a calendar or day-of-year raster"
+            style={{ fontFamily: "monospace" }}
+          >
+            {Object.entries(LAYOUTS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+
+          {/*
+           * Compare mode — two year ranges, A and B, as a matrix of the
+           * month-wise differences or as two matrices side by side; the
+           * ranges replace the year window while on. With several stations,
+           * the shown station (A) can be compared with another (B) instead,
+           * over the year window.
+           */}
+          {yearExtent && compareRanges && (
+            <span style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12, color: "#444" }}>
+              <label
+                title={multiStation
+                  ? "Compare two year ranges, or the shown station with another"
+                  : "Compare two year ranges, e.g. the last decade with the one before"}
+              >
+                <input
+                  type="checkbox"
+                  checked={compare}
+                  onChange={e => setCompare(e.target.checked)}
+                />
+                {" "}Compare
+              </label>
+              {compare && multiStation && (
+                <select
+                  value={byStation ? "stations" : "years"}
+                  onChange={e => setCompareBy(e.target.value)}
+                  aria-label="Compare by"
+                  style={{ fontFamily: "monospace" }}
+                >
+                  {Object.entries(COMPARE_BY).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              )}
+              {compare && (
+                <>
+                  {byStation ? (
+                    <span>
+                      {" "}vs B{" "}
+                      <select
+                        value={versus.name}
+                        onChange={e => setCompareStation(e.target.value)}
+                        aria-label="Station B"
+                        style={{ fontFamily: "monospace" }}
+                      >
+                        {stations.filter(s => s !== shown).map(s => (
+                          <option key={s.name} value={s.name}>{s.name}</option>
+                        ))}
+                      </select>
+                    </span>
+                  ) : ["a", "b"].map(key => (
+                    <span key={key}>
+                      {" "}{key.toUpperCase()}{" "}
+                      {[0, 1].map(end => (
+                        <select
+                          key={end}
+                          value={compareRanges[key][end]}
+                          onChange={e => changeCompareRange(key, end, +e.target.value)}
+                          aria-label={`Range ${key.toUpperCase()} ${end ? "end" : "start"}`}
+                          style={{ fontFamily: "monospace" }}
+                        >
+                          {d3.range(yearExtent[0], yearExtent[1] + 1).map(y => (
+                            <option key={y} value={y}>{y}</option>
+                          ))}
+                        </select>
+                      ))}
+                    </span>
+                  ))}
+                  <select
+                    value={compareLayout}
+                    onChange={e => setCompareLayout(e.target.value)}
+                    aria-label="Compare layout"
+                    style={{ fontFamily: "monospace" }}
+                  >
+                    {Object.entries(COMPARE_LAYOUTS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </span>
+          )}
+
+          {/* Trend column — per-month slope across the shown years */}
+          <label
+            title="Show each month's linear trend across the shown years"
+            style={{ fontSize: 12, color: "#444" }}
+          >
+            <input
+              type="checkbox"
+              checked={showTrend}
+              disabled={compare || shownLayout !== "matrix"}
+              onChange={e => setShowTrend(e.target.checked)}
+            />
+            {" "}Trend
+          </label>
+
+          {/* Marginal summaries — year and month strips and the climatology */}
+          <label
+            title="Show each year's mean, each month's spread across the years and the overall climatology around the matrix"
+            style={{ fontSize: 12, color: "#444" }}
+          >
+            <input
+              type="checkbox"
+              checked={showMarginals}
+              disabled={compare || shownLayout !== "matrix"}
+              onChange={e => setShowMarginals(e.target.checked)}
+            />
+            {" "}Margins
+          </label>
+
+          {/*
+           * Projection — the next year or two of each month from its trend
+           * line, with how well the same fit predicted the last shown year
+           */}
+          <span style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#444" }}>
+            <select
+              value={projectYears}
+              onChange={e => setProjectYears(+e.target.value)}
+              disabled={compare || dailyView}
+              aria-label="Projection"
+              title="Project each month's linear trend across the shown years past the last of them"
+              style={{ fontFamily: "monospace" }}
+            >
+              <option value={0}>No projection</option>
+              {PROJECTION_YEARS.map(n => (
+                <option key={n} value={n}>Project {n} year{n > 1 ? "s" : ""}</option>
+              ))}
+            </select>
+            {projection?.backtest && (
+              <span
+                title={`Fitted without ${projection.backtest.year} and projected to it: ` +
+                  `mean difference ${formatSigned(projection.backtest.bias, 1, locale)} ${stat.unit} ` +
+                  `(projected − recorded), over ${projection.backtest.months.length} months`}
+              >
+                Backtest {projection.backtest.year}: off by{" "}
+                {formatStatistic(stat, projection.backtest.meanError)} on average,{" "}
+                {projection.backtest.inside}/{projection.backtest.months.length} within the 95% interval
+              </span>
+            )}
           </span>
-        </div>
 
-        {/* Loading and error states */}
-        {loading && <p style={{ color: "#888" }}>Loading data…</p>}
-        {error   && <p style={{ color: "red"  }}>Error loading CSV: {error}</p>}
+          {/*
+           * Units and locale — temperatures in °C or °F, and numbers, month
+           * names and dates formatted for the chosen locale
+           */}
+          <span style={{ display: "flex", alignItems: "center", gap: 4 }}>
+            <select
+              value={unit}
+              onChange={e => setUnit(e.target.value)}
+              aria-label="Temperature unit"
+              title="Show temperatures in Celsius or Fahrenheit"
+              style={{ fontFamily: "monospace" }}
+            >
+              {Object.entries(TEMPERATURE_UNITS).map(([key, { symbol }]) => (
+                <option key={key} value={key}>{symbol}</option>
+              ))}
+            </select>
+            <select
+              value={locale}
+              onChange={e => setLocale(e.target.value)}
+              aria-label="Number and date format"
+              title="Format numbers, month names and dates for a language and region"
+              style={{ fontFamily: "monospace" }}
+            >
+              {Object.entries(LOCALES).map(([key, name]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+          </span>
+
+          {/*
+           * Data source controls — load another CSV/JSON file (or drop one
+           * anywhere on the page) and revisit the column mapping.
+           */}
+          <span style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#666" }}>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              title="Load a daily temperature CSV or JSON file (or drop one on the page)"
+              style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+            >
+              Load file…
+            </button>
+            <button
+              onClick={() => { setMappingError(null); setShowMapping(true); }}
+              disabled={!table}
+              title="Choose the date, max and min columns"
+              style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+            >
+              Columns…
+            </button>
+            {table && (
+              <span title={table.label}>
+                {table.label.split("/").pop()}
+                {table.offline && " (saved copy — offline)"}
+              </span>
+            )}
+            {!loading && progress && <span>{formatProgress(progress)}</span>}
+            <button
+              onClick={() => setShowExport(current => !current)}
+              disabled={!rows.length}
+              title="Save the chart as SVG, PNG or PDF, or its data as CSV/JSON"
+              style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+            >
+              Export…
+            </button>
+            <button
+              onClick={() => setShowTable(current => !current)}
+              disabled={!rows.length}
+              aria-pressed={showTable}
+              title="Show the matrix values as a table"
+              style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+            >
+              Table
+            </button>
+            <button
+              onClick={() => setShowColorSettings(current => !current)}
+              title="Color range, bins and palette"
+              style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+            >
+              Colors…
+            </button>
+            {quality && (
+              <button
+                onClick={() => setShowQuality(current => !current)}
+                title="Dropped rows, missing days and suspicious values"
+                style={{
+                  fontFamily: "monospace",
+                  fontSize:   12,
+                  cursor:     "pointer",
+                  color:      quality.issues.length ? "#c0392b" : "#27ae60",
+                }}
+              >
+                Data quality ({quality.issues.length})
+              </button>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={e => { loadFile(e.target.files[0]); e.target.value = ""; }}
+              style={{ display: "none" }}
+            />
+          </span>
+        </div>
 
-        {/* ── SVG container — flex:1 so it fills all remaining vertical space ── */}
-        {!loading && !error && (
+        {/*
+         * Year-range control — the selects set exact bounds, the brush beside
+         * them can be dragged across the full dataset span.
+         */}
+        {yearExtent && yearRange && (!compare || byStation) && (
           <div
-            ref={containerRef}
             style={{
-              flex:      1,
-              minHeight: 0,    
-              width:     "100%",
+              marginBottom: 6,
+              display:      "flex",
+              alignItems:   "center",
+              gap:          10,
+              fontSize:     12,
+              color:        "#444",
+              flexShrink:   0,
             }}
           >
-            <svg
-              ref={svgRef}
-              style={{
-                background: "transparent", // page bg shows through for empty cells
-                display:    "block",
-                width:      "100%",
-                height:     "100%",
-              }}
+            <label>
+              From{" "}
+              <select
+                value={yearRange[0]}
+                onChange={e => changeYearRange("start", +e.target.value)}
+                style={{ fontFamily: "monospace" }}
+              >
+                {d3.range(yearExtent[0], yearExtent[1] + 1).map(y => (
+                  <option key={y} value={y}>{y}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              to{" "}
+              <select
+                value={yearRange[1]}
+                onChange={e => changeYearRange("end", +e.target.value)}
+                style={{ fontFamily: "monospace" }}
+              >
+                {d3.range(yearExtent[0], yearExtent[1] + 1).map(y => (
+                  <option key={y} value={y}>{y}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => pickYears(yearExtent)}
+              title="Show every year in the dataset"
+              style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+            >
+              All years
+            </button>
+            {/* Playback — steps through the years, with the matrix animating between them */}
+            <span style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <button
+                onClick={togglePlayback}
+                aria-label={playback?.playing ? "Pause" : "Play"}
+                title={playback?.playing ? "Pause the playback" : "Play through the years"}
+                style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer", minWidth: 28 }}
+              >
+                {playback?.playing ? "❚❚" : "▶"}
+              </button>
+              {playback && (
+                <button
+                  onClick={() => setPlayback(null)}
+                  aria-label="Stop"
+                  title="Stop the playback"
+                  style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer" }}
+                >
+                  ■
+                </button>
+              )}
+              <select
+                value={canReveal ? playMode : "window"}
+                onChange={e => setPlayMode(e.target.value)}
+                disabled={playback !== null}
+                aria-label="Playback"
+                style={{ fontFamily: "monospace" }}
+              >
+                {Object.entries(PLAY_MODES).map(([key, label]) => (
+                  <option key={key} value={key} disabled={key === "reveal" && !canReveal}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={playSpeed}
+                onChange={e => setPlaySpeed(+e.target.value)}
+                aria-label="Playback speed"
+                style={{ fontFamily: "monospace" }}
+              >
+                {Object.keys(PLAY_SPEEDS).map(Number).sort(d3.ascending).map(speed => (
+                  <option key={speed} value={speed}>{speed}×</option>
+                ))}
+              </select>
+              {/* Which frame is shown, also read out by screen readers */}
+              <span aria-live="polite" style={{ minWidth: 80 }}>
+                {playback && (revealYear !== null
+                  ? `up to ${revealYear}`
+                  : `${yearRange[0]}–${yearRange[1]}`)}
+              </span>
+            </span>
+            <YearBrush
+              extent={yearExtent}
+              yearRange={yearRange}
+              onChange={pickYears}
+              style={{ flex: 1, minWidth: 0 }}
             />
           </div>
         )}
 
+        {/* Loading and error states */}
+        {loading && (
+          <p style={{ color: "#888", display: "flex", alignItems: "center", gap: 8 }}>
+            {progress ? formatProgress(progress) : "Loading data…"}
+            {progress?.total > 0 && <progress value={progress.done} max={progress.total} />}
+          </p>
+        )}
+        {error   && <p style={{ color: "red"  }}>Error loading data: {error}</p>}
+
+        {/* The matrix (or day layout, or compare view) — flex:1 so it fills all remaining vertical space */}
+        {!loading && !error && rows.length > 0 && (
+          <TemperatureMatrix
+            cells={matrixView.cells}
+            years={matrixView.years}
+            mode={mode}
+            statistics={statistics}
+            thresholds={thresholds}
+            colorScale={colorSpec.colorScale}
+            colorValue={colorSpec.colorValue}
+            legend={colorSpec.legend}
+            formatters={matrixView.formatters}
+            renderer={renderer}
+            // Transitions fit inside playback frames; otherwise the default
+            duration={playback ? frameTransition(playSpeed) : undefined}
+            layout={shownLayout}
+            sideBySide={matrixView.sideBySide}
+            trends={trends}
+            marginals={marginals}
+            highlightRuns={differenceView ? null : stat.event ?? null}
+            label={matrixLabel}
+            unit={unit}
+            locale={locale}
+            selection={selection}
+            // A difference cell has no single month to open
+            onCellClick={differenceView ? undefined : handleCellClick}
+            onSelectionChange={differenceView ? undefined : setSelection}
+            onCellHover={handleCellHover}
+            onCellLeave={handleCellLeave}
+            onCellFocus={handleCellFocus}
+            svgRef={svgRef}
+            canvasRef={canvasRef}
+            style={{ flex: 1, minHeight: 0, width: "100%" }}
+          />
+        )}
+
         <div
           style={{
             marginTop:  8,
@@ -620,25 +2201,121 @@ export default function App() {
             flexShrink: 0,
           }}
         >
-          <span>
-            {/* Green line swatch */}
-            <svg width="24" height="8">
-              <line x1="0" y1="4" x2="24" y2="4"
-                stroke="rgba(80,180,80,0.9)" strokeWidth="2" />
-            </svg>
-            {" "}Daily Max
-          </span>
-          <span>
-            {/* Light blue line swatch */}
-            <svg width="24" height="8">
-              <line x1="0" y1="4" x2="24" y2="4"
-                stroke="rgba(200,220,255,0.9)" strokeWidth="2" />
-            </svg>
-            {" "}Daily Min
-          </span>
+          {/* Green (max) and light blue (min) line swatches; the day layouts have no mini charts */}
+          {!dailyView && MINI_CHART_KEY.map(({ label, color }) => (
+            <span key={label}>
+              <svg width="24" height="8">
+                <line x1="0" y1="4" x2="24" y2="4" stroke={color} strokeWidth="2" />
+              </svg>
+              {" "}{label}
+            </span>
+          ))}
         </div>
       </div>
 
+      {/* Text alternative to the matrix; on screen only when toggled */}
+      {shownCells.length > 0 && (
+        <DataTable
+          {...tableView}
+          stat={stat}
+          caption={matrixCaption}
+          describe={describe}
+          trends={trends}
+          visible={showTable}
+          onClose={() => setShowTable(false)}
+        />
+      )}
+
+      {/* Announces the focused cell to screen readers */}
+      <div ref={liveRef} aria-live="polite" style={VISUALLY_HIDDEN} />
+
+      {/* Month detail view, opened by clicking a cell */}
+      {detail && rows.length > 0 && (
+        <MonthDetail
+          rows={rows}
+          station={multiStation ? stationName : null}
+          unit={TEMPERATURE_UNITS[unit].symbol}
+          locale={locale}
+          year={detail.year}
+          month={detail.month}
+          onNavigate={showDetail}
+          onClose={closeDetail}
+        />
+      )}
+
+      {/* Image export */}
+      {showExport && (
+        <ExportPanel
+          svgRef={svgRef}
+          canvasRef={renderer === "canvas" ? canvasRef : null}
+          options={{
+            title:      exportTitle,
+            keyItems:   dailyView ? [] : MINI_CHART_KEY,
+            background: PAGE_BACKGROUND,
+          }}
+          filename={`${exportName}-temperature-${mode}-${exportYears[0]}-${exportYears[1]}` + (comparison ? "-compare" : "")}
+          data={{
+            cells: exportCells,
+            stat,
+            thresholds,
+            meta: {
+              statistic: statisticTitle(stat, thresholds),
+              mode,
+              unit:      TEMPERATURE_UNITS[unit].symbol,
+              station:   comparison?.byStation ? null : stationName,
+              years:     exportYears,
+              baseline:  baseline ? baselineRange : null,
+              compare:   comparison?.byStation ? comparison.labels : comparison ? compareRanges : null,
+              source:    table?.label ?? null,
+            },
+          }}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {/* Color-scale settings */}
+      {showColorSettings && (
+        <ColorScalePanel
+          settings={colorSettings}
+          onChange={setColorSettings}
+          onClose={() => setShowColorSettings(false)}
+        />
+      )}
+
+      {/* Aggregate figures for a selection of several months */}
+      {selection.length > 1 && selectionCells.length > 0 && (
+        <SelectionPanel
+          cells={selectionCells}
+          outside={selection.length - selectionCells.length}
+          stat={stat}
+          thresholds={thresholds}
+          daily={dailyValues[stat.daily]}
+          onClear={() => setSelection(NO_DATA)}
+        />
+      )}
+
+      {/* Data-quality report for the loaded rows */}
+      {showQuality && quality && (
+        <QualityPanel
+          report={quality}
+          rowCount={rows.length}
+          onExport={() => downloadText(issuesToCsv(quality.issues), "data-quality-issues.csv", "text/csv")}
+          onClose={() => setShowQuality(false)}
+        />
+      )}
+
+      {/* Column mapping step for files whose layout couldn't be guessed */}
+      {showMapping && table && (
+        <ColumnMappingPanel
+          key={table.hash ?? table.load}
+          table={table}
+          mapping={mapping}
+          error={mappingError}
+          onApply={setMapping}
+          onCancel={() => setShowMapping(false)}
+        />
+      )}
+
       {/*
        * Tooltip div — rendered outside the SVG so it can overlap any element.
        * Positioned with fixed coordinates based on mouse position.
@@ -0,0 +1,375 @@
+/**
+ * MonthDetail.jsx
+ *
+ * Full-size view of a single year-month, opened by clicking a matrix cell:
+ *   - daily max and min lines with real axes, and a shaded band between them
+ *   - markers on the hottest and coldest day
+ *   - the month's climatological mean (every year in the dataset) as dashed lines
+ *   - navigation to neighbouring months and years with buttons or the keyboard:
+ *       ← / →  previous / next year     (the matrix's columns)
+ *       ↑ / ↓  previous / next month    (the matrix's rows)
+ *       Esc    close
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import * as d3 from "d3";
+import { observeResize } from "./render.js";
+import { DEFAULT_LOCALE, formatNumber, formatRounded, formatMonthYear } from "./locale.js";
+
+// Space around the detail chart for its axes
+const DETAIL_MARGIN = { top: 24, right: 24, bottom: 40, left: 52 };
+
+// Line colors, matching the mini charts' meaning (green = max, blue = min)
+const MAX_COLOR = "rgb(60,160,60)";
+const MIN_COLOR = "rgb(70,130,200)";
+
+/**
+ * buildClimatology — mean daily max and min for every (month, day-of-month)
+ * across all years in the dataset.
+ *
+ * @param {object[]} rows - parsed daily rows
+ * @returns {Map<number, Map<number, {max, min}>>} month → day → means
+ */
+function buildClimatology(rows) {
+  return d3.rollup(
+    rows,
+    v => ({ max: d3.mean(v, d => d.max), min: d3.mean(v, d => d.min) }),
+    d => d.month,
+    d => d.day
+  );
+}
+
+/**
+ * shiftMonth — the year-month a number of months away from the given one.
+ *
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {number} delta - months to move (negative = backwards)
+ * @returns {{ year, month }}
+ */
+function shiftMonth(year, month, delta) {
+  const index = year * 12 + (month - 1) + delta;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+/**
+ * isWithin — true when any day of a year-month falls inside the dataset.
+ *
+ * @param {{ year, month }} target
+ * @param {Date}            first - first date in the dataset
+ * @param {Date}            last  - last date in the dataset
+ * @returns {boolean}
+ */
+function isWithin({ year, month }, first, last) {
+  return new Date(year, month, 0) >= first && new Date(year, month - 1, 1) <= last;
+}
+
+/**
+ * drawDetailChart — renders the daily chart for one month into an SVG.
+ *
+ * @param {object} params
+ * @param {d3.Selection} params.svg         - the detail SVG element
+ * @param {object[]}     params.days        - the month's daily rows
+ * @param {Map}          params.climatology - day → { max, min } means for this month
+ * @param {number}       params.daysInMonth - calendar length of the month
+ * @param {number}       params.width       - SVG width in px
+ * @param {number}       params.height      - SVG height in px
+ * @param {string}       params.unit        - temperature unit symbol, e.g. "°C"
+ * @param {string}       params.locale      - key of LOCALES, for the numbers
+ */
+function drawDetailChart({ svg, days, climatology, daysInMonth, width, height, unit, locale }) {
+  const temperature = value => `${formatNumber(value, 1, locale)} ${unit}`;
+
+  svg.selectAll("*").remove();
+
+  const m = DETAIL_MARGIN;
+  const climate = [...climatology].map(([day, v]) => ({ day, ...v })).sort((a, b) => a.day - b.day);
+
+  const xScale = d3.scaleLinear()
+    .domain([1, daysInMonth])
+    .range([m.left, width - m.right]);
+
+  // Cover both this month and its climatology so nothing is clipped
+  const yScale = d3.scaleLinear()
+    .domain(d3.extent([...days, ...climate].flatMap(d => [d.max, d.min])))
+    .nice()
+    .range([height - m.bottom, m.top]);
+
+  // ── Axes with light gridlines ──
+  svg.append("g")
+    .attr("transform", `translate(0, ${height - m.bottom})`)
+    .call(d3.axisBottom(xScale).ticks(Math.min(daysInMonth, 16)).tickFormat(d3.format("d")))
+    .call(g => g.selectAll("text").attr("font-family", "monospace"));
+
+  svg.append("g")
+    .attr("transform", `translate(${m.left}, 0)`)
+    .call(d3.axisLeft(yScale)
+      .ticks(8)
+      .tickSize(-(width - m.left - m.right))
+      .tickFormat(v => formatRounded(v, 1, locale)))
+    .call(g => {
+      g.select(".domain").remove();
+      g.selectAll(".tick line").attr("stroke", "#e5e5e5");
+      g.selectAll("text").attr("font-family", "monospace");
+    });
+
+  svg.append("text")
+    .attr("x", (m.left + width - m.right) / 2)
+    .attr("y", height - 6)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#555")
+    .text("Day of month");
+
+  svg.append("text")
+    .attr("transform", `translate(14, ${(m.top + height - m.bottom) / 2}) rotate(-90)`)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#555")
+    .text(`Temperature (${unit})`);
+
+  // ── Climatological mean max/min for this month (dashed) ──
+  [["max", MAX_COLOR], ["min", MIN_COLOR]].forEach(([field, color]) => {
+    svg.append("path")
+      .datum(climate)
+      .attr("d", d3.line().x(d => xScale(d.day)).y(d => yScale(d[field])).curve(d3.curveMonotoneX))
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 1)
+      .attr("stroke-dasharray", "4,3")
+      .attr("opacity", 0.6);
+  });
+
+  if (!days.length) return;
+
+  // ── Shaded band between the daily min and max ──
+  svg.append("path")
+    .datum(days)
+    .attr("d", d3.area()
+      .x(d => xScale(d.day))
+      .y0(d => yScale(d.min))
+      .y1(d => yScale(d.max))
+      .curve(d3.curveMonotoneX))
+    .attr("fill", "rgba(150,150,150,0.18)");
+
+  // ── Daily max and min lines, with a dot per day ──
+  [["max", MAX_COLOR], ["min", MIN_COLOR]].forEach(([field, color]) => {
+    svg.append("path")
+      .datum(days)
+      .attr("d", d3.line().x(d => xScale(d.day)).y(d => yScale(d[field])).curve(d3.curveMonotoneX))
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 2);
+
+    svg.append("g")
+      .selectAll("circle")
+      .data(days)
+      .join("circle")
+      .attr("cx", d => xScale(d.day))
+      .attr("cy", d => yScale(d[field]))
+      .attr("r", 2.5)
+      .attr("fill", color)
+      .append("title")
+      .text(d => `${d3.timeFormat("%Y-%m-%d")(d.date)}  max ${temperature(d.max)}, min ${temperature(d.min)}`);
+  });
+
+  // ── Hottest and coldest day markers ──
+  const hottest = d3.greatest(days, d => d.max);
+  const coldest = d3.least(days, d => d.min);
+
+  [
+    { d: hottest, value: hottest.max, color: MAX_COLOR, label: "hottest", dy: -12 },
+    { d: coldest, value: coldest.min, color: MIN_COLOR, label: "coldest", dy: 20 },
+  ].forEach(({ d, value, color, label, dy }) => {
+    const x = xScale(d.day);
+    const y = yScale(value);
+
+    svg.append("circle")
+      .attr("cx", x).attr("cy", y)
+      .attr("r", 6)
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 2);
+
+    // Keep the label inside the plot near the right edge
+    svg.append("text")
+      .attr("x", x)
+      .attr("y", y + dy)
+      .attr("text-anchor", x > width - m.right - 80 ? "end" : "middle")
+      .attr("font-size", 11)
+      .attr("font-weight", "bold")
+      .attr("font-family", "monospace")
+      .attr("fill", color)
+      .text(`${label} ${temperature(value)} (day ${d.day})`);
+  });
+}
+
+/**
+ * MonthDetail — modal detail view for one year-month.
+ *
+ * @param {object}   props
+ * @param {object[]} props.rows       - all parsed daily rows (of one station)
+ * @param {string}   props.station    - station named in the title, or null
+ * @param {string}   props.unit       - temperature unit symbol of the rows, e.g. "°F"
+ * @param {string}   props.locale     - key of LOCALES, for month names and numbers
+ * @param {number}   props.year       - year to show
+ * @param {number}   props.month      - month to show (1–12)
+ * @param {Function} props.onNavigate - called with ({ year, month }) to move
+ * @param {Function} props.onClose    - closes the view
+ */
+export default function MonthDetail({
+  rows, station = null, unit = "°C", locale = DEFAULT_LOCALE, year, month, onNavigate, onClose,
+}) {
+  const svgRef    = useRef(null);
+  const dialogRef = useRef(null);
+
+  // All rows grouped once, so moving between months is cheap
+  const byMonth     = useMemo(() => d3.group(rows, d => d.year, d => d.month), [rows]);
+  const climatology = useMemo(() => buildClimatology(rows), [rows]);
+  const [first, last] = useMemo(() => d3.extent(rows, d => d.date), [rows]);
+
+  const days        = useMemo(() => byMonth.get(year)?.get(month) ?? [], [byMonth, year, month]);
+  const daysInMonth = new Date(year, month, 0).getDate();
+
+  // Only offer moves that stay within the dataset
+  const canGo = delta => isWithin(shiftMonth(year, month, delta), first, last);
+  const go    = delta => {
+    if (canGo(delta)) onNavigate(shiftMonth(year, month, delta));
+  };
+
+  // ── Take keyboard focus on open, so keys act on this view and not the matrix ──
+  useEffect(() => {
+    dialogRef.current?.focus();
+  }, []);
+
+  // ── Keyboard navigation ──
+  useEffect(() => {
+    const keyMoves = { ArrowLeft: -12, ArrowRight: 12, ArrowUp: -1, ArrowDown: 1 };
+
+    const handleKey = event => {
+      if (event.key === "Escape") {
+        onClose();
+      } else if (event.key in keyMoves) {
+        event.preventDefault();
+        const next = shiftMonth(year, month, keyMoves[event.key]);
+        if (isWithin(next, first, last)) onNavigate(next);
+      }
+    };
+
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [year, month, first, last, onNavigate, onClose]);
+
+  // ── Draw / redraw the chart ──
+  useEffect(() => {
+    if (!svgRef.current) return;
+
+    const render = () => {
+      if (!svgRef.current) return;
+      const { width, height } = svgRef.current.getBoundingClientRect();
+      drawDetailChart({
+        svg:         d3.select(svgRef.current),
+        days,
+        climatology: climatology.get(month) ?? new Map(),
+        daysInMonth,
+        width,
+        height,
+        unit,
+        locale,
+      });
+    };
+
+    render();
+
+    return observeResize(svgRef.current, render);
+  }, [days, climatology, month, daysInMonth, unit, locale]);
+
+  const navButton = (delta, label, title) => (
+    <button
+      onClick={() => go(delta)}
+      disabled={!canGo(delta)}
+      title={title}
+      style={{ fontFamily: "monospace", fontSize: 12, cursor: "pointer", minWidth: 32 }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    // Dimmed backdrop; clicking it closes the view
+    <div
+      onClick={onClose}
+      style={{
+        position:       "fixed",
+        inset:          0,
+        background:     "rgba(0,0,0,0.35)",
+        zIndex:         900,
+        display:        "flex",
+        alignItems:     "center",
+        justifyContent: "center",
+      }}
+    >
+      <div
+        onClick={event => event.stopPropagation()}
+        ref={dialogRef}
+        tabIndex={-1}
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Daily temperatures, ${station ? `${station}, ` : ""}` +
+          formatMonthYear(year, month, locale)}
+        style={{
+          width:         "90vw",
+          height:        "82vh",
+          background:    "#fff",
+          borderRadius:  6,
+          boxShadow:     "0 6px 30px rgba(0,0,0,0.3)",
+          padding:       "14px 18px",
+          display:       "flex",
+          flexDirection: "column",
+          gap:           6,
+          fontFamily:    "monospace",
+          fontSize:      12,
+          color:         "#222",
+          outline:       "none",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          {navButton(-12, "◀", "Same month, previous year (←)")}
+          {navButton(-1,  "▲", "Previous month (↑)")}
+          <strong style={{ fontSize: 16, minWidth: 170, textAlign: "center" }}>
+            {station && `${station} · `}
+            {formatMonthYear(year, month, locale)}
+          </strong>
+          {navButton(1,   "▼", "Next month (↓)")}
+          {navButton(12,  "▶", "Same month, next year (→)")}
+
+          <span style={{ flex: 1 }} />
+          <button onClick={onClose} title="Close (Esc)" style={{ fontFamily: "monospace", cursor: "pointer" }}>
+            Close
+          </button>
+        </div>
+
+        {/* One-line summary of the month */}
+        <div style={{ color: "#555" }}>
+          {days.length
+            ? `${days.length}/${daysInMonth} days · max ${formatNumber(d3.max(days, d => d.max), 1, locale)} ${unit} · ` +
+              `min ${formatNumber(d3.min(days, d => d.min), 1, locale)} ${unit} · ` +
+              `mean ${formatNumber(d3.mean(days, d => (d.max + d.min) / 2), 1, locale)} ${unit}`
+            : "No data for this month"}
+        </div>
+
+        {/* Line key */}
+        <div style={{ display: "flex", gap: 16, color: "#555" }}>
+          <span style={{ color: MAX_COLOR }}>━ daily max</span>
+          <span style={{ color: MIN_COLOR }}>━ daily min</span>
+          <span>┅ mean of all years</span>
+          <span>○ hottest / coldest day</span>
+        </div>
+
+        <svg ref={svgRef} style={{ flex: 1, minHeight: 0, width: "100%", display: "block" }} />
+      </div>
+    </div>
+  );
+}
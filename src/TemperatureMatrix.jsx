@@ -0,0 +1,84 @@
+/**
+ * TemperatureMatrix.jsx
+ *
+ * The year × month matrix as a React component, for embedding in other
+ * pages and dashboards: give it cells and it draws them with renderMatrix()
+ * (matrix.js), filling its own box, with everything else — statistic,
+ * layout (transposed, calendar, day of year), side-by-side matrices, size,
+ * margins, colors, formatters and callbacks — as optional props.
+ * It neither loads data nor sets page styles; the box takes `style` and
+ * `className` and needs a height, from them or from a flex parent.
+ *
+ *   <TemperatureMatrix
+ *     cells={cells}
+ *     mode="mean"
+ *     style={{ height: 480 }}
+ *     onCellClick={(event, cell) => openMonth(cell)}
+ *   />
+ *
+ * Object and function props are compared by identity, so memoize them
+ * (useMemo / useCallback) to avoid redrawing on every render.
+ */
+
+import { useEffect, useRef } from "react";
+import { renderMatrix } from "./matrix.js";
+
+/**
+ * TemperatureMatrix — a matrix of month cells with legend, mini charts,
+ * tooltip hooks and keyboard navigation.
+ *
+ * Props not listed here are the options of renderMatrix(), under the same
+ * names: mode, statistics, thresholds, years, width, height, margin,
+ * colorScale, colorValue, legend, formatters, renderer, duration, layout,
+ * sideBySide, trends, marginals, highlightRuns, heading, label, unit, locale, selection,
+ * and the callbacks onCellClick, onCellHover, onCellLeave, onCellFocus and
+ * onSelectionChange.
+ *
+ * @param {object}   props
+ * @param {object[]} props.cells     - cells from aggregateCells() / buildCells()
+ * @param {object}   props.svgRef    - ref given the matrix SVG (e.g. for image export), or omitted
+ * @param {object}   props.canvasRef - ref given the canvas behind it, or omitted
+ * @param {object}   props.style     - styles of the box the matrix fills
+ * @param {string}   props.className - class of that box
+ */
+export default function TemperatureMatrix({
+  cells, svgRef, canvasRef, style, className,
+  mode, statistics, thresholds, years, width, height, margin,
+  colorScale, colorValue, legend, formatters, renderer, duration, layout, sideBySide, trends,
+  marginals, highlightRuns, heading, label, unit, locale, selection,
+  onCellClick, onCellHover, onCellLeave, onCellFocus, onSelectionChange,
+}) {
+  const boxRef    = useRef(null);
+  const matrixRef = useRef(null); // the handle from renderMatrix()
+
+  // ── Draw on mount, then redraw in place whenever a prop changes ──
+  useEffect(() => {
+    const options = {
+      mode, statistics, thresholds, years, width, height, margin,
+      colorScale, colorValue, legend, formatters, renderer, duration, layout, sideBySide, trends, marginals,
+      highlightRuns, heading, label, unit, locale,
+      onCellClick, onCellHover, onCellLeave, onCellFocus, onSelectionChange,
+    };
+    // Only a given `selection` is passed on; otherwise the matrix keeps its own
+    if (selection !== undefined) options.selection = selection;
+
+    if (matrixRef.current) matrixRef.current.update(cells, options);
+    else matrixRef.current = renderMatrix(boxRef.current, cells, options);
+  }, [cells, mode, statistics, thresholds, years, width, height, margin,
+      colorScale, colorValue, legend, formatters, renderer, duration, layout, sideBySide, trends, marginals,
+      highlightRuns, heading, label, unit, locale, selection,
+      onCellClick, onCellHover, onCellLeave, onCellFocus, onSelectionChange]);
+
+  // ── Stop following the box's size on unmount ──
+  useEffect(() => () => {
+    matrixRef.current?.destroy();
+    matrixRef.current = null;
+  }, []);
+
+  return (
+    <div ref={boxRef} className={className} style={{ position: "relative", ...style }}>
+      <canvas ref={canvasRef} />
+      <svg ref={svgRef} />
+    </div>
+  );
+}
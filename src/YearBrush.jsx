@@ -0,0 +1,146 @@
+/**
+ * YearBrush.jsx
+ *
+ * The year-range brush: a thin timeline across every year of the dataset
+ * with a D3 brush on top, so the shown year window can be dragged, resized
+ * or redrawn directly. It fills the width it is given and redraws when
+ * that changes.
+ *
+ *   <YearBrush extent={[1990, 2017]} yearRange={[2008, 2017]} onChange={setYearRange} />
+ */
+
+import { useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { MIN_YEAR_LABEL_SPACING } from "./matrix.js";
+import { observeResize } from "./render.js";
+
+// Height of the brush strip (px)
+const YEAR_BRUSH_HEIGHT = 34;
+
+/**
+ * drawYearBrush — draws the timeline and the brush.
+ *
+ * Each year owns one unit-wide slot on the timeline; when the user releases
+ * the brush its edges snap to whole years before onChange is called.
+ *
+ * @param {object} params
+ * @param {d3.Selection} params.svg        - the brush SVG element
+ * @param {number[]}     params.extent     - [firstYear, lastYear] of the dataset
+ * @param {number[]}     params.yearRange  - currently selected [startYear, endYear]
+ * @param {number}       params.width      - SVG width in px
+ * @param {number}       params.height     - SVG height in px
+ * @param {Function}     params.onChange   - called with the new [startYear, endYear]
+ */
+function drawYearBrush({ svg, extent, yearRange, width, height, onChange }) {
+  svg.selectAll("*").remove();
+
+  const [firstYear, lastYear] = extent;
+  const axisHeight = 14; // room for the year ticks under the brush track
+  const sidePad    = 12; // keeps the outermost tick labels inside the SVG
+
+  // Slot scale: year y covers [y, y + 1) so a brush can cover whole years
+  const xScale = d3.scaleLinear()
+    .domain([firstYear, lastYear + 1])
+    .range([sidePad, width - sidePad]);
+
+  // Thin the tick labels the same way drawAxes thins the column headers
+  const slotWidth = xScale(firstYear + 1) - xScale(firstYear);
+  const labelStep = Math.max(1, Math.ceil(MIN_YEAR_LABEL_SPACING / slotWidth));
+  const tickYears = d3.range(firstYear, lastYear + 1)
+    .filter(y => (y - firstYear) % labelStep === 0);
+
+  // ── Year ticks, centered in each slot ──
+  svg.append("g")
+    .attr("transform", `translate(0, ${height - axisHeight})`)
+    .call(d3.axisBottom(xScale)
+      .tickValues(tickYears.map(y => y + 0.5))
+      .tickFormat(y => Math.floor(y))
+      .tickSize(3))
+    .call(g => {
+      g.select(".domain").attr("stroke", "#bbb");
+      g.selectAll("text")
+        .attr("font-size", 10)
+        .attr("font-family", "monospace")
+        .attr("fill", "#555");
+    });
+
+  // ── Track behind the brush showing the full dataset span ──
+  svg.append("rect")
+    .attr("x", xScale.range()[0])
+    .attr("y", 2)
+    .attr("width", xScale.range()[1] - xScale.range()[0])
+    .attr("height", height - axisHeight - 4)
+    .attr("fill", "#e8e3da")
+    .attr("rx", 2);
+
+  // Converts a pixel selection to an inclusive [startYear, endYear] window
+  const snapToYears = ([x0, x1]) => {
+    const start = Math.round(xScale.invert(x0));
+    const end   = Math.round(xScale.invert(x1)) - 1;
+    return [
+      Math.max(firstYear, Math.min(start, lastYear)),
+      Math.max(firstYear, Math.min(Math.max(end, start), lastYear)),
+    ];
+  };
+
+  const brush = d3.brushX()
+    .extent([[xScale.range()[0], 2], [xScale.range()[1], height - axisHeight - 2]])
+    .on("end", event => {
+      // Ignore the programmatic move below, which has no sourceEvent
+      if (!event.sourceEvent) return;
+
+      // A click without dragging clears the selection → select just that year
+      const [px] = d3.pointer(event.sourceEvent, svg.node());
+      const selection = event.selection ?? [px, px];
+      const [start, end] = snapToYears(selection);
+
+      brushGroup.call(brush.move, [xScale(start), xScale(end + 1)]);
+      onChange([start, end]);
+    });
+
+  const brushGroup = svg.append("g")
+    .attr("class", "year-brush")
+    .call(brush)
+    .call(brush.move, [xScale(yearRange[0]), xScale(yearRange[1] + 1)]);
+
+  brushGroup.select(".selection")
+    .attr("fill", "#c0392b")
+    .attr("fill-opacity", 0.25)
+    .attr("stroke", "#c0392b");
+}
+
+/**
+ * YearBrush — the year-range brush as a component.
+ *
+ * @param {object}   props
+ * @param {number[]} props.extent    - [firstYear, lastYear] of the dataset
+ * @param {number[]} props.yearRange - the shown [startYear, endYear]
+ * @param {Function} props.onChange  - called with the [startYear, endYear] brushed
+ * @param {object}   props.style     - styles of the SVG (it takes its width from them or a flex parent)
+ */
+export default function YearBrush({ extent, yearRange, onChange, style }) {
+  const svgRef = useRef(null);
+
+  // ── Draw, and redraw whenever the window or the width changes ──
+  useEffect(() => {
+    const render = () => {
+      if (!svgRef.current) return;
+      const { width } = svgRef.current.getBoundingClientRect();
+
+      drawYearBrush({
+        svg:    d3.select(svgRef.current),
+        extent,
+        yearRange,
+        width,
+        height: YEAR_BRUSH_HEIGHT,
+        onChange,
+      });
+    };
+
+    render();
+
+    return observeResize(svgRef.current, render);
+  }, [extent, yearRange, onChange]);
+
+  return <svg ref={svgRef} height={YEAR_BRUSH_HEIGHT} style={{ display: "block", ...style }} />;
+}
@@ -0,0 +1,119 @@
+/**
+ * accessibility.js
+ *
+ * Helpers that make the matrix usable from the keyboard and with a
+ * screen reader:
+ *   - a spoken summary of a cell, used for its ARIA label, the live
+ *     region and the data table
+ *   - grid navigation: which cell an arrow / Home / End key moves to,
+ *     in either orientation of the grid
+ *   - the style that hides content visually but keeps it readable by
+ *     assistive technology
+ */
+
+import { statisticShort, formatStatistic } from "./statistics.js";
+import { formatSigned } from "./anomaly.js";
+import { DIFFERENCE_COLUMN, formatComparison } from "./compare.js";
+import { monthNames, formatMonthYear } from "./locale.js";
+
+// Hides an element on screen while leaving it in the accessibility tree
+export const VISUALLY_HIDDEN = {
+  position:   "absolute",
+  width:      1,
+  height:     1,
+  margin:     -1,
+  padding:    0,
+  overflow:   "hidden",
+  clip:       "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border:     0,
+};
+
+/**
+ * describeCell — a one-line plain-text summary of a cell, e.g.
+ * "July 2015: Max 34.2 °C, anomaly +1.1 °C, 90% of days recorded".
+ *
+ * Cells of the compare difference matrix read out both sides and the
+ * difference; projected cells their prediction interval. Months and
+ * numbers follow the statistic's locale.
+ *
+ * @param {object} d          - cell from buildCells() or projectCells() (possibly with
+ *                              anomaly), buildDifferenceCells() or buildStationDifferenceCells()
+ * @param {object} stat       - the active entry of STATISTICS
+ * @param {object} thresholds - threshold values in °C, plus minRun (days)
+ * @returns {string}
+ */
+export function describeCell(d, stat, thresholds) {
+  if (d.delta !== undefined) {
+    const when = d.year === DIFFERENCE_COLUMN
+      ? `${monthNames(stat.locale)[d.month - 1]}, mean`
+      : `${formatMonthYear(d.year, d.month, stat.locale)},`;
+    return `${when} ${statisticShort(stat, thresholds)}: ` +
+      `${formatComparison(d, stat)} (A ${d.periods[0]}, B ${d.periods[1]})`;
+  }
+
+  const parts = [
+    `${formatMonthYear(d.year, d.month, stat.locale)}${d.projected ? ", projected" : ""}: ` +
+    `${statisticShort(stat, thresholds)} ${formatStatistic(stat, d[stat.field])}`,
+  ];
+
+  if (d.interval) {
+    parts.push(`95% prediction interval ${d.interval.map(v => formatStatistic(stat, v)).join(" to ")}`);
+  }
+
+  if (d.baseline !== undefined) {
+    const digits = stat.unit === "days" ? 0 : 1;
+    parts.push(d.anomaly !== null
+      ? `anomaly ${formatSigned(d.anomaly, digits, stat.locale)} ${stat.unit}`
+      : "no baseline data");
+  }
+
+  if (d.coverage < 1) parts.push(`${Math.round(d.coverage * 100)}% of days recorded`);
+
+  return parts.join(", ");
+}
+
+/**
+ * findNeighborCell — the cell a navigation key moves to from `d`.
+ *
+ * Arrow keys step one column or one row, skipping over months the dataset
+ * doesn't cover; Home and End jump to the first and last cell of the row.
+ * Columns are years and rows months, or the other way round in the
+ * transposed layout. Returns null when the key isn't a navigation key or
+ * there is nowhere to go.
+ *
+ * @param {Map<string, object>} cellIndex  - "year-month" → cell
+ * @param {object}              d          - the current cell
+ * @param {string}              key        - KeyboardEvent.key
+ * @param {number[]}            years      - the shown years, ascending
+ * @param {boolean}             transposed - years are rows, months columns
+ * @returns {object|null}
+ */
+export function findNeighborCell(cellIndex, d, key, years, transposed = false) {
+  const at = (year, month) => cellIndex.get(`${year}-${month}`) ?? null;
+  const first = years[0];
+  const last  = years[years.length - 1];
+
+  // Walks from (year, month) in steps until a cell exists or the grid ends
+  const walk = (year, month, dy, dm) => {
+    for (let y = year + dy, m = month + dm; y >= first && y <= last && m >= 1 && m <= 12; y += dy, m += dm) {
+      if (at(y, m)) return at(y, m);
+    }
+    return null;
+  };
+
+  // Steps across columns (dCol) or rows (dRow), as steps in year and month
+  const step = (dCol, dRow) => transposed
+    ? walk(d.year, d.month, dRow, dCol)
+    : walk(d.year, d.month, dCol, dRow);
+
+  switch (key) {
+    case "ArrowLeft":  return step(-1, 0);
+    case "ArrowRight": return step(1, 0);
+    case "ArrowUp":    return step(0, -1);
+    case "ArrowDown":  return step(0, 1);
+    case "Home":       return transposed ? walk(d.year, 0, 0, 1)  : walk(first - 1, d.month, 1, 0);
+    case "End":        return transposed ? walk(d.year, 13, 0, -1) : walk(last + 1, d.month, -1, 0);
+    default:           return null;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * aggregate.js
+ *
+ * Turns a loaded table into what the matrix draws:
+ *   - parseRows()      — typed daily rows, plus the rows that had to be dropped
+ *   - aggregateCells() — one cell per month of the whole dataset, with every
+ *                        statistic and the spells attached
+ *   - selectYears()    — the cells of one year window
+ *
+ * The first two are the slow part of loading a file and run in the data
+ * worker (see dataWorker.js); selectYears() is cheap enough for App.jsx to
+ * call whenever the year window, anomaly baseline or compare ranges move.
+ */
+
+import * as d3 from "d3";
+import { describeRow } from "./dataSource.js";
+import { countExpectedDays } from "./dataQuality.js";
+import { findAllRuns, addEventRuns } from "./events.js";
+import { computeCellStats } from "./statistics.js";
+
+// Records parsed between two progress reports
+const PROGRESS_STEP = 2000;
+
+/**
+ * toNumber — converts a raw cell value to a number, treating blanks as
+ * missing. (A bare `+""` would silently become 0 °C.)
+ *
+ * @param {*} value - raw value from the table
+ * @returns {number} the number, or NaN when missing or non-numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return NaN;
+  return +value;
+}
+
+/**
+ * parseRows — converts a loaded table into typed JavaScript objects,
+ * reading the columns and date format chosen in the column mapping.
+ *
+ * Each row in the table becomes an object with:
+ *   { date, year, month, day, max, min, where, station }
+ *
+ *   where   — the row's position in the source file, e.g. "line 57"
+ *   station — the row's station, or null when the mapping has no station column
+ *
+ * Rows with missing or non-numeric temperature values are filtered out
+ * to prevent NaN values from breaking the color scale or line charts;
+ * each one is returned as a "dropped" issue for the data-quality report.
+ * A date that doesn't match the chosen format, or a blank station, is an
+ * error, reported with the offending row so the mapping (or the file) can
+ * be fixed.
+ *
+ * @param {object}   table      - table from dataSource.js
+ * @param {object}   mapping    - { date, max, min, dateFormat, station }
+ * @param {Function} onProgress - called as (done, total) every PROGRESS_STEP records
+ * @returns {{ rows: object[], dropped: object[] }} daily records and dropped-row issues
+ */
+export function parseRows(table, mapping, onProgress = () => {}) {
+  const parseDate  = d3.timeParse(mapping.dateFormat);
+  const formatDate = d3.timeFormat("%Y-%m-%d");
+
+  ["date", "max", "min", ...(mapping.station ? ["station"] : [])].forEach(field => {
+    if (!table.columns.includes(mapping[field])) {
+      throw new Error(`Column "${mapping[field]}" (${field}) not found in ${table.label}`);
+    }
+  });
+
+  const rows    = [];
+  const dropped = [];
+  const total   = table.records.length;
+
+  table.records.forEach((d, i) => {
+    if (i % PROGRESS_STEP === 0) onProgress(i, total);
+
+    const where = describeRow(table, i);
+    const date  = parseDate(String(d[mapping.date] ?? ""));
+    if (!date) {
+      throw new Error(
+        `${where}: date "${d[mapping.date] ?? ""}" ` +
+        `does not match the format ${mapping.dateFormat}`
+      );
+    }
+
+    const station = mapping.station ? String(d[mapping.station] ?? "").trim() : null;
+    if (station === "") throw new Error(`${where}: the station (${mapping.station}) is blank`);
+
+    const max = toNumber(d[mapping.max]);
+    const min = toNumber(d[mapping.min]);
+
+    // Drop rows with bad data, but remember why
+    const bad = [["max", max], ["min", min]].filter(([, value]) => isNaN(value));
+    if (bad.length) {
+      dropped.push({
+        kind:   "dropped",
+        date:   formatDate(date),
+        where,
+        detail: bad.map(([field]) => `${field} "${d[mapping[field]] ?? ""}" is not a number`).join("; "),
+        station,
+      });
+      return;
+    }
+
+    rows.push({
+      date,
+      year:  date.getFullYear(),
+      month: date.getMonth() + 1, // convert 0-indexed JS month to 1–12
+      day:   date.getDate(),
+      max,
+      min,
+      where,
+      station,
+    });
+  });
+  onProgress(total, total);
+
+  if (!rows.length) throw new Error(`${table.label} has no rows with numeric max and min values`);
+
+  return { rows, dropped };
+}
+
+/**
+ * getYearExtent — finds the first and last year present in the dataset.
+ * This is the full span the year-range control can select from.
+ *
+ * @param {object[]} rows - output of parseRows()
+ * @returns {number[]} [firstYear, lastYear]
+ */
+export function getYearExtent(rows) {
+  return d3.extent(rows, d => d.year);
+}
+
+/**
+ * buildGrouped — filters to the chosen year window and groups daily records
+ * into a nested Map structure: year → month → day[].
+ *
+ * @param {object[]} rows      - output of parseRows()
+ * @param {number[]} yearRange - inclusive [startYear, endYear]
+ * @returns {{ grouped, years }}
+ */
+function buildGrouped(rows, yearRange) {
+  const [startYear, endYear] = yearRange;
+
+  // Keep only rows within the selected window (both ends inclusive)
+  const filtered = rows.filter(d => d.year >= startYear && d.year <= endYear);
+
+  // d3.group creates a nested Map: Map<year, Map<month, day[]>>
+  const grouped = d3.group(filtered, d => d.year, d => d.month);
+
+  // Every year in the window drives the x-axis column order, even a year
+  // with no rows, so that gaps in the data show up as empty columns
+  const years = d3.range(startYear, endYear + 1);
+
+  return { grouped, years };
+}
+
+/**
+ * buildCells — flattens the nested Map into a plain array of cell objects,
+ * one per (year, month) pair. Each cell pre-computes the statistics needed
+ * for coloring and tooltips so the drawing functions stay simple.
+ *
+ * Each cell contains:
+ *   { year, month, days, absMax, absMin, …, expectedDays, coverage }
+ *
+ *   absMax       — the single hottest day in that month (used for "Max" mode color)
+ *   absMin       — the single coldest day in that month (used for "Min" mode color)
+ *   …            — the other statistics from computeCellStats() (statistics.js)
+ *   expectedDays — calendar days of the month inside the dataset's date span
+ *   coverage     — share of those days that have a row (0–1)
+ *
+ * @param {Map}      grouped    - nested Map from buildGrouped()
+ * @param {number[]} years      - sorted array of years
+ * @param {Date[]}   span       - [firstDate, lastDate] of the whole dataset
+ * @param {object}   thresholds - { hot, cold } in °C for the day-count statistics
+ * @param {Function} onProgress - called as (done, total) after each year
+ * @returns {object[]} flat array of cell data objects
+ */
+function buildCells(grouped, years, span, thresholds, onProgress = () => {}) {
+  const cells = [];
+
+  years.forEach((year, i) => {
+    const monthMap = grouped.get(year) ?? new Map();
+
+    for (let month = 1; month <= 12; month++) {
+      const days         = monthMap.get(month) || [];
+      const expectedDays = countExpectedDays(year, month, span);
+
+      // Months entirely before or after the dataset have nothing to show
+      if (!expectedDays) continue;
+
+      // Count distinct days so duplicate dates can't inflate coverage
+      const presentDays = new Set(days.map(d => d.day)).size;
+
+      cells.push({
+        year,
+        month,
+        days,
+        ...computeCellStats(days, thresholds),
+        expectedDays,
+        coverage: presentDays / expectedDays,
+      });
+    }
+    onProgress(i + 1, years.length);
+  });
+
+  return cells;
+}
+
+/**
+ * aggregateCells — the cells of every year in the dataset, spells attached.
+ * Spells (runs of event days) are found over the whole dataset, so runs
+ * crossing a month boundary stay whole.
+ *
+ * @param {object[]} rows       - output of parseRows()
+ * @param {Date[]}   span       - [firstDate, lastDate] of the dataset
+ * @param {object}   thresholds - threshold values in °C, plus minRun (days)
+ * @param {Function} onProgress - called as (done, total) after each year
+ * @returns {object[]} cells, in year then month order
+ */
+export function aggregateCells(rows, span, thresholds, onProgress = () => {}) {
+  const runs = findAllRuns(rows, thresholds);
+  const { grouped, years } = buildGrouped(rows, getYearExtent(rows));
+  return addEventRuns(buildCells(grouped, years, span, thresholds, onProgress), runs);
+}
+
+/**
+ * selectYears — the cells of one year window. The matrix, the anomaly
+ * baseline and both compare ranges each take their cells from the same
+ * aggregated dataset this way.
+ *
+ * @param {object[]} cells     - output of aggregateCells()
+ * @param {number[]} yearRange - [startYear, endYear], inclusive
+ * @returns {{ cells: object[], years: number[] }}
+ */
+export function selectYears(cells, [startYear, endYear]) {
+  return {
+    cells: cells.filter(d => d.year >= startYear && d.year <= endYear),
+    years: d3.range(startYear, endYear + 1),
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * anomaly.js
+ *
+ * Anomaly view: instead of its absolute value, each cell is colored by how far
+ * it departs from that calendar month's average over a reference period
+ * (the "baseline", e.g. 1997–2006). This removes the seasonal cycle so that
+ * year-to-year differences stand out.
+ */
+
+import * as d3 from "d3";
+import { formatNumber } from "./locale.js";
+
+// How many of the earliest years form the default reference period
+export const DEFAULT_BASELINE_SPAN = 10;
+
+// Warm anomalies → red, cool anomalies → blue, zero → white
+export const ANOMALY_INTERPOLATOR = t => d3.interpolateRdBu(1 - t);
+
+/**
+ * getDefaultBaselineRange — the first DEFAULT_BASELINE_SPAN years of the
+ * dataset, clamped to its end.
+ *
+ * @param {number[]} extent - [firstYear, lastYear] of the dataset
+ * @returns {number[]} [startYear, endYear]
+ */
+export function getDefaultBaselineRange([firstYear, lastYear]) {
+  return [firstYear, Math.min(lastYear, firstYear + DEFAULT_BASELINE_SPAN - 1)];
+}
+
+/**
+ * buildBaseline — the mean value of one statistic per calendar month
+ * over the cells of the reference period.
+ *
+ * @param {object[]} baselineCells - buildCells() output for the reference years
+ * @param {string}   field         - cell property of the statistic, e.g. "absMax"
+ * @returns {Map<number, number>} month (1–12) → baseline value; months with
+ *   no data in the reference period are absent
+ */
+export function buildBaseline(baselineCells, field) {
+  const baseline = new Map();
+
+  d3.group(baselineCells, d => d.month).forEach((monthCells, month) => {
+    const mean = d3.mean(monthCells, d => d[field] ?? undefined);
+    if (mean !== undefined) baseline.set(month, mean);
+  });
+
+  return baseline;
+}
+
+/**
+ * addAnomalies — copies each cell with two extra properties:
+ *   baseline — the month's reference value (null if unknown)
+ *   anomaly  — the cell's value minus the baseline (null if either is missing)
+ *
+ * @param {object[]}            cells    - buildCells() output for the shown years
+ * @param {Map<number, number>} baseline - from buildBaseline()
+ * @param {string}              field    - cell property of the statistic
+ * @returns {object[]} new cell objects
+ */
+export function addAnomalies(cells, baseline, field) {
+  return cells.map(d => {
+    const base  = baseline.get(d.month) ?? null;
+    const value = d[field];
+    return {
+      ...d,
+      baseline: base,
+      anomaly:  base !== null && value !== null ? value - base : null,
+    };
+  });
+}
+
+/**
+ * formatSigned — a number with an explicit sign, e.g. "+1.2" or "-0.4".
+ *
+ * @param {number} value
+ * @param {number} digits - decimal places
+ * @param {string} locale - key of LOCALES (locale.js)
+ * @returns {string}
+ */
+export function formatSigned(value, digits, locale) {
+  return formatNumber(value, digits, locale, true);
+}
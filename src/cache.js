@@ -0,0 +1,126 @@
+/**
+ * cache.js
+ *
+ * An IndexedDB cache used by the data worker (dataWorker.js), so a file
+ * that was loaded before opens without being parsed and aggregated again,
+ * and a data URL that loaded once still opens when the network is gone.
+ *
+ * Three stores, each holding records { key, savedAt, value }:
+ *   tables   — file hash → parsed table
+ *   datasets — file hash, mapping and thresholds → rows, quality report, cells
+ *   sources  — data URL → hash of the file it served last
+ *
+ * The cache only ever saves work: when IndexedDB is unavailable (as in
+ * some private browsing modes) or a read or write fails, lookups miss and
+ * loading carries on without it.
+ */
+
+const DB_NAME    = "temperature-matrix";
+const DB_VERSION = 1;
+
+// Records kept per store; the ones saved longest ago are dropped first
+const STORE_LIMITS = { tables: 4, datasets: 12, sources: 20 };
+
+// The open database, shared by every lookup
+let dbPromise = null;
+
+/**
+ * settle — a promise for the result of an IndexedDB request.
+ *
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+/**
+ * openCache — opens the database on first use, creating its stores.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openCache() {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      Object.keys(STORE_LIMITS).forEach(name => {
+        request.result.createObjectStore(name, { keyPath: "key" }).createIndex("savedAt", "savedAt");
+      });
+    };
+    dbPromise = settle(request);
+  }
+  return dbPromise;
+}
+
+/**
+ * hashText — the SHA-256 digest of a file's text as hex, the key its
+ * table and datasets are cached under. Resolves to null where the
+ * browser offers no digest (pages served over plain HTTP), which turns
+ * the cache off for that file.
+ *
+ * @param {string} text
+ * @returns {Promise<string|null>}
+ */
+export function hashText(text) {
+  if (!globalThis.crypto?.subtle) return Promise.resolve(null);
+  return crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))
+    .then(digest => Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join(""));
+}
+
+/**
+ * cacheGet — the value saved under a key, or undefined when there is none
+ * (or the cache can't be read).
+ *
+ * @param {string}      store - key of STORE_LIMITS
+ * @param {string|null} key   - null always misses
+ * @returns {Promise<*>}
+ */
+export function cacheGet(store, key) {
+  if (key === null) return Promise.resolve(undefined);
+  return openCache()
+    .then(db => settle(db.transaction(store).objectStore(store).get(key)))
+    .then(record => record?.value)
+    .catch(() => undefined);
+}
+
+/**
+ * cachePut — saves a value under a key, then trims the store to its
+ * limit. Failures are ignored.
+ *
+ * @param {string}      store - key of STORE_LIMITS
+ * @param {string|null} key   - null saves nothing
+ * @param {*}           value - anything structured clone can copy
+ * @returns {Promise<void>}
+ */
+export function cachePut(store, key, value) {
+  if (key === null) return Promise.resolve();
+  return openCache()
+    .then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(store, "readwrite");
+      const records     = transaction.objectStore(store);
+      records.put({ key, savedAt: Date.now(), value });
+
+      // The new record has the latest savedAt, so it is never the one trimmed
+      const count = records.count();
+      count.onsuccess = () => {
+        let excess = count.result - STORE_LIMITS[store];
+        if (excess <= 0) return;
+        records.index("savedAt").openCursor().onsuccess = event => {
+          const cursor = event.target.result;
+          if (!cursor || excess-- <= 0) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror    = () => reject(transaction.error);
+      transaction.onabort    = () => reject(transaction.error);
+    }))
+    .catch(() => {});
+}
@@ -0,0 +1,137 @@
+/**
+ * colorScale.js
+ *
+ * Builds the scale that colors the cells from the user's color settings:
+ *
+ *   { domainMode, manualMin, manualMax, scaleType, bins, breaks, palette, reverse }
+ *
+ *   domainMode — "preset" (the statistic's fixed range), "auto" (from the
+ *                values currently shown) or "manual" (manualMin → manualMax)
+ *   scaleType  — "continuous", "quantize" (`bins` equal-width bins) or
+ *                "threshold" (bins split at the comma-separated `breaks`)
+ *   palette    — key of PALETTES; "default" keeps the statistic's own colors
+ *   reverse    — flips the palette end for end
+ *
+ * Diverging views (the anomaly view) keep their midpoint at zero whatever
+ * the settings, so warm and cool departures stay visually balanced.
+ */
+
+import * as d3 from "d3";
+
+// Color palettes offered in the settings panel. Viridis, cividis and the
+// other perceptually uniform maps stay readable with color-vision deficiencies.
+export const PALETTES = {
+  default: { label: "Statistic default",              interpolator: null },
+  viridis: { label: "Viridis (colorblind-safe)",      interpolator: d3.interpolateViridis },
+  cividis: { label: "Cividis (colorblind-safe)",      interpolator: d3.interpolateCividis },
+  magma:   { label: "Magma (colorblind-safe)",        interpolator: d3.interpolateMagma },
+  inferno: { label: "Inferno (colorblind-safe)",      interpolator: d3.interpolateInferno },
+  plasma:  { label: "Plasma (colorblind-safe)",       interpolator: d3.interpolatePlasma },
+  turbo:   { label: "Turbo",                          interpolator: d3.interpolateTurbo },
+  rdylbu:  { label: "Blue–Yellow–Red",                interpolator: t => d3.interpolateRdYlBu(1 - t) },
+  rdbu:    { label: "Blue–White–Red",                 interpolator: t => d3.interpolateRdBu(1 - t) },
+  puor:    { label: "Purple–Orange (colorblind-safe)", interpolator: d3.interpolatePuOr },
+  greys:   { label: "Greys",                          interpolator: d3.interpolateGreys },
+};
+
+export const DEFAULT_COLOR_SETTINGS = {
+  domainMode: "preset",
+  manualMin:  0,
+  manualMax:  40,
+  scaleType:  "continuous",
+  bins:       8,
+  breaks:     "",
+  palette:    "default",
+  reverse:    false,
+};
+
+/**
+ * parseBreaks — reads the threshold break list ("10, 15, 20") into a sorted
+ * array of unique numbers, ignoring anything that isn't a number.
+ *
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function parseBreaks(text) {
+  const values = String(text)
+    .split(/[,\s;]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter(v => !isNaN(v));
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * resolveExtent — the [low, high] range the scale should cover.
+ *
+ * @param {object}   settings     - color settings
+ * @param {number[]} presetDomain - the view's fixed [low, high]
+ * @param {number[]} values       - values currently shown (nulls removed)
+ * @param {boolean}  diverging    - keep the range symmetric around zero
+ * @returns {number[]} [low, high], always with low < high
+ */
+function resolveExtent(settings, presetDomain, values, diverging) {
+  let extent = presetDomain;
+
+  if (settings.domainMode === "manual") {
+    extent = [+settings.manualMin, +settings.manualMax];
+  } else if (settings.domainMode === "auto" && values.length) {
+    extent = diverging
+      ? [-d3.max(values, Math.abs), d3.max(values, Math.abs)]
+      : d3.extent(values);
+    extent = d3.scaleLinear().domain(extent).nice().domain();
+  }
+
+  // Guard against an empty or inverted range (e.g. every value identical)
+  const [low, high] = extent;
+  if (!(high > low)) return [low - 1, low + 1];
+  return [low, high];
+}
+
+/**
+ * buildColorScale — the scale for the current view and settings.
+ *
+ * Continuous scales are d3.scaleSequential (or d3.scaleDiverging when
+ * `diverging`); binned ones are d3.scaleQuantize / d3.scaleThreshold,
+ * which drawLegend() recognizes by their invertExtent() method.
+ *
+ * @param {object} settings - color settings (see top of file)
+ * @param {object} view
+ * @param {Function} view.interpolator - the view's own palette
+ * @param {number[]} view.presetDomain - the view's fixed [low, high]
+ * @param {boolean}  view.diverging    - true for views centered on zero
+ * @param {number[]} view.values       - values currently shown (nulls removed)
+ * @returns {{ scale, extent }} the scale and the [low, high] range it covers
+ */
+export function buildColorScale(settings, { interpolator, presetDomain, diverging, values }) {
+  const base   = PALETTES[settings.palette]?.interpolator ?? interpolator;
+  const interp = settings.reverse ? t => base(1 - t) : base;
+  const extent = resolveExtent(settings, presetDomain, values, diverging);
+  const [low, high] = extent;
+
+  if (settings.scaleType === "quantize") {
+    const bins = Math.max(2, Math.round(settings.bins) || 2);
+    const scale = d3.scaleQuantize()
+      .domain(extent)
+      .range(d3.quantize(interp, bins));
+    return { scale, extent };
+  }
+
+  if (settings.scaleType === "threshold") {
+    const breaks = parseBreaks(settings.breaks).filter(v => v > low && v < high);
+    if (breaks.length) {
+      const scale = d3.scaleThreshold()
+        .domain(breaks)
+        .range(d3.quantize(interp, breaks.length + 1));
+      return { scale, extent };
+    }
+    // No usable breaks yet: fall through to a continuous scale
+  }
+
+  if (diverging) {
+    const mid = low < 0 && high > 0 ? 0 : (low + high) / 2;
+    return { scale: d3.scaleDiverging().domain([low, mid, high]).interpolator(interp), extent };
+  }
+
+  return { scale: d3.scaleSequential().domain(extent).interpolator(interp), extent };
+}
@@ -0,0 +1,186 @@
+/**
+ * compare.js
+ *
+ * Compare mode: the matrix for two year ranges, A (earlier) and B (later),
+ * e.g. the last decade against the one before it, or for two stations over
+ * the same year window. Two layouts:
+ *   - difference  — year ranges: one column of 12 month cells colored by
+ *                   B − A, where each side is the month's mean over its range;
+ *                   stations: a full year × month matrix of B − A
+ *   - side        — the two matrices next to each other, sharing one legend
+ */
+
+import * as d3 from "d3";
+import { buildBaseline, formatSigned } from "./anomaly.js";
+import { formatNumber } from "./locale.js";
+
+// Years per range when compare mode is first switched on
+export const DEFAULT_COMPARE_SPAN = 10;
+
+// What compare mode sets against each other
+export const COMPARE_BY = {
+  years:    "Year ranges",
+  stations: "Stations",
+};
+
+export const COMPARE_LAYOUTS = {
+  difference: "Difference (B − A)",
+  side:       "Side by side",
+};
+
+// Column key of the single column of the difference matrix
+export const DIFFERENCE_COLUMN = 0;
+
+/**
+ * getDefaultCompareRanges — the last DEFAULT_COMPARE_SPAN years (B) and
+ * the span before them (A). Short datasets are split in half instead.
+ *
+ * @param {number[]} extent - [firstYear, lastYear] of the dataset
+ * @returns {{ a: number[], b: number[] }}
+ */
+export function getDefaultCompareRanges([firstYear, lastYear]) {
+  if (lastYear - firstYear + 1 >= 2 * DEFAULT_COMPARE_SPAN) {
+    return {
+      a: [lastYear - 2 * DEFAULT_COMPARE_SPAN + 1, lastYear - DEFAULT_COMPARE_SPAN],
+      b: [lastYear - DEFAULT_COMPARE_SPAN + 1, lastYear],
+    };
+  }
+  const middle = Math.floor((firstYear + lastYear) / 2);
+  return { a: [firstYear, middle], b: [Math.min(middle + 1, lastYear), lastYear] };
+}
+
+/**
+ * formatRange — a year range as text, e.g. "2008–2017".
+ *
+ * @param {number[]} range - [startYear, endYear]
+ * @returns {string}
+ */
+export function formatRange([start, end]) {
+  return start === end ? `${start}` : `${start}–${end}`;
+}
+
+/**
+ * buildDifferenceCells — one cell per calendar month holding the mean of a
+ * statistic over each range and their difference (B − A). Months without
+ * data in either range get a null delta.
+ *
+ * The cells keep the shape drawMatrix() expects (year, month, days,
+ * coverage), in the single column DIFFERENCE_COLUMN and without mini charts.
+ *
+ * @param {object[]} cellsA - cells of range A
+ * @param {object[]} cellsB - cells of range B
+ * @param {string}   field  - statistic field to compare
+ * @param {object}   ranges - { a, b } year ranges, for labels
+ * @returns {object[]} [{ year, month, days, coverage, a, b, delta, periods }],
+ *   periods being the labels of A and B
+ */
+export function buildDifferenceCells(cellsA, cellsB, field, ranges) {
+  const meansA  = buildBaseline(cellsA, field);
+  const meansB  = buildBaseline(cellsB, field);
+  const periods = [formatRange(ranges.a), formatRange(ranges.b)];
+
+  return d3.range(1, 13).map(month => {
+    const a = meansA.get(month) ?? null;
+    const b = meansB.get(month) ?? null;
+    return {
+      year:     DIFFERENCE_COLUMN,
+      month,
+      days:     [],
+      coverage: 1,
+      a,
+      b,
+      delta:    a !== null && b !== null ? b - a : null,
+      periods,
+    };
+  });
+}
+
+/**
+ * buildStationDifferenceCells — one cell per year and month of the window
+ * holding a statistic at each of two stations and their difference (B − A).
+ * Months that neither station covers are left out; months only one of them
+ * covers get a null delta.
+ *
+ * The cells have the shape of buildDifferenceCells(), with their own year
+ * instead of DIFFERENCE_COLUMN and the station names as labels.
+ *
+ * @param {object[]} cellsA   - cells of station A in the year window
+ * @param {object[]} cellsB   - cells of station B in the year window
+ * @param {number[]} years    - the years of the window
+ * @param {string}   field    - statistic field to compare
+ * @param {string[]} stations - [A, B] station names, for labels
+ * @returns {object[]} [{ year, month, days, coverage, a, b, delta, periods }]
+ */
+export function buildStationDifferenceCells(cellsA, cellsB, years, field, stations) {
+  const key    = d => `${d.year}-${d.month}`;
+  const indexA = new Map(cellsA.map(d => [key(d), d]));
+  const indexB = new Map(cellsB.map(d => [key(d), d]));
+
+  return years.flatMap(year => d3.range(1, 13).map(month => {
+    const cellA = indexA.get(`${year}-${month}`);
+    const cellB = indexB.get(`${year}-${month}`);
+    if (!cellA && !cellB) return null;
+
+    const a = cellA?.[field] ?? null;
+    const b = cellB?.[field] ?? null;
+    return {
+      year,
+      month,
+      days:     [],
+      coverage: 1,
+      a,
+      b,
+      delta:    a !== null && b !== null ? b - a : null,
+      periods:  stations,
+    };
+  })).filter(Boolean);
+}
+
+/**
+ * findDifference — the difference cell that matches a cell of either side
+ * (the month's cell when comparing year ranges, the year and month's when
+ * comparing stations).
+ *
+ * @param {object[]} differences - from buildDifferenceCells() or buildStationDifferenceCells()
+ * @param {object}   d           - a cell of A or B
+ * @returns {object|undefined}
+ */
+export function findDifference(differences, d) {
+  return differences.find(c => c.month === d.month && (c.year === DIFFERENCE_COLUMN || c.year === d.year));
+}
+
+/**
+ * formatPeriodValue — a month's mean over a range, e.g. "31.2 °C" or
+ * "4.3 days" (means of counts keep one decimal).
+ *
+ * @param {number|null} value
+ * @param {object}      stat  - the active entry of STATISTICS
+ * @returns {string}
+ */
+export function formatPeriodValue(value, stat) {
+  return value === null ? "N/A" : `${formatNumber(value, 1, stat.locale)} ${stat.unit}`;
+}
+
+/**
+ * formatDelta — a difference with its sign, e.g. "+0.4 °C".
+ *
+ * @param {number|null} delta
+ * @param {object}      stat  - the active entry of STATISTICS
+ * @returns {string}
+ */
+export function formatDelta(delta, stat) {
+  return delta === null ? "N/A" : `${formatSigned(delta, 1, stat.locale)} ${stat.unit}`;
+}
+
+/**
+ * formatComparison — a month's two means and their difference,
+ * e.g. "A 31.2 °C · B 31.6 °C · B − A +0.4 °C".
+ *
+ * @param {object} d    - cell from buildDifferenceCells()
+ * @param {object} stat - the active entry of STATISTICS
+ * @returns {string}
+ */
+export function formatComparison(d, stat) {
+  return `A ${formatPeriodValue(d.a, stat)} · B ${formatPeriodValue(d.b, stat)} · ` +
+    `B − A ${formatDelta(d.delta, stat)}`;
+}
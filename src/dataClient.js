@@ -0,0 +1,109 @@
+/**
+ * dataClient.js
+ *
+ * The main thread's side of the data worker (dataWorker.js): every request
+ * becomes a promise, and the worker's progress messages go to a callback
+ * while it runs. The worker is started on the first request and kept for
+ * the rest of the session, since it holds the loaded table.
+ *
+ * Progress reports are { stage, done, total }, e.g.
+ * { stage: "Parsing rows", done: 4000, total: 7671 }; total is 0 for
+ * stages that can't be measured.
+ */
+
+let worker = null;
+let nextId = 0;
+
+// Requests awaiting an answer: id → { resolve, reject, onProgress }
+const pending = new Map();
+
+/**
+ * getWorker — the data worker, started on first use.
+ *
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL("./dataWorker.js", import.meta.url), { type: "module" });
+
+  worker.onmessage = ({ data: { id, type, ...message } }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    if (type === "progress") {
+      request.onProgress(message);
+      return;
+    }
+    pending.delete(id);
+    if (type === "result") request.resolve(message.result);
+    else request.reject(new Error(message.message));
+  };
+
+  // The worker itself failed (e.g. its script didn't load): fail every
+  // request and start a new worker next time
+  worker.onerror = event => {
+    const err = new Error(event.message || "The data worker stopped");
+    pending.forEach(request => request.reject(err));
+    pending.clear();
+    worker = null;
+  };
+
+  return worker;
+}
+
+/**
+ * request — sends one request to the worker.
+ *
+ * @param {string}   type       - "load" or "prepare"
+ * @param {object}   payload
+ * @param {Function} onProgress - called with each progress report
+ * @returns {Promise<*>} the worker's result
+ */
+function request(type, payload, onProgress = () => {}) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, type, ...payload });
+  });
+}
+
+/**
+ * loadSource — reads and parses a URL or File in the worker.
+ *
+ * Relative URLs — the source's, and those in a station manifest — are
+ * resolved against the page (base), since the worker would resolve them
+ * against its own script.
+ *
+ * @param {{ url: string }|{ file: File }} source
+ * @param {Function} onProgress - called with each progress report
+ * @returns {Promise<object>} the table with only its first record, plus
+ *   { rowCount, hash, offline } (offline: the copy saved for the URL was used)
+ */
+export function loadSource(source, onProgress) {
+  const base = window.location.href;
+  const resolved = source.url ? { url: new URL(source.url, base).href, base } : { ...source, base };
+  return request("load", { source: resolved }, onProgress);
+}
+
+/**
+ * prepareData — parses the last loaded table with a column mapping and
+ * aggregates each of its stations with the given thresholds, in the worker.
+ *
+ * @param {object}   mapping    - { date, max, min, dateFormat, station }
+ * @param {object}   thresholds - threshold values in °C, plus minRun (days)
+ * @param {Function} onProgress - called with each progress report
+ * @returns {Promise<{ extent, stations: { name, rows, quality, cells }[] }>}
+ */
+export function prepareData(mapping, thresholds, onProgress) {
+  return request("prepare", { mapping, thresholds }, onProgress);
+}
+
+/**
+ * formatProgress — a progress report as text, e.g. "Parsing rows… 52%".
+ *
+ * @param {object} progress - { stage, done, total }
+ * @returns {string}
+ */
+export function formatProgress({ stage, done, total }) {
+  return total ? `${stage}… ${Math.round((done / total) * 100)}%` : `${stage}…`;
+}
@@ -0,0 +1,133 @@
+/**
+ * dataQuality.js
+ *
+ * Checks what the parsed daily series is missing or getting wrong, so
+ * nothing is lost silently between the source file and the matrix:
+ *   - rows dropped by parseRows() because a temperature wasn't numeric
+ *   - calendar days with no row at all
+ *   - dates that appear more than once
+ *   - days where the minimum is above the maximum
+ *   - values outside a physically plausible range
+ *
+ * Every problem becomes one "issue" object:
+ *   { kind, date, where, detail }
+ *
+ *   kind   — one of the keys of ISSUE_KINDS
+ *   date   — "YYYY-MM-DD" the issue refers to ("" if the date is unknown)
+ *   where  — position in the source file, e.g. "line 57" ("" for missing days)
+ *   detail — human-readable explanation
+ */
+
+import * as d3 from "d3";
+
+// Daily values outside this range (°C) are flagged as implausible.
+// Generous on purpose: it catches unit mix-ups and sentinel values like -999,
+// not merely unusual weather.
+export const PLAUSIBLE_MIN_C = -60;
+export const PLAUSIBLE_MAX_C = 60;
+
+// Issue kinds, in the order they are listed in the report
+export const ISSUE_KINDS = {
+  "dropped":       "Dropped rows",
+  "missing":       "Missing days",
+  "duplicate":     "Duplicate dates",
+  "min-above-max": "Min above max",
+  "implausible":   "Implausible values",
+};
+
+const formatDate = d3.timeFormat("%Y-%m-%d");
+
+/**
+ * countExpectedDays — how many days of a month fall inside the span the
+ * dataset covers. Months wholly outside the span expect 0 days, and the
+ * first/last months only count the days from the first/last record on.
+ *
+ * @param {number}   year  - calendar year
+ * @param {number}   month - 1–12
+ * @param {Date[]}   span  - [firstDate, lastDate] of the dataset
+ * @returns {number}
+ */
+export function countExpectedDays(year, month, span) {
+  const start = d3.max([new Date(year, month - 1, 1), span[0]]);
+  const end   = d3.min([new Date(year, month, 1), d3.timeDay.offset(span[1], 1)]);
+  return Math.max(0, d3.timeDay.count(start, end));
+}
+
+/**
+ * buildQualityReport — runs every check over the parsed rows.
+ *
+ * @param {object[]} rows    - rows returned by parseRows()
+ * @param {object[]} dropped - issues for rows parseRows() filtered out
+ * @returns {{ span, issues, counts }}
+ *   span   — [firstDate, lastDate] covered by the rows
+ *   issues — every issue, sorted by date
+ *   counts — number of issues per kind
+ */
+export function buildQualityReport(rows, dropped) {
+  const span   = d3.extent(rows, d => d.date);
+  const issues = [...dropped];
+
+  // ── Duplicate dates ──
+  const byDate = d3.group(rows, d => formatDate(d.date));
+  byDate.forEach((sameDay, date) => {
+    if (sameDay.length > 1) {
+      issues.push({
+        kind:   "duplicate",
+        date,
+        where:  sameDay.map(d => d.where).join(", "),
+        detail: `${sameDay.length} rows for the same date`,
+      });
+    }
+  });
+
+  // ── Missing calendar days between the first and last record ──
+  d3.timeDay.range(span[0], d3.timeDay.offset(span[1], 1)).forEach(day => {
+    const date = formatDate(day);
+    if (!byDate.has(date)) {
+      issues.push({ kind: "missing", date, where: "", detail: "no row for this day" });
+    }
+  });
+
+  // ── Per-row consistency and plausibility ──
+  rows.forEach(d => {
+    const date = formatDate(d.date);
+
+    if (d.min > d.max) {
+      issues.push({
+        kind:   "min-above-max",
+        date,
+        where:  d.where,
+        detail: `min ${d.min} °C is above max ${d.max} °C`,
+      });
+    }
+
+    [["max", d.max], ["min", d.min]].forEach(([field, value]) => {
+      if (value < PLAUSIBLE_MIN_C || value > PLAUSIBLE_MAX_C) {
+        issues.push({
+          kind:   "implausible",
+          date,
+          where:  d.where,
+          detail: `${field} ${value} °C is outside ${PLAUSIBLE_MIN_C}…${PLAUSIBLE_MAX_C} °C`,
+        });
+      }
+    });
+  });
+
+  issues.sort((a, b) => d3.ascending(a.date, b.date));
+
+  const counts = Object.fromEntries(
+    Object.keys(ISSUE_KINDS).map(kind => [kind, issues.filter(i => i.kind === kind).length])
+  );
+
+  return { span, issues, counts };
+}
+
+/**
+ * issuesToCsv — serializes the issue list for download.
+ *
+ * @param {object[]} issues - from buildQualityReport()
+ * @returns {string} CSV text with a header row
+ */
+export function issuesToCsv(issues) {
+  return d3.csvFormat(issues, ["kind", "date", "where", "detail"]);
+}
@@ -0,0 +1,185 @@
+/**
+ * dataSource.js
+ *
+ * Loads daily temperature tables from wherever they come from:
+ *   - a URL (the bundled CSV by default, or any file passed as ?data=<url>)
+ *   - a File picked with the upload button or dropped onto the page
+ *
+ * Both CSV and JSON are accepted. Whatever the input, the result is a plain
+ * "table" object that parseRows() (aggregate.js) turns into typed rows with
+ * the column mapping chosen in App.jsx:
+ *
+ *   { label, format, columns, records, firstRow, rowKind }
+ *
+ *   columns  — every field name found in the records
+ *   records  — one plain object per input row, values still untyped
+ *   firstRow — number of the first record, so errors can name the right row
+ *   rowKind  — "line" for CSV (header is line 1) or "record" for JSON
+ *
+ * Files are read and parsed in the data worker (dataWorker.js), off the
+ * main thread; getDataUrlParam() and guessMapping() are used by App.jsx.
+ */
+
+import * as d3 from "d3";
+
+// Dataset shipped with the app, used when no ?data= parameter is given
+export const DEFAULT_DATA_URL = "/temperature_daily.csv";
+
+// Date formats offered in the column-mapping step (d3-time-format specifiers)
+export const DATE_FORMATS = [
+  { value: "%Y-%m-%d", label: "YYYY-MM-DD" },
+  { value: "%Y/%m/%d", label: "YYYY/MM/DD" },
+  { value: "%d/%m/%Y", label: "DD/MM/YYYY" },
+  { value: "%m/%d/%Y", label: "MM/DD/YYYY" },
+  { value: "%d-%m-%Y", label: "DD-MM-YYYY" },
+  { value: "%Y%m%d",   label: "YYYYMMDD"   },
+];
+
+// Column-name patterns used to pre-fill the mapping for unfamiliar files
+const COLUMN_HINTS = {
+  date:    /date|day|time/i,
+  max:     /max|high/i,
+  min:     /min|low/i,
+  station: /station|site|stn/i,
+};
+
+/**
+ * detectFormat — decides whether a file is CSV or JSON, first from its
+ * extension and, failing that, from its first non-blank character.
+ *
+ * @param {string} name - file name or URL
+ * @param {string} text - file contents
+ * @returns {"csv"|"json"}
+ */
+function detectFormat(name, text) {
+  const path = name.split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith(".json")) return "json";
+  if (path.endsWith(".csv"))  return "csv";
+  return /^\s*[[{]/.test(text) ? "json" : "csv";
+}
+
+/**
+ * parseTable — turns raw file text into a table object.
+ *
+ * JSON input may be an array of objects or an object with a `data` array
+ * (a common shape for API exports). Anything else is rejected with a
+ * message naming the source.
+ *
+ * @param {string} text   - file contents
+ * @param {string} format - "csv" or "json"
+ * @param {string} label  - file name or URL, used in messages
+ * @returns {object} table (see top of file)
+ */
+export function parseTable(text, format, label) {
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${label} is not valid JSON (${err.message})`);
+    }
+
+    const records = Array.isArray(data) ? data : data?.data;
+    if (!Array.isArray(records) || records.some(r => r === null || typeof r !== "object")) {
+      throw new Error(`${label} must contain an array of row objects`);
+    }
+    if (!records.length) throw new Error(`${label} contains no rows`);
+
+    // Union of keys, in first-seen order, so sparse records still show every column
+    const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+
+    return { label, format, columns, records, firstRow: 1, rowKind: "record" };
+  }
+
+  const records = d3.csvParse(text);
+  if (!records.length) throw new Error(`${label} contains no rows`);
+
+  // Header is line 1, so the first data record sits on line 2
+  return { label, format, columns: records.columns, records, firstRow: 2, rowKind: "line" };
+}
+
+/**
+ * readSource — reads the text of a URL or of a user-supplied File.
+ *
+ * @param {{ url: string }|{ file: File }} source - a File comes from an
+ *   <input type="file"> or a drop event
+ * @returns {Promise<{ text: string, label: string }>} the text, and the
+ *   URL or file name to name it by
+ */
+export function readSource(source) {
+  if (source.file) return source.file.text().then(text => ({ text, label: source.file.name }));
+  return d3.text(source.url).then(text => ({ text, label: source.url }));
+}
+
+/**
+ * tableFromText — parses text read by readSource(), detecting its format.
+ *
+ * @param {string} text
+ * @param {string} label - file name or URL
+ * @returns {object} table
+ */
+export function tableFromText(text, label) {
+  return parseTable(text, detectFormat(label, text), label);
+}
+
+/**
+ * getDataUrlParam — reads the optional ?data=<url> query parameter.
+ *
+ * @returns {string|null} the URL to load instead of the bundled dataset
+ */
+export function getDataUrlParam() {
+  return new URLSearchParams(window.location.search).get("data");
+}
+
+/**
+ * guessMapping — pre-fills the column mapping for a table.
+ *
+ * Columns are matched by name against COLUMN_HINTS, and the date format is
+ * the first entry of DATE_FORMATS that parses the first record's date.
+ * Any field that can't be guessed is left as null for the user to pick;
+ * the station column is optional and stays null for single-station files.
+ *
+ * @param {object} table - output of parseTable()
+ * @returns {{ date, max, min, dateFormat, station }}
+ */
+export function guessMapping(table) {
+  const pick = hint => table.columns.find(c => hint.test(c)) ?? null;
+
+  const date = pick(COLUMN_HINTS.date);
+  const max  = pick(COLUMN_HINTS.max);
+  const min  = table.columns.find(c => COLUMN_HINTS.min.test(c) && c !== max) ?? null;
+  const station = pick(COLUMN_HINTS.station); // optional
+
+  const sample = date !== null ? String(table.records[0][date] ?? "") : "";
+  const dateFormat = DATE_FORMATS
+    .map(f => f.value)
+    .find(f => d3.timeParse(f)(sample) !== null) ?? null;
+
+  return { date, max, min, dateFormat, station };
+}
+
+/**
+ * isMappingComplete — true when every required field of a mapping has
+ * been chosen (the station column is optional).
+ *
+ * @param {object} mapping - { date, max, min, dateFormat, station }
+ * @returns {boolean}
+ */
+export function isMappingComplete(mapping) {
+  return ["date", "max", "min", "dateFormat"].every(k => mapping[k]);
+}
+
+/**
+ * describeRow — human-readable position of a record, for error messages.
+ * Records of a merged multi-station table (see mergeTables() in
+ * stations.js) name their file as well.
+ *
+ * @param {object} table - output of parseTable() or mergeTables()
+ * @param {number} index - 0-based index into table.records
+ * @returns {string} e.g. "line 57", "record 12" or "lfs.csv line 57"
+ */
+export function describeRow(table, index) {
+  const part = table.parts?.findLast(p => p.start <= index);
+  if (part) return `${part.label} ${part.rowKind} ${index - part.start + part.firstRow}`;
+  return `${table.rowKind} ${index + table.firstRow}`;
+}
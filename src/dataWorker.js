@@ -0,0 +1,221 @@
+/**
+ * dataWorker.js
+ *
+ * Web Worker that does the slow part of loading data off the main thread,
+ * so the page stays responsive while a large file is read and aggregated.
+ * It answers two requests:
+ *   load    — reads a URL or File, hashes its text and parses it into a
+ *             table; replies with a preview of the table (see previewTable).
+ *             A station manifest (see stations.js) has its station files
+ *             read as well and merged into one table
+ *   prepare — parses the last loaded table with a column mapping and
+ *             aggregates each station's rows into cells; replies with
+ *             { extent, stations: [{ name, rows, quality, cells }] }
+ *
+ * Both look in the IndexedDB cache first (see cache.js), keyed by the
+ * file's hash, and save what they compute, so a file seen before opens
+ * straight away. When a data URL can't be fetched because the network is
+ * gone, the table saved for that URL last time is used instead.
+ *
+ * Messages in:  { id, type, ...payload }
+ * Messages out: { id, type: "progress", stage, done, total }
+ *               { id, type: "result", result }
+ *               { id, type: "error", message }
+ *
+ * dataClient.js wraps these messages in promises for App.jsx.
+ */
+
+import { readSource, tableFromText } from "./dataSource.js";
+import { parseRows, getYearExtent, aggregateCells } from "./aggregate.js";
+import { parseManifest, mergeTables, splitByStation } from "./stations.js";
+import { buildQualityReport } from "./dataQuality.js";
+import { hashText, cacheGet, cachePut } from "./cache.js";
+
+// Records sent back with the table preview: the column-mapping panel and
+// guessMapping() only look at the first one
+const PREVIEW_RECORDS = 1;
+
+// The last loaded table and its hash (null when the cache is off),
+// and the rows of each station parsed from it with the last mapping
+let current = null;
+let parsed  = null;
+
+/**
+ * stableKey — JSON for a cache key, with object keys sorted so equal
+ * settings always give the same key.
+ *
+ * @param {Array} parts
+ * @returns {string}
+ */
+function stableKey(parts) {
+  return JSON.stringify(parts.map(part =>
+    part && typeof part === "object"
+      ? Object.fromEntries(Object.keys(part).sort().map(k => [k, part[k]]))
+      : part
+  ));
+}
+
+/**
+ * previewTable — the table without most of its records, which stay in
+ * the worker: { ...table, records, rowCount, hash, offline }.
+ *
+ * @param {object}      table
+ * @param {string|null} hash
+ * @param {boolean}     offline - the table is the copy saved for its URL
+ * @returns {object}
+ */
+function previewTable(table, hash, offline) {
+  return {
+    ...table,
+    records:  table.records.slice(0, PREVIEW_RECORDS),
+    rowCount: table.records.length,
+    hash,
+    offline,
+  };
+}
+
+/**
+ * savedCopy — the table last loaded from a URL, used when fetching it
+ * failed for lack of a network. Other failures (HTTP errors, unreadable
+ * files) are passed on.
+ *
+ * @param {object} source - { url, base } or { file, base }
+ * @param {Error}  err    - why reading failed
+ * @returns {Promise<{ hash, table, offline }>}
+ */
+function savedCopy(source, err) {
+  // fetch() rejects with a TypeError only when no response came back at all
+  if (!source.url || !(err instanceof TypeError)) return Promise.reject(err);
+
+  return cacheGet("sources", source.url)
+    .then(hash => cacheGet("tables", hash ?? null).then(table => table
+      ? { hash, table, offline: true }
+      : Promise.reject(err)));
+}
+
+/**
+ * readTable — reads a source, and for a station manifest every station's
+ * file too (relative to the manifest, or to the page for an uploaded one).
+ * Parsing is left to the caller, as the cache may already hold the table.
+ *
+ * @param {object}   source   - { url, base } or { file, base }
+ * @param {Function} progress - (stage, done, total)
+ * @returns {Promise<{ text, label, parse }>} text: everything read, for the
+ *   hash; parse: builds the table
+ */
+function readTable(source, progress) {
+  return readSource(source).then(({ text, label }) => {
+    const stations = parseManifest(text, label);
+    if (!stations) return { text, label, parse: () => tableFromText(text, label) };
+
+    let done = 0;
+    progress("Reading stations", done, stations.length);
+    const files = stations.map(station =>
+      readSource({ url: new URL(station.url, source.url ?? source.base).href })
+        .then(file => {
+          progress("Reading stations", ++done, stations.length);
+          return file;
+        })
+    );
+
+    return Promise.all(files).then(files => ({
+      text:  [text, ...files.map(file => file.text)].join("\0"),
+      label,
+      parse: () => mergeTables(
+        files.map(file => tableFromText(file.text, file.label)),
+        stations.map(station => station.name),
+        label
+      ),
+    }));
+  });
+}
+
+/**
+ * handleLoad — reads and parses a source, or takes its table from the cache.
+ *
+ * @param {object}   payload
+ * @param {object}   payload.source   - { url, base } or { file, base }
+ * @param {Function} progress         - (stage, done, total)
+ * @returns {Promise<object>} preview from previewTable()
+ */
+function handleLoad({ source }, progress) {
+  progress("Reading data");
+
+  return readTable(source, progress)
+    .then(({ text, label, parse }) => hashText(text).then(hash => {
+      progress("Parsing table");
+      return cacheGet("tables", hash).then(saved => {
+        const table = saved ? { ...saved, label } : parse();
+        if (!saved) cachePut("tables", hash, table);
+        if (source.url) cachePut("sources", source.url, hash);
+        return { hash, table, offline: false };
+      });
+    }), err => savedCopy(source, err))
+    .then(({ hash, table, offline }) => {
+      current = { hash, table };
+      return previewTable(table, hash, offline);
+    });
+}
+
+/**
+ * handlePrepare — the rows, quality report and cells of each station of
+ * the last loaded table. Rows parsed for the previous request are reused
+ * when only the thresholds changed.
+ *
+ * Cells are tagged with their station when the mapping has a station
+ * column, so exports can tell them apart.
+ *
+ * @param {object}   payload
+ * @param {object}   payload.mapping    - { date, max, min, dateFormat, station }
+ * @param {object}   payload.thresholds - threshold values in °C, plus minRun (days)
+ * @param {Function} progress           - (stage, done, total)
+ * @returns {Promise<{ extent, stations }>}
+ */
+function handlePrepare({ mapping, thresholds }, progress) {
+  if (!current) return Promise.reject(new Error("No data has been loaded"));
+
+  const { hash, table } = current;
+  const mappingKey = stableKey([mapping]);
+  const key        = hash && stableKey([hash, mapping, thresholds]);
+  const byStation  = Boolean(mapping.station);
+
+  return cacheGet("datasets", key).then(saved => {
+    if (saved) {
+      parsed = { table, mappingKey, extent: saved.extent, stations: saved.stations };
+      return saved;
+    }
+
+    if (parsed?.table !== table || parsed.mappingKey !== mappingKey) {
+      const { rows, dropped } = parseRows(table, mapping, (done, total) => progress("Parsing rows", done, total));
+      const stations = splitByStation(rows, dropped, byStation).map(station => ({
+        name:    station.name,
+        rows:    station.rows,
+        quality: buildQualityReport(station.rows, station.dropped),
+      }));
+      parsed = { table, mappingKey, extent: getYearExtent(rows), stations };
+    }
+
+    const stations = parsed.stations.map(({ name, rows, quality }) => {
+      const stage = parsed.stations.length > 1 ? `Aggregating ${name}` : "Aggregating months";
+      const cells = aggregateCells(rows, quality.span, thresholds, (done, total) => progress(stage, done, total));
+      if (byStation) cells.forEach(d => { d.station = name; });
+      return { name, rows, quality, cells };
+    });
+
+    const dataset = { extent: parsed.extent, stations };
+    cachePut("datasets", key, dataset);
+    return dataset;
+  });
+}
+
+const HANDLERS = { load: handleLoad, prepare: handlePrepare };
+
+self.onmessage = ({ data: { id, type, ...payload } }) => {
+  const progress = (stage, done = 0, total = 0) =>
+    self.postMessage({ id, type: "progress", stage, done, total });
+
+  Promise.resolve()
+    .then(() => HANDLERS[type](payload, progress))
+    .then(result => self.postMessage({ id, type: "result", result }))
+    .catch(err => self.postMessage({ id, type: "error", message: err.message }));
+};
@@ -0,0 +1,35 @@
+/**
+ * download.js
+ *
+ * Saves generated content (reports, exports) as a file in the browser.
+ */
+
+/**
+ * downloadBlob — offers a Blob to the user as a file download.
+ *
+ * @param {Blob}   blob     - file contents
+ * @param {string} filename - suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href     = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Release the object URL once the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * downloadText — offers a string to the user as a file download.
+ *
+ * @param {string} text     - file contents
+ * @param {string} filename - suggested file name
+ * @param {string} type     - MIME type, e.g. "text/csv"
+ */
+export function downloadText(text, filename, type) {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+}
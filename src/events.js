@@ -0,0 +1,169 @@
+/**
+ * events.js
+ *
+ * Threshold events in the daily rows, following the Hong Kong Observatory's
+ * definitions:
+ *   - very hot days  — daily max ≥ 33 °C
+ *   - hot nights     — daily min ≥ 28 °C
+ *   - cold days      — daily min ≤ 12 °C
+ *
+ * Runs of consecutive event days at least `minRun` days long are detected
+ * as spells (hot spells / heatwaves, hot-night spells, cold spells). The
+ * thresholds and minimum length come from the same `thresholds` object as
+ * the day-count statistics (see DEFAULT_THRESHOLDS in statistics.js).
+ *
+ * Spells are found over the whole dataset, so a spell running across a
+ * month boundary is counted once, in the month it starts, and drawn on
+ * the mini charts of every month it touches.
+ */
+
+import * as d3 from "d3";
+import { formatDayMonth } from "./locale.js";
+
+// Each kind of event day: which daily value is tested, against which
+// threshold, in which direction
+export const EVENT_KINDS = {
+  veryHot: {
+    label: "Very hot days", spell: "hot spell",
+    field: "max", above: true,  threshold: "veryHot", color: "#c0392b",
+  },
+  hotNight: {
+    label: "Hot nights", spell: "hot-night spell",
+    field: "min", above: true,  threshold: "hotNight", color: "#884ea0",
+  },
+  cold: {
+    label: "Cold days", spell: "cold spell",
+    field: "min", above: false, threshold: "cold", color: "#2471a3",
+  },
+};
+
+/**
+ * isEventDay — whether a daily row is an event day of the given kind.
+ *
+ * @param {object} day        - parsed daily row { max, min, … }
+ * @param {object} kind       - entry of EVENT_KINDS
+ * @param {object} thresholds - threshold values in °C, keyed by kind.threshold
+ * @returns {boolean}
+ */
+export function isEventDay(day, kind, thresholds) {
+  const limit = thresholds[kind.threshold];
+  return kind.above ? day[kind.field] >= limit : day[kind.field] <= limit;
+}
+
+/**
+ * findRuns — the spells of one kind: runs of consecutive calendar days
+ * that are all event days, at least `minRun` days long.
+ *
+ * A missing day ends a run. Duplicate dates are skipped.
+ *
+ * @param {object[]} rows       - parsed daily rows, in any order
+ * @param {object}   kind       - entry of EVENT_KINDS
+ * @param {object}   thresholds - threshold values in °C, plus minRun (days)
+ * @returns {object[]} [{ start, end, length, days }] in date order
+ */
+export function findRuns(rows, kind, thresholds) {
+  const sorted = [...rows].sort((a, b) => a.date - b.date);
+  const runs = [];
+  let current = [];
+
+  const close = () => {
+    if (current.length >= thresholds.minRun) {
+      runs.push({
+        start:  current[0].date,
+        end:    current[current.length - 1].date,
+        length: current.length,
+        days:   current,
+      });
+    }
+    current = [];
+  };
+
+  sorted.forEach(day => {
+    const last = current[current.length - 1];
+    if (last && d3.timeDay.count(last.date, day.date) === 0) return; // duplicate date
+
+    if (!isEventDay(day, kind, thresholds)) {
+      close();
+      return;
+    }
+    if (last && d3.timeDay.count(last.date, day.date) !== 1) close();
+    current.push(day);
+  });
+  close();
+
+  return runs;
+}
+
+/**
+ * findAllRuns — the spells of every kind in EVENT_KINDS.
+ *
+ * @param {object[]} rows       - parsed daily rows
+ * @param {object}   thresholds - threshold values in °C, plus minRun (days)
+ * @returns {object} kind key → runs from findRuns()
+ */
+export function findAllRuns(rows, thresholds) {
+  return Object.fromEntries(
+    Object.entries(EVENT_KINDS).map(([key, kind]) => [key, findRuns(rows, kind, thresholds)])
+  );
+}
+
+/**
+ * addEventRuns — attaches the spells to each cell:
+ *   runs.<kind>     — the spells overlapping the month (for the mini charts)
+ *   <kind>Spells    — the number of spells starting in the month
+ *                     (null for months without data, like other statistics)
+ *
+ * @param {object[]} cells   - cells from buildCells()
+ * @param {object}   allRuns - from findAllRuns()
+ * @returns {object[]} new cell objects
+ */
+export function addEventRuns(cells, allRuns) {
+  return cells.map(d => {
+    const monthStart = new Date(d.year, d.month - 1, 1);
+    const monthEnd   = new Date(d.year, d.month, 1);
+    const cell = { ...d, runs: {} };
+
+    Object.entries(allRuns).forEach(([key, runs]) => {
+      const overlapping = runs.filter(run => run.start < monthEnd && run.end >= monthStart);
+      cell.runs[key] = overlapping;
+      cell[`${key}Spells`] = d.days.length
+        ? overlapping.filter(run => run.start >= monthStart).length
+        : null;
+    });
+
+    return cell;
+  });
+}
+
+/**
+ * runSpans — the stretches of a month's days that belong to spells, as
+ * [from, to] index ranges into `days` (inclusive), for highlighting.
+ *
+ * @param {object[]} days - the month's daily rows, in date order
+ * @param {object[]} runs - spells overlapping the month
+ * @returns {number[][]}
+ */
+export function runSpans(days, runs) {
+  const inRun = new Set(runs.flatMap(run => run.days.map(day => +day.date)));
+  const spans = [];
+
+  days.forEach((day, i) => {
+    if (!inRun.has(+day.date)) return;
+    const last = spans[spans.length - 1];
+    if (last && last[1] === i - 1) last[1] = i;
+    else spans.push([i, i]);
+  });
+
+  return spans;
+}
+
+/**
+ * formatRun — a spell's dates and length, e.g. "28 Jul – 2 Aug (6 days)".
+ *
+ * @param {object} run    - from findRuns()
+ * @param {string} locale - key of LOCALES (locale.js)
+ * @returns {string}
+ */
+export function formatRun(run, locale) {
+  return `${formatDayMonth(run.start, locale)} – ${formatDayMonth(run.end, locale)} (${run.length} days)`;
+}
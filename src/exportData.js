@@ -0,0 +1,99 @@
+/**
+ * exportData.js
+ *
+ * Downloads the numbers behind the matrix:
+ *   - the aggregated cell table (one record per year × month) with every
+ *     statistic from statistics.js, plus the active statistic's value and,
+ *     in the anomaly view, the baseline and anomaly
+ *   - the underlying daily rows of a chosen set of cells
+ *
+ * Both come as CSV or JSON. JSON files carry a small header describing
+ * the view they were exported from.
+ */
+
+import * as d3 from "d3";
+import { STATISTICS } from "./statistics.js";
+import { toUnit } from "./units.js";
+import { downloadText } from "./download.js";
+
+const formatDate = d3.timeFormat("%Y-%m-%d");
+
+// Rounds to a fixed number of decimals, passing nulls through
+const round = (value, digits = 2) =>
+  value === null || value === undefined ? null : +value.toFixed(digits);
+
+/**
+ * cellsToRecords — flattens cells into plain records for export.
+ *
+ * Day-count columns carry their threshold in the name (e.g. daysAbove30),
+ * in the unit of the temperatures, so the file stays self-explanatory.
+ * Cells of multi-station data start with their station.
+ *
+ * @param {object[]} cells      - cells as drawn (possibly with anomalies)
+ * @param {object}   stat       - the active entry of localizeStatistics()
+ * @param {object}   thresholds - { hot, cold } in °C
+ * @returns {object[]}
+ */
+export function cellsToRecords(cells, stat, thresholds) {
+  return cells.map(d => {
+    const record = {
+      ...(d.station !== undefined && { station: d.station }),
+      year:     d.year,
+      month:    d.month,
+      days:     d.days.length,
+      coverage: round(d.coverage, 3),
+      value:    round(d[stat.field]),
+    };
+
+    if (d.baseline !== undefined) {
+      record.baseline = round(d.baseline);
+      record.anomaly  = round(d.anomaly);
+    }
+
+    Object.values(STATISTICS).forEach(s => {
+      const name = s.threshold
+        ? `${s.field}${round(toUnit(thresholds[s.threshold], stat.temperatureUnit), 1)}`
+        : s.field;
+      record[name] = round(d[s.field]);
+    });
+
+    return record;
+  });
+}
+
+/**
+ * dailyRecords — the daily rows behind a set of cells, in date order.
+ *
+ * Rows of multi-station data keep their station, and sort by station
+ * within a date.
+ *
+ * @param {object[]} cells - the cells whose days to export
+ * @returns {object[]} [{ station?, date, max, min }]
+ */
+export function dailyRecords(cells) {
+  return cells
+    .flatMap(d => d.days)
+    .sort((a, b) => a.date - b.date || d3.ascending(a.station, b.station))
+    .map(d => ({
+      ...(d.station !== null && d.station !== undefined && { station: d.station }),
+      date: formatDate(d.date),
+      max:  round(d.max),
+      min:  round(d.min),
+    }));
+}
+
+/**
+ * downloadRecords — saves records as CSV or JSON.
+ *
+ * @param {object[]} records
+ * @param {string}   format   - "csv" or "json"
+ * @param {string}   filename - file name without extension
+ * @param {object}   meta     - view description added to JSON files
+ */
+export function downloadRecords(records, format, filename, meta) {
+  if (format === "json") {
+    downloadText(JSON.stringify({ ...meta, records }, null, 2), `${filename}.json`, "application/json");
+  } else {
+    downloadText(d3.csvFormat(records), `${filename}.csv`, "text/csv");
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * exportImage.js
+ *
+ * Turns the live matrix SVG into standalone files for reports:
+ *   - SVG, with a title above and the "Daily Max / Daily Min" key below
+ *     (the key normally lives in the page's HTML, outside the SVG)
+ *   - PNG at a chosen pixel density
+ *   - a print window (print to PDF from the browser dialog)
+ *
+ * The copy has every presentational style inlined from the browser's
+ * computed styles, so it renders the same without the app's CSS. When the
+ * cells were painted by the canvas renderer, the canvas goes in as an
+ * embedded image behind the SVG's axes and legend.
+ */
+
+import { downloadBlob, downloadText } from "./download.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Extra space added around the chart for the title and the line key (px)
+const EXPORT_HEADER_HEIGHT = 36;
+const EXPORT_FOOTER_HEIGHT = 28;
+
+// Font used for the added title and key, matching the app
+const EXPORT_FONT = "monospace";
+
+// Presentational properties copied from computed styles onto each element
+const INLINED_STYLES = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+  "opacity", "font-family", "font-size", "font-weight", "text-anchor", "dominant-baseline",
+];
+
+/**
+ * inlineStyles — copies the computed presentational styles of every element
+ * of `source` onto the matching element of its clone `target`.
+ *
+ * Elements hidden at export time (e.g. the hover crosshair) are removed.
+ *
+ * @param {Element} source - live element in the document
+ * @param {Element} target - deep clone of source
+ */
+function inlineStyles(source, target) {
+  const computed = window.getComputedStyle(source);
+
+  if (computed.visibility === "hidden" || computed.display === "none") {
+    target.remove();
+    return;
+  }
+
+  const style = INLINED_STYLES
+    .map(prop => [prop, computed.getPropertyValue(prop)])
+    .filter(([, value]) => value && value !== "normal")
+    .map(([prop, value]) => `${prop}:${value}`)
+    .join(";");
+  if (style) target.setAttribute("style", style);
+
+  // Walk children in reverse so removals don't shift later indices
+  const sourceChildren = [...source.children];
+  const targetChildren = [...target.children];
+  for (let i = sourceChildren.length - 1; i >= 0; i--) {
+    inlineStyles(sourceChildren[i], targetChildren[i]);
+  }
+}
+
+/**
+ * svgElement — creates an SVG element with the given attributes.
+ *
+ * @param {string} name  - tag name
+ * @param {object} attrs - attribute name → value
+ * @returns {SVGElement}
+ */
+function svgElement(name, attrs) {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  return el;
+}
+
+/**
+ * buildExportSvg — a standalone copy of the chart with title and line key.
+ *
+ * @param {SVGSVGElement} svgNode - the live matrix SVG
+ * @param {object}   options
+ * @param {string}   options.title      - heading drawn above the chart
+ * @param {object[]} options.keyItems   - [{ label, color }] line swatches for the footer
+ * @param {string}   options.background - page color behind the chart
+ * @param {HTMLCanvasElement|null} options.canvas - canvas under the SVG holding the
+ *                                      cells, or null when they are SVG elements
+ * @returns {{ svg: SVGSVGElement, width: number, height: number }}
+ */
+export function buildExportSvg(svgNode, { title, keyItems, background, canvas = null }) {
+  const { width, height } = svgNode.getBoundingClientRect();
+  const totalHeight = height + EXPORT_HEADER_HEIGHT + EXPORT_FOOTER_HEIGHT;
+
+  const chart = svgNode.cloneNode(true);
+  inlineStyles(svgNode, chart);
+
+  const root = svgElement("svg", {
+    xmlns:       SVG_NS,
+    width,
+    height:      totalHeight,
+    viewBox:     `0 0 ${width} ${totalHeight}`,
+    "font-family": EXPORT_FONT,
+  });
+
+  root.appendChild(svgElement("rect", { width, height: totalHeight, fill: background }));
+
+  // ── Title ──
+  const heading = svgElement("text", {
+    x: width / 2, y: 24,
+    "text-anchor": "middle",
+    "font-size":   16,
+    "font-weight": "bold",
+    "font-family": EXPORT_FONT,
+    fill:          "#222",
+  });
+  heading.textContent = title;
+  root.appendChild(heading);
+
+  // ── Chart, shifted below the title ──
+  const chartGroup = svgElement("g", { transform: `translate(0, ${EXPORT_HEADER_HEIGHT})` });
+  if (canvas) {
+    chartGroup.appendChild(svgElement("image", {
+      href: canvas.toDataURL("image/png"),
+      width,
+      height,
+    }));
+  }
+  [...chart.childNodes].forEach(child => chartGroup.appendChild(child));
+  root.appendChild(chartGroup);
+
+  // ── Line key (the HTML footer in the app) ──
+  const keyY = EXPORT_HEADER_HEIGHT + height + EXPORT_FOOTER_HEIGHT / 2;
+  keyItems.forEach(({ label, color }, i) => {
+    const x = 32 + i * 130;
+    root.appendChild(svgElement("line", {
+      x1: x, y1: keyY, x2: x + 24, y2: keyY,
+      stroke: color, "stroke-width": 2,
+    }));
+    const text = svgElement("text", {
+      x: x + 30, y: keyY,
+      "dominant-baseline": "middle",
+      "font-size":   11,
+      "font-family": EXPORT_FONT,
+      fill:          "#555",
+    });
+    text.textContent = label;
+    root.appendChild(text);
+  });
+
+  return { svg: root, width, height: totalHeight };
+}
+
+/**
+ * serializeSvg — the SVG as a standalone file string.
+ *
+ * @param {SVGSVGElement} svg
+ * @returns {string}
+ */
+function serializeSvg(svg) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}
+
+/**
+ * exportSvg — downloads the chart as an .svg file.
+ *
+ * @param {SVGSVGElement} svgNode  - the live matrix SVG
+ * @param {object}        options  - see buildExportSvg()
+ * @param {string}        filename
+ */
+export function exportSvg(svgNode, options, filename) {
+  const { svg } = buildExportSvg(svgNode, options);
+  downloadText(serializeSvg(svg), filename, "image/svg+xml");
+}
+
+/**
+ * exportPng — downloads the chart as a .png file.
+ *
+ * @param {SVGSVGElement} svgNode    - the live matrix SVG
+ * @param {object}        options    - see buildExportSvg(), plus:
+ * @param {number}        options.scale - pixel density (2 = twice the on-screen resolution)
+ * @param {string}        filename
+ * @returns {Promise<void>} resolves once the download has been offered
+ */
+export function exportPng(svgNode, { scale, ...options }, filename) {
+  const { svg, width, height } = buildExportSvg(svgNode, options);
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: "image/svg+xml" }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width  = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob(blob => {
+        if (!blob) {
+          reject(new Error("The browser could not encode the PNG"));
+          return;
+        }
+        downloadBlob(blob, filename);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The chart could not be rendered to an image"));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * printChart — opens the chart alone in a new window, laid out for a
+ * landscape page, and brings up the print dialog (choose "Save as PDF"
+ * there for a PDF).
+ *
+ * @param {SVGSVGElement} svgNode - the live matrix SVG
+ * @param {object}        options - see buildExportSvg()
+ */
+export function printChart(svgNode, options) {
+  const { svg } = buildExportSvg(svgNode, options);
+  svg.setAttribute("width", "100%");
+  svg.removeAttribute("height");
+
+  const win = window.open("", "_blank");
+  if (!win) throw new Error("The print window was blocked by the browser");
+
+  win.document.write(
+    "<!doctype html><html><head><meta charset=\"UTF-8\" />" +
+    `<title>${options.title.replace(/[<&]/g, "")}</title>` +
+    "<style>" +
+    "@page { size: landscape; margin: 10mm; }" +
+    "html, body { margin: 0; padding: 0; }" +
+    "svg { display: block; width: 100%; height: auto; }" +
+    "</style></head><body>" +
+    new XMLSerializer().serializeToString(svg) +
+    "</body></html>"
+  );
+  win.document.close();
+  win.focus();
+  win.print();
+}
@@ -0,0 +1,99 @@
+/**
+ * layouts.js
+ *
+ * The ways the data can be laid out, picked with the layout selector:
+ *   - matrix      — months as rows, years as columns, a mini chart per cell
+ *   - transposed  — the same cells with years as rows and months as columns
+ *   - calendar    — one small square per day, GitHub-style: a block of
+ *                   weeks × weekdays for each year
+ *   - raster      — one row per year, one pixel column per day of the year
+ *
+ * The two day-level layouts color each day by the daily value that
+ * matches the statistic (see DAILY_VALUES in statistics.js), so they show
+ * the within-month detail that the monthly extremes hide.
+ */
+
+import * as d3 from "d3";
+
+export const LAYOUTS = {
+  matrix:     "Months × years",
+  transposed: "Years × months",
+  calendar:   "Calendar",
+  raster:     "Day of year",
+};
+
+// Layouts that draw days rather than month cells
+export const DAILY_LAYOUTS = ["calendar", "raster"];
+
+// Week columns a calendar year can touch (a year starting on Saturday
+// reaches into a 54th partial week in leap years)
+export const CALENDAR_WEEKS = 54;
+
+// Days in the longest (leap) year: the raster's columns
+export const RASTER_DAYS = 366;
+
+/**
+ * isDailyLayout — whether a layout draws one mark per day.
+ *
+ * @param {string} layout - key of LAYOUTS
+ * @returns {boolean}
+ */
+export function isDailyLayout(layout) {
+  return DAILY_LAYOUTS.includes(layout);
+}
+
+/**
+ * dayOfYear — 0 for 1 January up to 365 for 31 December of a leap year.
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+export function dayOfYear(date) {
+  return d3.timeDay.count(d3.timeYear(date), date);
+}
+
+/**
+ * calendarPosition — where a date sits in its year's calendar block:
+ * the week column (weeks start on Sunday, the first partial week is 0)
+ * and the weekday row (0 = Sunday).
+ *
+ * @param {Date} date
+ * @returns {{ week: number, weekday: number }}
+ */
+export function calendarPosition(date) {
+  return {
+    week:    d3.timeSunday.count(d3.timeYear(date), date),
+    weekday: date.getDay(),
+  };
+}
+
+/**
+ * calendarDate — the inverse of calendarPosition(): the date at a week
+ * column and weekday row of a year's block, or null where the block has
+ * no day of that year.
+ *
+ * @param {number} year
+ * @param {number} week
+ * @param {number} weekday - 0 = Sunday
+ * @returns {Date|null}
+ */
+export function calendarDate(year, week, weekday) {
+  const firstSunday = d3.timeSunday.floor(new Date(year, 0, 1)); // on or before 1 January
+  const date = d3.timeDay.offset(firstSunday, week * 7 + weekday);
+  return date.getFullYear() === year ? date : null;
+}
+
+/**
+ * groupDaysByYear — the days of the given cells, grouped by year and in
+ * date order, with a list for every year even when it has no rows.
+ *
+ * @param {object[]} cells - cells from buildCells()
+ * @param {number[]} years - the shown years
+ * @returns {Map<number, object[]>} year → daily rows
+ */
+export function groupDaysByYear(cells, years) {
+  const byYear = new Map(years.map(year => [year, []]));
+  cells.forEach(d => byYear.get(d.year)?.push(...d.days));
+  byYear.forEach(days => days.sort((a, b) => a.date - b.date));
+  return byYear;
+}
@@ -0,0 +1,107 @@
+/**
+ * locale.js
+ *
+ * Number, month and date formatting for the chosen display locale, through
+ * the browser's Intl API. The interface text stays in English; what follows
+ * the locale is how values read — decimal marks and digit grouping, month
+ * names ("July", "7月", "juillet") and short dates.
+ *
+ * Dates meant to be read by programs (ISO dates in exports and tooltips)
+ * are not localized.
+ */
+
+// Locales offered in the header, with their names in their own language
+export const LOCALES = {
+  "en-GB": "English",
+  "en-US": "English (US)",
+  "zh-HK": "繁體中文（香港）",
+  "zh-TW": "繁體中文（台灣）",
+  "de-DE": "Deutsch",
+  "fr-FR": "Français",
+};
+
+export const DEFAULT_LOCALE = "en-GB";
+
+// Intl formatters by locale and options; creating one is far slower than using it
+const formatters = new Map();
+
+/**
+ * getFormatter — a cached Intl.NumberFormat or Intl.DateTimeFormat.
+ *
+ * @param {Function} Format  - Intl.NumberFormat or Intl.DateTimeFormat
+ * @param {string}   locale
+ * @param {object}   options - the formatter's options
+ * @returns {object}
+ */
+function getFormatter(Format, locale, options) {
+  const key = `${Format.name} ${locale} ${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Format(locale, options));
+  return formatters.get(key);
+}
+
+/**
+ * formatNumber — a number with a fixed number of decimals, e.g. "31.2",
+ * or "31,2" in German.
+ *
+ * @param {number}  value
+ * @param {number}  digits - decimal places
+ * @param {string}  locale - key of LOCALES
+ * @param {boolean} signed - prefix positive values with "+" (zero stays unsigned)
+ * @returns {string}
+ */
+export function formatNumber(value, digits, locale = DEFAULT_LOCALE, signed = false) {
+  return getFormatter(Intl.NumberFormat, locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    signDisplay:           signed ? "exceptZero" : "auto",
+  }).format(value);
+}
+
+/**
+ * formatRounded — a number to at most a number of decimals, without
+ * trailing zeros, e.g. "33" or "91.4".
+ *
+ * @param {number} value
+ * @param {number} digits - most decimal places
+ * @param {string} locale - key of LOCALES
+ * @returns {string}
+ */
+export function formatRounded(value, digits, locale = DEFAULT_LOCALE) {
+  return getFormatter(Intl.NumberFormat, locale, { maximumFractionDigits: digits }).format(value);
+}
+
+/**
+ * monthNames — the twelve month names, January first.
+ *
+ * @param {string} locale - key of LOCALES
+ * @param {string} width  - "long" ("September") or "short" ("Sept")
+ * @returns {string[]}
+ */
+export function monthNames(locale = DEFAULT_LOCALE, width = "long") {
+  const format = getFormatter(Intl.DateTimeFormat, locale, { month: width });
+  return Array.from({ length: 12 }, (_, i) => format.format(new Date(2000, i, 1)));
+}
+
+/**
+ * formatMonthYear — a year-month, e.g. "July 2015" or "2015年7月".
+ *
+ * @param {number} year
+ * @param {number} month  - 1–12
+ * @param {string} locale - key of LOCALES
+ * @returns {string}
+ */
+export function formatMonthYear(year, month, locale = DEFAULT_LOCALE) {
+  return getFormatter(Intl.DateTimeFormat, locale, { year: "numeric", month: "long" })
+    .format(new Date(year, month - 1, 1));
+}
+
+/**
+ * formatDayMonth — a date without its year, e.g. "28 Jul" or "7月28日".
+ *
+ * @param {Date}   date
+ * @param {string} locale - key of LOCALES
+ * @returns {string}
+ */
+export function formatDayMonth(date, locale = DEFAULT_LOCALE) {
+  return getFormatter(Intl.DateTimeFormat, locale, { day: "numeric", month: "short" }).format(date);
+}
@@ -0,0 +1,95 @@
+/**
+ * marginals.js
+ *
+ * Summaries drawn in the margins of the matrix, so a cell can be read
+ * against its year, its month and the whole window at a glance:
+ *
+ *   years        — each year's mean and most extreme month (bar strip above the columns)
+ *   months       — each month's spread across the years (box plots right of the rows)
+ *   climatology  — the window's seasonal cycle and overall mean (corner panel)
+ *
+ * Everything is computed from the value the cells are colored by, so the
+ * strips share the matrix's color scale — in the anomaly view they show
+ * anomalies. Cells without a value are left out.
+ */
+
+import * as d3 from "d3";
+
+// Box-plot whiskers reach at most this many interquartile ranges past the
+// box (Tukey's fences); values beyond them are drawn as outliers
+const WHISKER_IQR = 1.5;
+
+/**
+ * boxStats — five-number summary of a list of values, with Tukey whiskers.
+ *
+ * @param {number[]} values
+ * @returns {object|null} { count, mean, q1, median, q3, low, high, outliers },
+ *   where low/high are the whisker ends; null for no values
+ */
+export function boxStats(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort(d3.ascending);
+  const q1     = d3.quantileSorted(sorted, 0.25);
+  const q3     = d3.quantileSorted(sorted, 0.75);
+  const fence  = WHISKER_IQR * (q3 - q1);
+  const inside = sorted.filter(v => v >= q1 - fence && v <= q3 + fence);
+
+  return {
+    count:    sorted.length,
+    mean:     d3.mean(sorted),
+    q1,
+    median:   d3.quantileSorted(sorted, 0.5),
+    q3,
+    low:      inside[0],
+    high:     inside[inside.length - 1],
+    outliers: sorted.filter(v => v < q1 - fence || v > q3 + fence),
+  };
+}
+
+/**
+ * buildMarginals — the year, month and climatology summaries of the cells.
+ *
+ * A year's extreme is its highest monthly value, or its lowest for the
+ * statistics about cold (extreme: "low" in STATISTICS).
+ *
+ * @param {object[]} cells   - the shown cells
+ * @param {Function} value   - cell → the value the cells are colored by (null = no data)
+ * @param {string}   extreme - "high" or "low"
+ * @returns {object} {
+ *     extreme:     the `extreme` given,
+ *     years:       [{ year, count, mean, extreme, extremeMonth }],
+ *     months:      [{ month, ...boxStats() }]  (months without values left out),
+ *     climatology: { mean, count, highest, lowest } — the months with the
+ *                  highest and lowest mean, or null without values
+ *   }
+ */
+export function buildMarginals(cells, value, extreme = "high") {
+  const valued = cells.filter(d => value(d) !== null && value(d) !== undefined);
+  const pick   = extreme === "low" ? d3.least : d3.greatest;
+
+  const years = d3.groups(valued, d => d.year)
+    .map(([year, group]) => {
+      const most = pick(group, value);
+      return {
+        year,
+        count:        group.length,
+        mean:         d3.mean(group, value),
+        extreme:      value(most),
+        extremeMonth: most.month,
+      };
+    })
+    .sort((a, b) => a.year - b.year);
+
+  const months = d3.groups(valued, d => d.month)
+    .map(([month, group]) => ({ month, ...boxStats(group.map(value)) }))
+    .sort((a, b) => a.month - b.month);
+
+  const climatology = valued.length ? {
+    mean:    d3.mean(valued, value),
+    count:   valued.length,
+    highest: d3.greatest(months, d => d.mean).month,
+    lowest:  d3.least(months, d => d.mean).month,
+  } : null;
+
+  return { extreme, years, months, climatology };
+}
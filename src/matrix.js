@@ -0,0 +1,2008 @@
+/**
+ * matrix.js
+ *
+ * The year × month matrix, without React: drawMatrix() and the pieces it
+ * is built from (axes, legend, trend column, marginal strips, mini charts,
+ * the canvas renderer), the day layouts (drawCalendar(), drawRaster()), the
+ * side-by-side compare, and renderMatrix(), which draws any of them into an
+ * element and keeps it up to date. TemperatureMatrix.jsx, and through it
+ * App.jsx, use it; a page without React can call renderMatrix() directly:
+ *
+ *   const matrix = renderMatrix(element, cells, { mode: "min", onCellClick });
+ *   matrix.update(cells, { mode: "max" });
+ *   matrix.destroy();
+ *
+ * Cells are those built by aggregateCells() / buildCells() in aggregate.js.
+ */
+
+import * as d3 from "d3";
+import { EVENT_KINDS, runSpans } from "./events.js";
+import { buildMonthTrends, SIGNIFICANCE_LEVELS, significanceStars, formatTrend, trendDigits } from "./trend.js";
+import { formatSigned } from "./anomaly.js";
+import { describeCell, findNeighborCell } from "./accessibility.js";
+import {
+  TRANSITION_MS, chooseRenderer, prepareCanvas, clearCanvas, observeResize, layer, resetOnChange, bandAt,
+  animate,
+} from "./render.js";
+import { DEFAULT_THRESHOLDS, localizeStatistics, localizeDailyValues, statisticTitle } from "./statistics.js";
+import { DEFAULT_COLOR_SETTINGS, buildColorScale } from "./colorScale.js";
+import { DEFAULT_UNIT, TEMPERATURE_UNITS, toUnit } from "./units.js";
+import {
+  CALENDAR_WEEKS, RASTER_DAYS, isDailyLayout, dayOfYear, calendarPosition, calendarDate, groupDaysByYear,
+} from "./layouts.js";
+import { DEFAULT_LOCALE, formatRounded, monthNames } from "./locale.js";
+import { cellKey, toggleCell, addCells, cellsBetween } from "./selection.js";
+import { buildMarginals } from "./marginals.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Outer spacing around the matrix so axes and legend have room to breathe
+export const DEFAULT_MARGIN = { top: 50, right: 130, bottom: 20, left: 90 };
+
+// Padding inside each mini chart so lines don't touch cell borders
+const MINI_CHART_PADDING = 4;
+
+// How far (px) above a day's max or below its min the pointer may be
+// while still showing that day's values in the tooltip
+const MINI_CHART_HOVER_TOLERANCE = 6;
+
+// Minimum horizontal space (px) a year label needs; below this, labels thin out
+export const MIN_YEAR_LABEL_SPACING = 40;
+
+// Minimum vertical distance (px) between row labels; rows closer than this skip labels
+export const MIN_ROW_LABEL_SPACING = 14;
+
+// SVG elements a matrix cell needs (group, background, chart group, two lines),
+// for choosing the renderer
+export const SVG_NODES_PER_CELL = 5;
+
+// The lines of every mini chart: which daily value, in which color
+const MINI_CHART_LINES = [
+  { field: "max", color: "rgba(80,180,80,0.85)"   },
+  { field: "min", color: "rgba(200,220,255,0.85)" },
+];
+
+// The temperature range the mini charts' y-axis covers (°C, converted
+// to the display unit when drawn)
+const MINI_CHART_DOMAIN_C = [0, 40];
+
+// Number of color stops in the legend gradient
+const LEGEND_GRADIENT_STOPS = 9;
+
+// Width (px) taken from the matrix for the per-month trend column
+const TREND_COLUMN_WIDTH = 96;
+
+// Height (px) of the strip of yearly bars above the matrix, and width of the
+// strip of monthly box plots to its right (also that of the climatology panel
+// above it), when the marginal summaries are shown
+const YEAR_STRIP_HEIGHT = 36;
+const MONTH_STRIP_WIDTH = 104;
+
+// Rows of squares per year in the calendar layout: 7 weekdays and a gap
+const CALENDAR_BLOCK_ROWS = 8;
+
+// Space (px) between the matrices of the side-by-side compare layout
+const COMPARE_GAP = 24;
+
+// Pointer travel (px) that turns a click on the grid into a brush
+const BRUSH_MIN_DRAG = 4;
+
+// Trend arrow colors by direction
+const TREND_COLORS = { up: "#c0392b", down: "#2c6fbb" };
+
+// Diagonal hatches over cells: dark for months with missing days, light
+// (the other way) for projected months, which are also faded
+const HATCHES = [
+  { id: "incomplete-hatch", angle: 45,  color: "rgba(0,0,0,0.35)"     },
+  { id: "projected-hatch",  angle: -45, color: "rgba(255,255,255,0.9)" },
+];
+const PROJECTED_OPACITY = 0.55;
+
+// Elements renderMatrix() has drawn into, for ids unique to each on the page
+let drawingCount = 0;
+
+/**
+ * drawAxes — renders the column labels across the top (years, or months
+ * when transposed) and the row labels down the left side of the matrix.
+ *
+ * When the columns are too narrow for every label to fit, only every
+ * n-th column is labelled so the text never overlaps; rows likewise.
+ *
+ * @param {d3.Selection} svg         - the SVG element or layer to draw into
+ * @param {d3.ScaleBand} xScale      - band scale mapping column key → x position
+ * @param {d3.ScaleBand} yScale      - band scale mapping row key → y position
+ * @param {object}       margin      - { top, right, bottom, left } in px
+ * @param {Function}     columnLabel - column key → label text
+ * @param {Function}     rowLabel    - row key → label text
+ */
+export function drawAxes(svg, xScale, yScale, margin, columnLabel, rowLabel) {
+  // Label every n-th column / row, where n is just large enough to keep labels apart
+  const labelStep = Math.max(1, Math.ceil(MIN_YEAR_LABEL_SPACING / xScale.step()));
+  const rowStep   = Math.max(1, Math.ceil(MIN_ROW_LABEL_SPACING / yScale.step()));
+
+  // ── Column labels along the top edge ──
+  svg.selectAll(".year-label")
+    .data(xScale.domain().filter((d, i) => i % labelStep === 0))
+    .join("text")
+    .attr("class", "year-label")
+    .attr("aria-hidden", true) // the grid's column headers name the columns
+    .attr("x", d => xScale(d) + xScale.bandwidth() / 2) // center over each column
+    .attr("y", margin.top - 10)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 12)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(columnLabel);
+
+  // ── Row labels along the left edge ──
+  svg.selectAll(".month-label")
+    .data(yScale.domain().filter((d, i) => i % rowStep === 0))
+    .join("text")
+    .attr("class", "month-label")
+    .attr("aria-hidden", true) // the grid's row headers name the rows
+    .attr("x", margin.left - 8) // a little to the left of the first column
+    .attr("y", d => yScale(d) + yScale.bandwidth() / 2) // vertically centered in each row
+    .attr("text-anchor", "end")
+    .attr("dominant-baseline", "middle")
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(rowLabel);
+}
+
+/**
+ * drawLegend — draws a vertical color gradient bar on the right side
+ * of the chart, with tick marks showing the values it represents.
+ *
+ * The legend helps readers decode what each cell color means, so its title,
+ * gradient and ticks all follow the statistic currently coloring the cells.
+ *
+ * @param {d3.Selection} svg         - the SVG element or layer to draw into
+ * @param {number}       totalWidth  - full SVG width in px
+ * @param {number}       totalHeight - full SVG height in px
+ * @param {object}       margin      - { top, right, bottom, left } in px
+ * @param {object}       legend      - { colorScale, extent, title, subtitle, unitName, tickFormat, locale, idPrefix }
+ *   extent     [low, high] the bar spans (defaults to the scale's domain ends)
+ *   subtitle   optional line, or lines, under the title (e.g. the station, the anomaly baseline)
+ *   tickFormat formats tick and end-label values (numbers to one decimal by default)
+ *   locale     key of LOCALES the default tick format follows
+ *   idPrefix   prefix of the gradient's id, unique to the drawing (see renderMatrix())
+ *
+ * Continuous scales are drawn as a smooth gradient. Binned scales
+ * (quantize / threshold, recognized by invertExtent) are drawn as one
+ * solid block per bin, with ticks at the bin edges.
+ */
+export function drawLegend(svg, totalWidth, totalHeight, margin, {
+  colorScale, extent, title, subtitle = "", unitName, locale = DEFAULT_LOCALE,
+  tickFormat = d => formatRounded(d, 1, locale), idPrefix = "",
+}) {
+  const legendX  = totalWidth - margin.right + 20; // position just inside right margin
+  const legendY  = margin.top + 20;
+  const barWidth = 18;   // width of the colored rectangle
+  const barHeight = 220; // height of the colored rectangle
+
+  // Sequential scales have a [low, high] domain, diverging ones [low, mid, high]
+  const domain = colorScale.domain();
+  const [low, high] = extent ?? [domain[0], domain[domain.length - 1]];
+  const binned = typeof colorScale.invertExtent === "function";
+
+  // Scale that maps values to pixel positions along the bar
+  const legendScale = d3.scaleLinear()
+    .domain([low, high])
+    .range([barHeight, 0]); // top of bar = high, bottom = low
+
+  // Bins as [from, to, color], clamped to the bar; open-ended threshold
+  // bins have an undefined end, which stands for the end of the bar
+  const bins = binned
+    ? colorScale.range().map(color => {
+        const [from = low, to = high] = colorScale.invertExtent(color);
+        return [Math.max(from, low), Math.min(to, high), color];
+      }).filter(([from, to]) => to > from)
+    : [];
+
+  const legendAxis = d3.axisRight(legendScale)
+    .tickFormat(tickFormat);
+  if (binned) {
+    legendAxis.tickValues([...new Set(bins.flatMap(([from, to]) => [from, to]))]);
+  } else {
+    legendAxis.ticks(5);
+  }
+
+  // ── Define the vertical gradient in the SVG <defs> section ──
+  const defs = svg.append("defs");
+  const gradient = defs.append("linearGradient")
+    .attr("id", `${idPrefix}legend-gradient`)
+    .attr("x1", "0%").attr("y1", "100%") // gradient runs bottom → top
+    .attr("x2", "0%").attr("y2", "0%");
+
+  // Evenly spaced color stops so the gradient closely matches the cell colors
+  if (!binned) {
+    d3.range(LEGEND_GRADIENT_STOPS).forEach(i => {
+      const t = i / (LEGEND_GRADIENT_STOPS - 1);
+      gradient.append("stop")
+        .attr("offset", `${t * 100}%`)
+        .attr("stop-color", colorScale(low + t * (high - low)));
+    });
+  }
+
+  // ── Group to hold all legend elements, positioned at legendX, legendY ──
+  const legendGroup = svg.append("g")
+    .attr("class", "legend")
+    .attr("aria-hidden", true)
+    .attr("transform", `translate(${legendX}, ${legendY})`);
+
+  // Title naming the statistic the colors stand for (plus optional subtitle lines)
+  [title, subtitle].flat().filter(Boolean).forEach((line, i, lines) => {
+    legendGroup.append("text")
+      .attr("x", -10).attr("y", -30 - (lines.length - 1 - i) * 11)
+      .attr("font-size", 9)
+      .attr("font-weight", i === 0 ? "bold" : "normal")
+      .attr("font-family", "monospace")
+      .attr("fill", "#333")
+      .text(line);
+  });
+
+  // The colored bar itself: a gradient, or one block per bin
+  if (binned) {
+    legendGroup.selectAll(".legend-bin")
+      .data(bins)
+      .join("rect")
+      .attr("class", "legend-bin")
+      .attr("y", ([, to]) => legendScale(to))
+      .attr("width", barWidth)
+      .attr("height", ([from, to]) => legendScale(from) - legendScale(to))
+      .attr("fill", ([, , color]) => color);
+  } else {
+    legendGroup.append("rect")
+      .attr("width", barWidth)
+      .attr("height", barHeight)
+      .style("fill", `url(#${idPrefix}legend-gradient)`);
+  }
+
+  // Tick marks and numbers to the right of the bar
+  legendGroup.append("g")
+    .attr("transform", `translate(${barWidth}, 0)`)
+    .call(legendAxis)
+    .call(g => {
+      g.select(".domain").remove(); // remove the vertical axis line
+      g.selectAll("text")
+        .attr("font-size", 10)
+        .attr("font-family", "monospace");
+    });
+
+  // Label at the high (top) end of the bar
+  legendGroup.append("text")
+    .attr("x", barWidth / 2).attr("y", -12)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 10)
+    .attr("font-family", "monospace")
+    .attr("fill", colorScale(high))
+    .text(`${tickFormat(high)} ${unitName}`);
+
+  // Label at the low (bottom) end of the bar
+  legendGroup.append("text")
+    .attr("x", barWidth / 2).attr("y", barHeight + 16)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 10)
+    .attr("font-family", "monospace")
+    .attr("fill", colorScale(low))
+    .text(`${tickFormat(low)} ${unitName}`);
+}
+
+/**
+ * drawTrendColumn — draws the per-month trend column between the matrix
+ * and the legend: an arrow tilted by the slope (red rising, blue falling,
+ * faded when not significant) and the slope per decade with significance
+ * stars. Hovering a row shows the confidence interval and p-value.
+ *
+ * @param {d3.Selection}     svg    - the SVG element or layer to draw into
+ * @param {Map}              trends - month → trend, from buildMonthTrends()
+ * @param {d3.ScaleBand}     yScale - band scale mapping month number → y position
+ * @param {number}           x      - left edge of the column in px
+ * @param {string}           unit   - unit of the statistic ("°C", "°F" or "days")
+ * @param {object}           margin - { top, right, bottom, left } in px
+ * @param {string}           locale - key of LOCALES, for month names and numbers
+ * @param {string}           idPrefix - prefix of the arrowheads' ids, unique to the drawing
+ */
+function drawTrendColumn(svg, trends, yScale, x, unit, margin, locale, idPrefix = "") {
+  const arrowWidth = 18;
+  const maxRise    = Math.min(10, yScale.bandwidth() / 2 - 2); // steepest arrow, px
+  const digits     = trendDigits(unit);
+
+  // The steepest trend in the column gets the steepest arrow
+  const maxSlope = d3.max([...trends.values()], t => Math.abs(t.slope)) || 1;
+  const rise = d3.scaleLinear().domain([-maxSlope, maxSlope]).range([-maxRise, maxRise]);
+
+  const column = svg.append("g")
+    .attr("class", "trend-column")
+    .attr("aria-hidden", true) // the data table lists the trends
+    .attr("transform", `translate(${x}, 0)`);
+
+  // One arrowhead per direction color
+  const defs = svg.append("defs");
+  Object.entries(TREND_COLORS).forEach(([direction, color]) => {
+    defs.append("marker")
+      .attr("id", `${idPrefix}trend-arrow-${direction}`)
+      .attr("viewBox", "0 0 10 10")
+      .attr("refX", 8).attr("refY", 5)
+      .attr("markerWidth", 5).attr("markerHeight", 5)
+      .attr("orient", "auto")
+      .append("path")
+      .attr("d", "M0,0 L10,5 L0,10 z")
+      .attr("fill", color);
+  });
+
+  // Header, in line with the year labels
+  column.append("text")
+    .attr("y", margin.top - 22)
+    .attr("font-size", 11)
+    .attr("font-weight", "bold")
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text("Trend");
+  column.append("text")
+    .attr("y", margin.top - 10)
+    .attr("font-size", 9)
+    .attr("font-family", "monospace")
+    .attr("fill", "#666")
+    .text(`${unit}/decade`);
+
+  const rows = column.selectAll(".trend")
+    .data([...trends].map(([month, trend]) => ({ month, ...trend })))
+    .join("g")
+    .attr("class", "trend")
+    .attr("transform", d => `translate(0, ${yScale(d.month) + yScale.bandwidth() / 2})`)
+    .attr("opacity", d => d.pValue < SIGNIFICANCE_LEVELS[0] ? 1 : 0.45);
+
+  rows.append("title")
+    .text(d => `${monthNames(locale)[d.month - 1]}: ${formatTrend(d, unit, locale)}`);
+
+  // Arrow from lower left to upper right for a rise (SVG y grows downwards)
+  rows.append("line")
+    .attr("x1", 0)
+    .attr("y1", d => rise(d.slope))
+    .attr("x2", arrowWidth)
+    .attr("y2", d => -rise(d.slope))
+    .attr("stroke", d => TREND_COLORS[d.slope >= 0 ? "up" : "down"])
+    .attr("stroke-width", 2)
+    .attr("marker-end", d => `url(#${idPrefix}trend-arrow-${d.slope >= 0 ? "up" : "down"})`);
+
+  rows.append("text")
+    .attr("x", arrowWidth + 6)
+    .attr("dominant-baseline", "middle")
+    .attr("font-size", 10)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(d => `${formatSigned(d.slope, digits, locale)}${significanceStars(d.pValue)}`);
+}
+
+/**
+ * drawMarginals — draws the marginal summaries around the matrix: above
+ * each year column a bar up to the year's mean with a tick at its extreme,
+ * right of each month row a box plot of the month across the years, and in
+ * the corner between them the climatology — the mean of each month with
+ * its middle half shaded. All three share one value axis and the matrix's
+ * color scale. Hovering any of them gives its figures.
+ *
+ * @param {d3.Selection} svg        - the SVG element or layer to draw into
+ * @param {object}       marginals  - from buildMarginals()
+ * @param {d3.ScaleBand} xScale     - band scale mapping year → x position
+ * @param {d3.ScaleBand} yScale     - band scale mapping month number → y position
+ * @param {d3.Scale}     colorScale - the cells' color scale
+ * @param {Function}     format     - value → text with its unit
+ * @param {string}       locale     - key of LOCALES, for month names
+ */
+function drawMarginals(svg, marginals, xScale, yScale, colorScale, format, locale) {
+  const { years, months, climatology } = marginals;
+  if (!climatology) return;
+
+  const [gridLeft, gridRight] = xScale.range();
+  const gridTop   = yScale.range()[0];
+  const names     = monthNames(locale);
+  const shortName = month => monthNames(locale, "short")[month - 1];
+  const most      = marginals.extreme === "low" ? "lowest" : "highest";
+
+  // One value axis for all three, wide enough for every mean, whisker and outlier
+  const domain = d3.extent([
+    ...years.flatMap(d => [d.mean, d.extreme]),
+    ...months.flatMap(d => [d.low, d.high, ...d.outliers]),
+  ]);
+  const stripBottom = gridTop - 4;
+  const stripTop    = gridTop - YEAR_STRIP_HEIGHT + 4;
+  const barScale    = d3.scaleLinear().domain(domain).range([stripBottom, stripTop]).nice();
+  const boxScale    = d3.scaleLinear().domain(domain).range([gridRight + 8, gridRight + MONTH_STRIP_WIDTH - 8]).nice();
+
+  // ── Year strip: bar to the annual mean, tick at the annual extreme ──
+  const barWidth = Math.max(1, xScale.bandwidth() * 0.6);
+  const yearBars = svg.append("g")
+    .attr("class", "year-strip")
+    .attr("aria-hidden", true) // the cells hold the same values
+    .selectAll("g")
+    .data(years.filter(d => xScale(d.year) !== undefined))
+    .join("g")
+    .attr("transform", d => `translate(${xScale(d.year) + xScale.bandwidth() / 2}, 0)`);
+
+  yearBars.append("title")
+    .text(d => `${d.year}: mean ${format(d.mean)}, ${most} ${format(d.extreme)} (${names[d.extremeMonth - 1]})`);
+
+  yearBars.append("rect")
+    .attr("x", -barWidth / 2)
+    .attr("y", d => barScale(d.mean))
+    .attr("width", barWidth)
+    .attr("height", d => Math.max(0, stripBottom - barScale(d.mean)))
+    .attr("fill", d => colorScale(d.mean));
+
+  yearBars.append("line")
+    .attr("x1", -barWidth / 2 - 1)
+    .attr("x2", barWidth / 2 + 1)
+    .attr("y1", d => barScale(d.extreme))
+    .attr("y2", d => barScale(d.extreme))
+    .attr("stroke", "#333")
+    .attr("stroke-width", 1.5);
+
+  // Key to the strip, left of it where the month labels end
+  svg.append("text")
+    .attr("x", gridLeft - 8)
+    .attr("y", (stripTop + stripBottom) / 2)
+    .attr("text-anchor", "end")
+    .attr("aria-hidden", true)
+    .attr("font-size", 9)
+    .attr("font-family", "monospace")
+    .attr("fill", "#666")
+    .call(text => ["▮ year mean", `— ${most}`].forEach((line, i) => text.append("tspan")
+      .attr("x", gridLeft - 8)
+      .attr("dy", i ? 11 : -2)
+      .text(line)));
+
+  // ── Month strip: box plot of each month across the years ──
+  const boxHeight = Math.min(12, yScale.bandwidth() * 0.6);
+  const boxes = svg.append("g")
+    .attr("class", "month-strip")
+    .attr("aria-hidden", true)
+    .selectAll("g")
+    .data(months)
+    .join("g")
+    .attr("transform", d => `translate(0, ${yScale(d.month) + yScale.bandwidth() / 2})`);
+
+  boxes.append("title")
+    .text(d => `${names[d.month - 1]}, ${d.count} years: median ${format(d.median)}, ` +
+      `middle half ${format(d.q1)} – ${format(d.q3)}, whiskers ${format(d.low)} – ${format(d.high)}` +
+      (d.outliers.length ? `, ${d.outliers.length} outlying` : ""));
+
+  // Whisker, box, median and outliers
+  boxes.append("line")
+    .attr("x1", d => boxScale(d.low))
+    .attr("x2", d => boxScale(d.high))
+    .attr("stroke", "#555");
+  boxes.append("rect")
+    .attr("x", d => boxScale(d.q1))
+    .attr("y", -boxHeight / 2)
+    .attr("width", d => Math.max(1, boxScale(d.q3) - boxScale(d.q1)))
+    .attr("height", boxHeight)
+    .attr("fill", d => colorScale(d.median))
+    .attr("stroke", "#333")
+    .attr("stroke-width", 0.75);
+  boxes.append("line")
+    .attr("x1", d => boxScale(d.median))
+    .attr("x2", d => boxScale(d.median))
+    .attr("y1", -boxHeight / 2)
+    .attr("y2", boxHeight / 2)
+    .attr("stroke", "#111")
+    .attr("stroke-width", 1.5);
+  boxes.selectAll("circle")
+    .data(d => d.outliers)
+    .join("circle")
+    .attr("cx", v => boxScale(v))
+    .attr("r", 1.5)
+    .attr("fill", "none")
+    .attr("stroke", "#555");
+
+  // ── Climatology panel, above the month strip ──
+  // The seasonal cycle of the window, on the same value axis turned upright
+  const panelLeft  = gridRight + 8;
+  const panelWidth = MONTH_STRIP_WIDTH - 16;
+  const chartTop   = 26;
+  const panel = svg.append("g")
+    .attr("class", "climatology")
+    .attr("aria-hidden", true);
+
+  panel.append("title")
+    .text(`Climatology, ${climatology.count} months: mean ${format(climatology.mean)}; ` +
+      `highest ${names[climatology.highest - 1]}, lowest ${names[climatology.lowest - 1]}`);
+  panel.append("rect") // catches the pointer for the title
+    .attr("x", panelLeft)
+    .attr("y", 0)
+    .attr("width", panelWidth)
+    .attr("height", stripBottom)
+    .attr("fill", "transparent");
+
+  panel.append("text")
+    .attr("x", panelLeft)
+    .attr("y", 10)
+    .attr("font-size", 10)
+    .attr("font-weight", "bold")
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text("Climatology");
+  panel.append("text")
+    .attr("x", panelLeft)
+    .attr("y", 21)
+    .attr("font-size", 9)
+    .attr("font-family", "monospace")
+    .attr("fill", "#666")
+    .text(`mean ${format(climatology.mean)}`);
+
+  // Too short a corner (a small top margin) leaves room for the figures only
+  if (stripBottom - chartTop < 12) return;
+
+  const monthX = d3.scalePoint().domain(months.map(d => d.month)).range([panelLeft + 3, panelLeft + panelWidth - 3]);
+  const cycleY = barScale.copy().range([stripBottom, chartTop]);
+  panel.append("path")
+    .attr("d", d3.area()
+      .x(d => monthX(d.month))
+      .y0(d => cycleY(d.q1))
+      .y1(d => cycleY(d.q3))(months))
+    .attr("fill", "#ddd");
+  panel.append("path")
+    .attr("d", d3.line()
+      .x(d => monthX(d.month))
+      .y(d => cycleY(d.mean))(months))
+    .attr("fill", "none")
+    .attr("stroke", "#333")
+    .attr("stroke-width", 1);
+  panel.selectAll("circle")
+    .data(months)
+    .join("circle")
+    .attr("cx", d => monthX(d.month))
+    .attr("cy", d => cycleY(d.mean))
+    .attr("r", 2)
+    .attr("fill", d => colorScale(d.mean))
+    .attr("stroke", "#333")
+    .attr("stroke-width", 0.5)
+    .append("title")
+    .text(d => `${shortName(d.month)}: mean ${format(d.mean)}`);
+}
+
+/**
+ * miniChartScales — the x/y scales of a cell's mini chart. Shared by
+ * drawMiniChart() and findMiniChartDay() so that hover positions map back
+ * to exactly the points that were drawn.
+ *
+ * @param {object}   cellData - contains the days[] array for this month
+ * @param {number}   bw       - cell width in px
+ * @param {number}   bh       - cell height in px
+ * @param {number[]} domain   - temperature range of the y-axis, in the data's unit
+ * @returns {{ xScale, yScale }}
+ */
+function miniChartScales(cellData, bw, bh, domain) {
+  const p = MINI_CHART_PADDING;
+
+  // X: maps day index (1-based) to horizontal pixel position within the cell
+  const xScale = d3.scaleLinear()
+    .domain([1, cellData.days.length])
+    .range([p, bw - p]);
+
+  // Y: maps temperature value to vertical pixel position
+  // Range is inverted so that higher temperatures appear higher in the cell
+  const yScale = d3.scaleLinear()
+    .domain(domain)
+    .range([bh - p, p]);
+
+  return { xScale, yScale };
+}
+
+/**
+ * findMiniChartDay — the day under the pointer inside a cell's mini chart.
+ *
+ * The pointer x is mapped back through the mini chart's xScale and snapped
+ * to the nearest day. That day counts as hovered only while the pointer is
+ * vertically near its min–max span; anywhere else in the cell returns null
+ * so the tooltip keeps showing the monthly summary.
+ *
+ * @param {object}   cellData - contains the days[] array for this month
+ * @param {number}   px       - pointer x relative to the cell, in px
+ * @param {number}   py       - pointer y relative to the cell, in px
+ * @param {number}   bw       - cell width in px
+ * @param {number}   bh       - cell height in px
+ * @param {number[]} domain   - the mini chart's temperature range
+ * @returns {{ day: object, x: number }|null} the day and its x position
+ */
+function findMiniChartDay(cellData, px, py, bw, bh, domain) {
+  const { days } = cellData;
+  const p = MINI_CHART_PADDING;
+  if (!days.length || px < p || px > bw - p) return null;
+
+  const { xScale, yScale } = miniChartScales(cellData, bw, bh, domain);
+  const index = Math.max(0, Math.min(days.length - 1, Math.round(xScale.invert(px)) - 1));
+  const day   = days[index];
+
+  // Pointer must be within the day's span, give or take a small tolerance
+  const top    = yScale(day.max) - MINI_CHART_HOVER_TOLERANCE;
+  const bottom = yScale(day.min) + MINI_CHART_HOVER_TOLERANCE;
+  if (py < top || py > bottom) return null;
+
+  return { day, x: xScale(index + 1) };
+}
+
+/**
+ * drawMiniChart — draws two small line charts inside a single matrix cell:
+ *   - Green line  → daily maximum temperature
+ *   - Light blue  → daily minimum temperature
+ *
+ * The x-axis maps to each day of the month (1 → last day).
+ * The y-axis maps to a fixed temperature range (MINI_CHART_DOMAIN_C, in the
+ * display unit), keeping y scales consistent across all cells for fair
+ * visual comparison.
+ *
+ * Spells of the highlighted event kind are shaded behind the lines.
+ * Elements are joined, so a redraw updates the cell's existing shapes,
+ * and the lines morph into their new shape over `duration`.
+ *
+ * @param {d3.Selection} g         - the <g> element for this cell's chart
+ * @param {object}       cellData  - contains the days[] array for this month
+ * @param {number}       bw        - cell width in px (from xScale.bandwidth())
+ * @param {number}       bh        - cell height in px (from yScale.bandwidth())
+ * @param {string|null}  eventKind - key of EVENT_KINDS whose spells to shade, or null
+ * @param {number[]}     domain    - temperature range of the y-axis
+ * @param {number}       duration  - ms the lines take to change (default 0: at once)
+ */
+function drawMiniChart(g, cellData, bw, bh, eventKind, domain, duration = 0) {
+  // Cells with no data (e.g. future months or missing data at end of dataset) stay empty
+  const { days } = cellData;
+  const { xScale, yScale } = miniChartScales(cellData, bw, bh, domain);
+
+  // Shade the days belonging to spells, half a day's width either side
+  const runs    = eventKind && days.length ? cellData.runs?.[eventKind] ?? [] : [];
+  const halfDay = days.length > 1 ? (xScale(2) - xScale(1)) / 2 : MINI_CHART_PADDING;
+  g.selectAll(".run")
+    .data(runs.length ? runSpans(days, runs) : [])
+    .join("rect")
+    .attr("class", "run")
+    .attr("x", ([from]) => Math.max(0, xScale(from + 1) - halfDay))
+    .attr("y", 1)
+    .attr("width", ([from, to]) =>
+      Math.min(bw, xScale(to + 1) + halfDay) - Math.max(0, xScale(from + 1) - halfDay))
+    .attr("height", Math.max(0, bh - 2))
+    .attr("fill", eventKind ? EVENT_KINDS[eventKind].color : null)
+    .attr("fill-opacity", 0.4)
+    .attr("stroke", eventKind ? EVENT_KINDS[eventKind].color : null)
+    .attr("stroke-width", 1);
+
+  // One smooth line per entry of MINI_CHART_LINES (max in green, min in light blue)
+  const lines = g.selectAll(".mini-line")
+    .data(days.length ? MINI_CHART_LINES : [])
+    .join("path")
+    .attr("class", "mini-line")
+    .attr("stroke", line => line.color)
+    .attr("stroke-width", 1.2)
+    .attr("fill", "none");
+  animate(lines, duration)
+    .attr("d", line => miniChartLine(xScale, yScale, line.field)(days));
+}
+
+/**
+ * miniChartLine — the line generator for one daily value of a mini chart,
+ * for drawing as an SVG path or onto a canvas context.
+ *
+ * @param {d3.ScaleLinear} xScale - day index (1-based) → x
+ * @param {d3.ScaleLinear} yScale - temperature → y
+ * @param {string}         field  - "max" or "min"
+ * @param {CanvasRenderingContext2D|null} context - canvas to draw on, or null for path data
+ * @returns {d3.Line}
+ */
+function miniChartLine(xScale, yScale, field, context = null) {
+  return d3.line()
+    .x((d, i) => xScale(i + 1))
+    .y(d => yScale(d[field]))
+    .curve(d3.curveCatmullRom) // smooth curve between data points
+    .context(context);
+}
+
+/**
+ * paintMiniChart — drawMiniChart() for the canvas renderer: the same
+ * spell shading and lines, painted with the context translated to the
+ * cell's top-left corner.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object}      cellData  - contains the days[] array for this month
+ * @param {number}      bw        - cell width in px
+ * @param {number}      bh        - cell height in px
+ * @param {string|null} eventKind - key of EVENT_KINDS whose spells to shade, or null
+ * @param {number[]}    domain    - temperature range of the y-axis
+ */
+function paintMiniChart(ctx, cellData, bw, bh, eventKind, domain) {
+  const { days } = cellData;
+  if (!days.length) return;
+
+  const { xScale, yScale } = miniChartScales(cellData, bw, bh, domain);
+
+  const runs = eventKind ? cellData.runs?.[eventKind] ?? [] : [];
+  if (runs.length) {
+    const halfDay = days.length > 1 ? (xScale(2) - xScale(1)) / 2 : MINI_CHART_PADDING;
+    ctx.fillStyle   = d3.color(EVENT_KINDS[eventKind].color).copy({ opacity: 0.4 }).formatRgb();
+    ctx.strokeStyle = EVENT_KINDS[eventKind].color;
+    ctx.lineWidth   = 1;
+    runSpans(days, runs).forEach(([from, to]) => {
+      const x = Math.max(0, xScale(from + 1) - halfDay);
+      const width = Math.min(bw, xScale(to + 1) + halfDay) - x;
+      ctx.fillRect(x, 1, width, Math.max(0, bh - 2));
+      ctx.strokeRect(x, 1, width, Math.max(0, bh - 2));
+    });
+  }
+
+  MINI_CHART_LINES.forEach(line => {
+    ctx.beginPath();
+    miniChartLine(xScale, yScale, line.field, ctx)(days);
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth   = 1.2;
+    ctx.stroke();
+  });
+}
+
+/**
+ * paintMatrixCells — the cells of drawMatrix() for the canvas renderer:
+ * background color, mini chart, the hatches of incomplete and projected
+ * months, and cell text, painted onto one canvas instead of a group of SVG
+ * elements per cell.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} params
+ * @param {object[]}     params.cells       - cells to paint
+ * @param {Function}     params.place       - cell → { x, y } of its top-left corner
+ * @param {number}       params.cellWidth   - in px
+ * @param {number}       params.cellHeight  - in px
+ * @param {Function}     params.colorValue  - cell → value to color by (null = no data)
+ * @param {d3.Scale}     params.colorScale  - maps colorValue to a fill color
+ * @param {string|null}  params.highlightRuns - key of EVENT_KINDS to shade, or null
+ * @param {Function|null} params.cellText   - cell → text printed in the cell, or null
+ * @param {number[]}     params.miniChartDomain - temperature range of the mini charts
+ * @param {number}       params.totalWidth  - canvas width in px
+ * @param {number}       params.totalHeight - canvas height in px
+ */
+function paintMatrixCells(canvas, {
+  cells, place, cellWidth, cellHeight, colorValue, colorScale, highlightRuns, cellText,
+  miniChartDomain, totalWidth, totalHeight,
+}) {
+  const ctx = prepareCanvas(canvas, totalWidth, totalHeight);
+
+  cells.forEach(d => {
+    const { x, y } = place(d);
+    ctx.save();
+    ctx.translate(x, y);
+
+    // Background, in the same colors as the SVG cells (grey for missing data)
+    const value = colorValue(d);
+    ctx.beginPath();
+    ctx.roundRect(0, 0, cellWidth, cellHeight, 2);
+    ctx.fillStyle   = value !== null ? colorScale(value) : "#eee";
+    ctx.globalAlpha = d.projected ? PROJECTED_OPACITY : 1;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = "rgba(255,255,255,0.3)";
+    ctx.lineWidth   = 0.5;
+    ctx.stroke();
+
+    paintMiniChart(ctx, d, cellWidth, cellHeight, highlightRuns, miniChartDomain);
+
+    // Diagonal hatch over months with missing days, like #incomplete-hatch
+    if (d.coverage < 1) {
+      ctx.save();
+      ctx.beginPath(); // the mini chart left its lines as the current path
+      ctx.roundRect(0, 0, cellWidth, cellHeight, 2);
+      ctx.clip();
+      ctx.beginPath();
+      for (let x0 = 0; x0 < cellWidth + cellHeight; x0 += 6 * Math.SQRT2) {
+        ctx.moveTo(x0, 0);
+        ctx.lineTo(x0 - cellHeight, cellHeight);
+      }
+      ctx.strokeStyle = "rgba(0,0,0,0.35)";
+      ctx.lineWidth   = 1.5;
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Light hatch the other way and a dashed border over projected months, like #projected-hatch
+    if (d.projected) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.roundRect(0, 0, cellWidth, cellHeight, 2);
+      ctx.clip();
+      ctx.beginPath();
+      for (let x0 = -cellHeight; x0 < cellWidth; x0 += 6 * Math.SQRT2) {
+        ctx.moveTo(x0, 0);
+        ctx.lineTo(x0 + cellHeight, cellHeight);
+      }
+      ctx.strokeStyle = "rgba(255,255,255,0.9)";
+      ctx.lineWidth   = 1.5;
+      ctx.stroke();
+      ctx.restore();
+      ctx.beginPath();
+      ctx.roundRect(0, 0, cellWidth, cellHeight, 2);
+      ctx.setLineDash([3, 2]);
+      ctx.strokeStyle = "#777";
+      ctx.lineWidth   = 1;
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    if (cellText) {
+      ctx.font         = "12px monospace";
+      ctx.textAlign    = "center";
+      ctx.textBaseline = "middle";
+      ctx.lineWidth    = 3;
+      ctx.lineJoin     = "round";
+      ctx.strokeStyle  = "rgba(255,255,255,0.7)"; // halo keeps the text readable on dark fills
+      ctx.strokeText(cellText(d), cellWidth / 2, cellHeight / 2);
+      ctx.fillStyle    = "#222";
+      ctx.fillText(cellText(d), cellWidth / 2, cellHeight / 2);
+    }
+
+    ctx.restore();
+  });
+}
+
+/**
+ * drawMatrix — the main orchestration function that builds the entire
+ * matrix visualization inside the given SVG element.
+ *
+ * It computes scales, then calls the specialized draw functions for axes,
+ * legend, cell backgrounds, mini charts, and hover overlays. Cells are
+ * joined by year and month, so a redraw of the same layout (a resize, a
+ * new statistic) updates the existing elements instead of rebuilding them.
+ * Given a duration, the update is animated: cells glide to their new places
+ * and sizes, fade to their new colors and morph their lines, cells coming
+ * into the window fade in and those leaving it fade out.
+ *
+ * With a canvas, the cells' contents are painted on it instead and each
+ * cell's SVG element is kept only for keyboard focus and screen readers;
+ * the canvas is repainted at once.
+ * Either way the pointer is tracked by one hit area over the whole grid,
+ * which works out the cell (and mini-chart day) under it from the scales.
+ *
+ * @param {object} params
+ * @param {d3.Selection} params.svg         - root SVG element
+ * @param {HTMLCanvasElement|null} params.canvas - canvas behind the SVG to paint
+ *                                            the cells on, or null to draw them in SVG
+ * @param {object[]}     params.cells       - flat array from buildCells(); cells marked
+ *                                            `projected` (projection.js) are faded and hatched
+ * @param {number[]}     params.years       - sorted year list
+ * @param {Function}     params.colorValue  - cell → value to color by (null = no data)
+ * @param {d3.Scale}     params.colorScale  - maps colorValue to a fill color
+ * @param {object|null}  params.legend      - { title, unitName, tickFormat } for drawLegend(), or null for none
+ * @param {Function}     params.onCellHover - mousemove handler for tooltip, called with
+ *                                            (event, cell, day) — day is the mini-chart
+ *                                            day under the pointer, or null
+ * @param {Function}     params.onCellLeave - mouseleave handler for tooltip
+ * @param {Function}     params.onCellClick - click handler that opens the month detail, or null
+ * @param {Function|null} params.onBrush    - called with (cells, event) after a drag across the
+ *                                            grid, with the cells under the rectangle; null
+ *                                            (default) leaves dragging off
+ * @param {object[]}     params.selection   - [{ year, month }] of the cells to outline
+ * @param {object|null}  params.focused     - { year, month } of the cell that takes the Tab stop
+ * @param {Function}     params.describe    - cell → text read out by screen readers
+ * @param {Function}     params.onCellFocus - called with the cell that received keyboard focus
+ * @param {string}       params.label       - accessible name of the whole grid
+ * @param {boolean}      params.transpose   - years as rows and months as columns
+ * @param {Map|null}     params.trends      - month → trend for the trend column, or null to hide it
+ *                                            (months must be rows)
+ * @param {string}       params.trendUnit   - unit of the trended statistic
+ * @param {object|null}  params.marginals   - from buildMarginals(), for the year and month strips
+ *                                            and climatology panel, or null to hide them
+ *                                            (months must be rows)
+ * @param {Function}     params.marginalFormat - value → text with its unit, for the marginals' titles
+ * @param {string|null}  params.highlightRuns - key of EVENT_KINDS whose spells are
+ *                                            shaded on the mini charts, or null
+ * @param {object}       params.margin      - { top, right, bottom, left } in px (default DEFAULT_MARGIN)
+ * @param {Function}     params.yearLabel   - year → column (or row) label (default: the year)
+ * @param {Function|null} params.monthLabel - month → row (or column) label (default: the
+ *                                            locale's month name, abbreviated for columns)
+ * @param {Function}     params.cellText    - cell → text printed in the cell, or omitted
+ * @param {string}       params.heading     - caption drawn above the top-left corner, or omitted
+ * @param {string}       params.unit        - key of TEMPERATURE_UNITS the days are in (mini chart range)
+ * @param {string}       params.locale      - key of LOCALES, for month names and numbers
+ * @param {number}       params.totalWidth  - SVG width in px
+ * @param {number}       params.totalHeight - SVG height in px
+ * @param {number}       params.duration    - ms the changes from the last drawing take (default 0: at once)
+ * @param {string}       params.idPrefix    - prefix of the ids in <defs> (hatches, gradient, arrowheads),
+ *                                            so several drawings can share a page (default "")
+ */
+export function drawMatrix({
+  svg, canvas = null, cells, years, colorValue, colorScale, legend,
+  onCellHover, onCellLeave, onCellClick, onBrush = null, selection = [], focused = null,
+  describe, onCellFocus, label, transpose = false, trends = null, trendUnit, highlightRuns = null,
+  marginals = null, marginalFormat = v => formatRounded(v, 1, locale),
+  margin = DEFAULT_MARGIN, yearLabel = d => d, monthLabel = null, cellText = null, heading = "",
+  unit = DEFAULT_UNIT, locale = DEFAULT_LOCALE, totalWidth, totalHeight, duration = 0, idPrefix = "",
+}) {
+  // A redraw may remove the focused cell's element; remember to focus its successor
+  const hadFocus = svg.node().contains(document.activeElement);
+
+  // Start afresh only when another layout or renderer was drawn here last
+  resetOnChange(svg, canvas ? "matrix-canvas" : "matrix-svg");
+
+  // Usable drawing area after subtracting margins for axes and legend
+  // (and the trend column and marginal strips, when shown); the year strip
+  // goes between the column labels and the grid
+  const yearStrip   = marginals ? YEAR_STRIP_HEIGHT : 0;
+  const gridTop     = margin.top + yearStrip;
+  const chartWidth  = totalWidth  - margin.left - margin.right - (trends ? TREND_COLUMN_WIDTH : 0) -
+    (marginals ? MONTH_STRIP_WIDTH : 0);
+  const chartHeight = totalHeight - gridTop - margin.bottom;
+
+  // Months (1–12) are rows and years columns, or the other way round when transposed
+  const months    = d3.range(1, 13);
+  const columns   = transpose ? months : years;
+  const rows      = transpose ? years : months;
+  const columnOf  = d => transpose ? d.month : d.year;
+  const rowOf     = d => transpose ? d.year : d.month;
+  const monthName = monthLabel ?? (month => monthNames(locale)[month - 1]);
+  const columnName = transpose ? monthName : yearLabel;
+  const rowName    = transpose ? yearLabel : monthName;
+
+  // X scale: each column gets an equal-width band
+  const xScale = d3.scaleBand()
+    .domain(columns)
+    .range([margin.left, margin.left + chartWidth])
+    .padding(0.04); // small gap between columns
+
+  // Y scale: each row gets an equal-height band
+  const yScale = d3.scaleBand()
+    .domain(rows)
+    .range([gridTop, gridTop + chartHeight])
+    .padding(0.04); // small gap between rows
+
+  const cellWidth  = xScale.bandwidth();
+  const cellHeight = yScale.bandwidth();
+  const place      = d => ({ x: xScale(columnOf(d)), y: yScale(rowOf(d)) });
+
+  const miniChartDomain = MINI_CHART_DOMAIN_C.map(v => toUnit(v, unit));
+
+  // ── Diagonal hatches flagging months with missing days, and projected months ──
+  layer(svg, "matrix-defs", "defs")
+    .selectAll("pattern")
+    .data(HATCHES, d => d.id)
+    .join(enter => {
+      const pattern = enter.append("pattern")
+        .attr("id", d => idPrefix + d.id)
+        .attr("width", 6)
+        .attr("height", 6)
+        .attr("patternUnits", "userSpaceOnUse")
+        .attr("patternTransform", d => `rotate(${d.angle})`);
+      pattern.append("line")
+        .attr("x1", 0).attr("y1", 0)
+        .attr("x2", 0).attr("y2", 6)
+        .attr("stroke", d => d.color)
+        .attr("stroke-width", 1.5);
+      return pattern;
+    });
+
+  // Draw supporting elements first (behind cells); month columns are
+  // labelled with short names, since they share the width twelve ways
+  drawAxes(layer(svg, "axes"), xScale, yScale, margin,
+    transpose ? monthLabel ?? (month => monthNames(locale, "short")[month - 1]) : columnName, rowName);
+
+  // The legend, trend column and marginal summaries are a few dozen elements
+  // each; they are simply redrawn inside their layers
+  const legendLayer = layer(svg, "legend-layer");
+  legendLayer.selectAll("*").remove();
+  if (legend) drawLegend(legendLayer, totalWidth, totalHeight, margin, { colorScale, ...legend, idPrefix });
+
+  const trendLayer = layer(svg, "trend-layer");
+  trendLayer.selectAll("*").remove();
+  if (trends) {
+    drawTrendColumn(trendLayer, trends, yScale, margin.left + chartWidth + (marginals ? MONTH_STRIP_WIDTH : 0) + 10,
+      trendUnit, margin, locale, idPrefix);
+  }
+
+  const marginalLayer = layer(svg, "marginal-layer");
+  marginalLayer.selectAll("*").remove();
+  if (marginals) drawMarginals(marginalLayer, marginals, xScale, yScale, colorScale, marginalFormat, locale);
+
+  // Caption above the matrix (e.g. which year range it shows when comparing)
+  svg.selectAll("text.heading")
+    .data(heading ? [heading] : [])
+    .join("text")
+    .attr("class", "heading")
+    .attr("x", margin.left)
+    .attr("y", 16)
+    .attr("font-size", 12)
+    .attr("font-weight", "bold")
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .attr("aria-hidden", true) // part of the grid's accessible name
+    .text(d => d);
+
+  // ── ARIA grid: a header row of columns, then one row per month (or year) ──
+  // Header texts are invisible; the visible axis labels may skip some.
+  svg
+    .attr("role", "grid")
+    .attr("aria-label", label)
+    .attr("aria-multiselectable", onBrush ? true : null)
+    .attr("aria-rowcount", rows.length + 1)
+    .attr("aria-colcount", columns.length + 1);
+
+  layer(svg, "matrix-header")
+    .attr("role", "row")
+    .attr("aria-rowindex", 1)
+    .selectAll("text")
+    .data([transpose ? "Year" : "Month", ...columns.map(columnName)])
+    .join("text")
+    .attr("role", "columnheader")
+    .attr("aria-colindex", (d, i) => i + 1)
+    .attr("opacity", 0)
+    .text(d => d);
+
+  const rowGroups = layer(svg, "matrix-rows")
+    .selectAll(".matrix-row")
+    .data(rows, row => row)
+    .join(enter => enter.append("g")
+      .attr("class", "matrix-row")
+      .attr("role", "row")
+      .call(g => g.append("text")
+        .attr("role", "rowheader")
+        .attr("aria-colindex", 1)
+        .attr("opacity", 0)))
+    .attr("aria-rowindex", (row, i) => i + 2)
+    .order();
+  rowGroups.select("text").text(rowName);
+
+  // The Tab stop: the focused cell if still shown, else the first selected one, else the first
+  const cellIndex   = new Map(cells.map(d => [cellKey(d), d]));
+  const selectedSet = new Set(selection.map(cellKey));
+  const tabStop     = [focused, selection[0], cells[0]]
+    .map(d => d && cellIndex.get(cellKey(d)))
+    .find(Boolean);
+
+  // ── One <g> group per cell (year × month pair) ──
+  // Every month inside the dataset's date span gets a cell, including
+  // months with no rows at all, so gaps in the data stay visible. With the
+  // canvas renderer the group stays empty and only carries focus and ARIA.
+  // New cells start in place, transparent, and fade in with the rest of the update.
+  const translate  = d => `translate(${place(d).x}, ${place(d).y})`;
+  const cellGroups = rowGroups.selectAll(".cell")
+    .data(row => cells.filter(d => rowOf(d) === row), cellKey)
+    .join(
+      enter => {
+        const g = enter.append("g")
+          .attr("class", "cell")
+          .attr("transform", translate)
+          .attr("opacity", 0);
+        if (!canvas) {
+          g.append("rect").attr("class", "background");
+          g.append("g").attr("class", "mini-chart");
+        }
+        return g;
+      },
+      update => update,
+      exit => animate(exit.attr("tabindex", null), duration).attr("opacity", 0).remove()
+    )
+    .order()
+    .attr("data-cell", cellKey)
+    .attr("role", "gridcell")
+    .attr("aria-colindex", d => columns.indexOf(columnOf(d)) + 2)
+    .attr("aria-label", describe)
+    .attr("aria-selected", d => selectedSet.has(cellKey(d)))
+    .attr("tabindex", d => d === tabStop ? 0 : -1)
+    .style("outline", "none"); // replaced by the focus ring drawn below
+
+  animate(cellGroups, duration)
+    .attr("transform", translate)
+    .attr("opacity", 1);
+
+  if (canvas) {
+    paintMatrixCells(canvas, {
+      cells, place, cellWidth, cellHeight, colorValue, colorScale, highlightRuns, cellText,
+      miniChartDomain, totalWidth, totalHeight,
+    });
+  } else {
+    // ── Background rectangle ──
+    // Color encodes the statistic chosen in the mode selector (by default
+    // absMax, the single hottest day, matching the reference tooltip),
+    // or its departure from the baseline in the anomaly view.
+    animate(cellGroups.select(".background"), duration)
+      .attr("width",  cellWidth)
+      .attr("height", cellHeight)
+      .attr("rx", 2) // slightly rounded corners
+      .attr("fill", d => {
+        const value = colorValue(d);
+        return value !== null ? colorScale(value) : "#eee"; // grey for missing data
+      })
+      .attr("fill-opacity", d => d.projected ? PROJECTED_OPACITY : 1)
+      .attr("stroke", "rgba(255,255,255,0.3)")
+      .attr("stroke-width", 0.5);
+
+    // ── Mini line chart inside each cell ──
+    cellGroups.select(".mini-chart").each(function(d) {
+      drawMiniChart(d3.select(this), d, cellWidth, cellHeight, highlightRuns, miniChartDomain, duration);
+    });
+
+    // ── Hatch over months with incomplete coverage ──
+    const hatches = cellGroups.selectAll(".incomplete")
+      .data(d => d.coverage < 1 ? [d] : [])
+      .join(enter => enter.insert("rect", ".cell-text").attr("class", "incomplete"))
+      .attr("rx", 2)
+      .attr("fill", `url(#${idPrefix}incomplete-hatch)`);
+    animate(hatches, duration)
+      .attr("width",  cellWidth)
+      .attr("height", cellHeight);
+
+    // ── Light hatch and dashed border over projected months ──
+    const projections = cellGroups.selectAll(".projected")
+      .data(d => d.projected ? [d] : [])
+      .join(enter => enter.insert("rect", ".cell-text").attr("class", "projected"))
+      .attr("rx", 2)
+      .attr("fill", `url(#${idPrefix}projected-hatch)`)
+      .attr("stroke", "#777")
+      .attr("stroke-dasharray", "3 2");
+    animate(projections, duration)
+      .attr("width",  cellWidth)
+      .attr("height", cellHeight);
+
+    // ── Value printed in the cell (cells without mini charts, e.g. differences) ──
+    const texts = cellGroups.selectAll(".cell-text")
+      .data(d => cellText ? [d] : [])
+      .join("text")
+      .attr("class", "cell-text")
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .attr("font-size", 12)
+      .attr("font-family", "monospace")
+      .attr("fill", "#222")
+      .attr("stroke", "rgba(255,255,255,0.7)") // halo keeps the text readable on dark fills
+      .attr("stroke-width", 3)
+      .attr("paint-order", "stroke")
+      .attr("pointer-events", "none")
+      .text(cellText);
+    animate(texts, duration)
+      .attr("x", cellWidth / 2)
+      .attr("y", cellHeight / 2);
+  }
+
+  // ── Marks over the cells: selected outlines, day crosshair, focus ring, brush ──
+  const overlay = layer(svg, "matrix-overlay").attr("pointer-events", "none");
+
+  const outlines = overlay.selectAll(".selected")
+    .data(cells.filter(d => selectedSet.has(cellKey(d))), cellKey)
+    .join(enter => enter.append("rect")
+      .attr("class", "selected")
+      .attr("x", d => place(d).x + 1)
+      .attr("y", d => place(d).y + 1))
+    .attr("rx", 2)
+    .attr("fill", "none")
+    .attr("stroke", "#222")
+    .attr("stroke-width", 2);
+  animate(outlines, duration)
+    .attr("x", d => place(d).x + 1)
+    .attr("y", d => place(d).y + 1)
+    .attr("width",  Math.max(0, cellWidth  - 2))
+    .attr("height", Math.max(0, cellHeight - 2));
+
+  // Shown while a day of a mini chart is hovered
+  const crosshair = layer(overlay, "crosshair", "line")
+    .attr("stroke", "rgba(0,0,0,0.6)")
+    .attr("stroke-width", 1)
+    .style("visibility", "hidden");
+
+  // Shown while a cell has keyboard focus
+  const focusRing = layer(overlay, "focus-ring", "rect")
+    .attr("width",  cellWidth  + 4)
+    .attr("height", cellHeight + 4)
+    .attr("rx", 3)
+    .attr("fill", "none")
+    .attr("stroke", "#1a6fd1")
+    .attr("stroke-width", 2.5);
+
+  // The rectangle being dragged out across the grid
+  const brushBox = layer(overlay, "brush-box", "rect")
+    .attr("fill", "rgba(26,111,209,0.12)")
+    .attr("stroke", "#1a6fd1")
+    .attr("stroke-width", 1)
+    .attr("stroke-dasharray", "4 2")
+    .style("visibility", "hidden");
+
+  // Mouse clicks focus the cell too; only keyboard focus gets the ring
+  const showFocusRing = (node, d) => focusRing
+    .attr("x", place(d).x - 2)
+    .attr("y", place(d).y - 2)
+    .style("visibility", node.matches(":focus-visible") ? "visible" : "hidden");
+
+  // ── Keyboard: arrows/Home/End move between cells, Enter/Space opens the month ──
+  cellGroups
+    .on("focus", function(event, d) {
+      // Roving tab stop: the last focused cell is where Tab comes back to
+      cellGroups.attr("tabindex", -1);
+      d3.select(this).attr("tabindex", 0);
+      showFocusRing(this, d);
+      onCellFocus(d);
+    })
+    .on("blur", () => focusRing.style("visibility", "hidden"))
+    .on("keydown", function(event, d) {
+      if (onCellClick && (event.key === "Enter" || event.key === " ")) {
+        event.preventDefault();
+        onCellClick(event, d);
+        return;
+      }
+      const target = findNeighborCell(cellIndex, d, event.key, years, transpose);
+      if (!target) return;
+      event.preventDefault();
+      cellGroups.filter(c => c === target).node().focus();
+    });
+
+  // ── Hit area: the cell (and mini-chart day) under the pointer ──
+  // One transparent rectangle over the grid, on top of everything, so the
+  // same hover and click handling serves both renderers.
+  const cellAt = (px, py) => {
+    const column = bandAt(xScale, px);
+    const row    = bandAt(yScale, py);
+    if (column === undefined || row === undefined) return null;
+    return cellIndex.get(transpose ? `${row}-${column}` : `${column}-${row}`) ?? null;
+  };
+  let hovered  = null;
+  let brushing = false;
+
+  const leave = event => {
+    crosshair.style("visibility", "hidden");
+    if (hovered) onCellLeave(event, hovered);
+    hovered = null;
+  };
+
+  const hitArea = layer(svg, "hit-area", "rect")
+    .attr("x", margin.left)
+    .attr("y", gridTop)
+    .attr("width",  Math.max(0, chartWidth))
+    .attr("height", Math.max(0, chartHeight))
+    .attr("fill", "transparent")
+    .on("mousemove", function(event) {
+      if (brushing) return;
+      const [px, py] = d3.pointer(event, svg.node());
+      const d = cellAt(px, py);
+      d3.select(this).attr("cursor", d && onCellClick ? "pointer" : "default"); // cells open the month detail view when clicked
+      if (!d) {
+        leave(event);
+        return;
+      }
+
+      // Snap to a day when the pointer is over the mini chart's lines
+      const { x, y } = place(d);
+      const hit = findMiniChartDay(d, px - x, py - y, cellWidth, cellHeight, miniChartDomain);
+      crosshair
+        .attr("x1", x + (hit?.x ?? 0))
+        .attr("x2", x + (hit?.x ?? 0))
+        .attr("y1", y + MINI_CHART_PADDING)
+        .attr("y2", y + cellHeight - MINI_CHART_PADDING)
+        .style("visibility", hit ? "visible" : "hidden");
+
+      hovered = d;
+      onCellHover(event, d, hit?.day ?? null);
+    })
+    .on("mouseleave", leave)
+    .on("click", event => {
+      const d = cellAt(...d3.pointer(event, svg.node()));
+      if (d && onCellClick) onCellClick(event, d);
+    });
+
+  // ── Brush: dragging across the grid selects the cells under the rectangle ──
+  // Drags shorter than BRUSH_MIN_DRAG stay clicks. Cells count when the
+  // rectangle touches them.
+  let origin = null;
+  const brushed = ([x0, y0], [x1, y1]) => ({
+    x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0),
+  });
+  const cellsIn = box => cells.filter(d => {
+    const { x, y } = place(d);
+    return x < box.x + box.width && x + cellWidth > box.x && y < box.y + box.height && y + cellHeight > box.y;
+  });
+
+  hitArea.on(".drag", null);
+  if (onBrush) {
+    hitArea.call(d3.drag()
+      .container(svg.node())
+      .filter(event => !event.button) // any modifier key: it decides how the cells are added
+      .clickDistance(BRUSH_MIN_DRAG)
+      .on("start", event => {
+        origin   = [event.x, event.y];
+        brushing = false;
+      })
+      .on("drag", event => {
+        if (!brushing && Math.hypot(event.x - origin[0], event.y - origin[1]) < BRUSH_MIN_DRAG) return;
+        if (!brushing) leave(event.sourceEvent);
+        brushing = true;
+        const box = brushed(origin, [event.x, event.y]);
+        brushBox
+          .attr("x", box.x)
+          .attr("y", box.y)
+          .attr("width",  box.width)
+          .attr("height", box.height)
+          .style("visibility", "visible");
+      })
+      .on("end", event => {
+        if (!brushing) return;
+        brushing = false;
+        brushBox.style("visibility", "hidden");
+        onBrush(cellsIn(brushed(origin, [event.x, event.y])), event.sourceEvent);
+      }));
+  }
+
+  // Keep the focus ring on the focused cell, or refocus its successor if it was removed
+  const active = cellGroups.filter(function() { return this === document.activeElement; });
+  if (!active.empty()) {
+    showFocusRing(active.node(), active.datum());
+  } else if (hadFocus && tabStop) {
+    cellGroups.filter(d => d === tabStop).node().focus();
+  } else {
+    focusRing.style("visibility", "hidden");
+  }
+}
+
+/**
+ * drawDayMarks — the marks of the calendar and day-of-year layouts, one
+ * per daily row, as SVG rectangles or painted on a canvas, with grey
+ * areas behind them where the data has no days.
+ *
+ * The pointer is followed by a single hit area: `dateAt` turns a position
+ * into the date drawn there, and that day is outlined and handed on with
+ * the month cell it belongs to, so the tooltip and the month detail behave
+ * as they do over the matrix's mini charts.
+ *
+ * @param {object} params
+ * @param {d3.Selection} params.svg         - root SVG element
+ * @param {HTMLCanvasElement|null} params.canvas - canvas to paint the days on, or null for SVG
+ * @param {object[]}     params.cells       - the cells whose days are drawn
+ * @param {number[]}     params.years       - the shown years
+ * @param {Function}     params.place       - date → { x, y, width, height } of its mark
+ * @param {Function}     params.dateAt      - (x, y) in px → date drawn there, or null
+ * @param {object[]}     params.empty       - [{ x, y, width, height }] grey areas behind the marks
+ * @param {object}       params.area        - { x, y, width, height } the hit area covers
+ * @param {Function}     params.colorValue  - daily row → value to color by
+ * @param {d3.Scale}     params.colorScale  - maps colorValue to a fill color
+ * @param {Function}     params.onCellHover - called with (event, cell, day) over a day
+ * @param {Function}     params.onCellLeave - called when the pointer leaves the days
+ * @param {Function}     params.onCellClick - called with (event, cell) when a day is clicked
+ * @param {number}       params.totalWidth  - SVG width in px
+ * @param {number}       params.totalHeight - SVG height in px
+ */
+function drawDayMarks({
+  svg, canvas, cells, years, place, dateAt, empty, area, colorValue, colorScale,
+  onCellHover, onCellLeave, onCellClick, totalWidth, totalHeight,
+}) {
+  const byYear    = groupDaysByYear(cells, years);
+  const days      = years.flatMap(year => byYear.get(year));
+  const dayIndex  = new Map(days.map(day => [+day.date, day]));
+  const cellIndex = new Map(cells.map(d => [`${d.year}-${d.month}`, d]));
+  const cellOf    = day => cellIndex.get(`${day.year}-${day.month}`);
+
+  if (canvas) {
+    const ctx = prepareCanvas(canvas, totalWidth, totalHeight);
+    ctx.fillStyle = "#eee";
+    empty.forEach(r => ctx.fillRect(r.x, r.y, r.width, r.height));
+    days.forEach(day => {
+      const r = place(day.date);
+      ctx.fillStyle = colorScale(colorValue(day));
+      ctx.fillRect(r.x, r.y, r.width, r.height);
+    });
+  } else {
+    // The grey areas as one path, rather than an element per empty day
+    layer(svg, "day-empty", "path")
+      .attr("d", empty.map(r => `M${r.x},${r.y}h${r.width}v${r.height}h${-r.width}Z`).join(""))
+      .attr("fill", "#eee")
+      .attr("shape-rendering", "crispEdges");
+
+    layer(svg, "day-marks")
+      .selectAll("rect")
+      .data(days, day => +day.date)
+      .join("rect")
+      .each(function(day) {
+        const r = place(day.date);
+        d3.select(this)
+          .attr("x", r.x).attr("y", r.y)
+          .attr("width", r.width).attr("height", r.height);
+      })
+      .attr("shape-rendering", "crispEdges")
+      .attr("fill", day => colorScale(colorValue(day)));
+  }
+
+  // Outline of the hovered day
+  const outline = layer(svg, "day-hover", "rect")
+    .attr("fill", "none")
+    .attr("stroke", "#222")
+    .attr("stroke-width", 1)
+    .attr("pointer-events", "none")
+    .style("visibility", "hidden");
+
+  const dayAt = event => {
+    const date = dateAt(...d3.pointer(event, svg.node()));
+    return date ? dayIndex.get(+date) ?? null : null;
+  };
+  let hovered = null;
+
+  const leave = event => {
+    outline.style("visibility", "hidden");
+    if (hovered) onCellLeave(event, cellOf(hovered));
+    hovered = null;
+  };
+
+  layer(svg, "hit-area", "rect")
+    .attr("x", area.x)
+    .attr("y", area.y)
+    .attr("width",  Math.max(0, area.width))
+    .attr("height", Math.max(0, area.height))
+    .attr("fill", "transparent")
+    .on("mousemove", function(event) {
+      const day = dayAt(event);
+      d3.select(this).attr("cursor", day && onCellClick ? "pointer" : "default");
+      if (!day) {
+        leave(event);
+        return;
+      }
+      const r = place(day.date);
+      outline
+        .attr("x", r.x).attr("y", r.y)
+        .attr("width", r.width).attr("height", r.height)
+        .style("visibility", "visible");
+      hovered = day;
+      onCellHover(event, cellOf(day), day);
+    })
+    .on("mouseleave", leave)
+    .on("click", event => {
+      const day = dayAt(event);
+      if (day && onCellClick) onCellClick(event, cellOf(day));
+    });
+}
+
+/**
+ * startDayLayout — prepares the SVG for a day-level layout: starts afresh
+ * if something else was drawn last, and names it. These layouts draw
+ * thousands of marks, so rather than a grid of focusable cells they are
+ * a single image; the data table holds the values for screen readers.
+ *
+ * @param {d3.Selection} svg   - the root SVG element
+ * @param {string}       kind  - layout and renderer, e.g. "calendar-canvas"
+ * @param {string}       label - accessible name of the image
+ */
+function startDayLayout(svg, kind, label) {
+  resetOnChange(svg, kind);
+  svg
+    .attr("role", "img")
+    .attr("aria-label", label)
+    .attr("aria-multiselectable", null)
+    .attr("aria-rowcount", null)
+    .attr("aria-colcount", null);
+}
+
+/**
+ * drawCalendar — the calendar heatmap: for each year a block of small
+ * squares, one per day, with weeks as columns and weekdays (Sunday at the
+ * top) as rows, like a contribution calendar. Days without data stay grey.
+ *
+ * @param {object} params
+ * @param {d3.Selection} params.svg         - root SVG element
+ * @param {HTMLCanvasElement|null} params.canvas - canvas to paint the days on, or null for SVG
+ * @param {object[]}     params.cells       - cells of the shown years (their days are drawn)
+ * @param {number[]}     params.years       - sorted year list, one block each
+ * @param {Function}     params.colorValue  - daily row → value to color by
+ * @param {d3.Scale}     params.colorScale  - maps colorValue to a fill color
+ * @param {object|null}  params.legend      - { extent, title, unitName } for drawLegend(), or null for none
+ * @param {Function}     params.onCellHover - called with (event, cell, day) over a day
+ * @param {Function}     params.onCellLeave - called when the pointer leaves a day
+ * @param {Function}     params.onCellClick - called with (event, cell) when a day is clicked
+ * @param {string}       params.label       - accessible name of the chart
+ * @param {object}       params.margin      - { top, right, bottom, left } in px (default DEFAULT_MARGIN)
+ * @param {string}       params.locale      - key of LOCALES, for the month names
+ * @param {number}       params.totalWidth  - SVG width in px
+ * @param {number}       params.totalHeight - SVG height in px
+ * @param {string}       params.idPrefix    - prefix of the legend gradient's id (default "")
+ */
+export function drawCalendar({
+  svg, canvas = null, cells, years, colorValue, colorScale, legend,
+  onCellHover, onCellLeave, onCellClick, label, margin = DEFAULT_MARGIN, locale = DEFAULT_LOCALE,
+  totalWidth, totalHeight, idPrefix = "",
+}) {
+  startDayLayout(svg, canvas ? "calendar-canvas" : "calendar-svg", label);
+
+  const chartWidth  = totalWidth  - margin.left - margin.right;
+  const chartHeight = totalHeight - margin.top  - margin.bottom;
+
+  // Square size: every week column fits across, and every year block
+  // (7 weekday rows plus one row of gap) fits down
+  const size = Math.max(1, Math.min(
+    chartWidth / CALENDAR_WEEKS,
+    chartHeight / (years.length * CALENDAR_BLOCK_ROWS - 1)
+  ));
+  const gap       = size > 4 ? 1 : 0; // hairline between squares, when there's room
+  const blockTop  = i => margin.top + i * CALENDAR_BLOCK_ROWS * size;
+  const yearIndex = new Map(years.map((year, i) => [year, i]));
+
+  const place = date => {
+    const { week, weekday } = calendarPosition(date);
+    return {
+      x:      margin.left + week * size,
+      y:      blockTop(yearIndex.get(date.getFullYear())) + weekday * size,
+      width:  size - gap,
+      height: size - gap,
+    };
+  };
+
+  // The inverse of place(): block, then weekday row and week column
+  const dateAt = (px, py) => {
+    const i    = Math.floor((py - margin.top) / (CALENDAR_BLOCK_ROWS * size));
+    const year = years[i];
+    if (year === undefined) return null;
+    const weekday = Math.floor((py - blockTop(i)) / size);
+    const week    = Math.floor((px - margin.left) / size);
+    if (weekday > 6 || week < 0 || week >= CALENDAR_WEEKS) return null;
+    return calendarDate(year, week, weekday);
+  };
+
+  const legendLayer = layer(svg, "legend-layer");
+  legendLayer.selectAll("*").remove();
+  if (legend) drawLegend(legendLayer, totalWidth, totalHeight, margin, { colorScale, ...legend, idPrefix });
+
+  const labels = layer(svg, "calendar-labels").attr("aria-hidden", true);
+
+  // ── Month names above the first block, at each month's first week ──
+  labels.selectAll(".calendar-month")
+    .data(d3.range(12))
+    .join("text")
+    .attr("class", "calendar-month")
+    .attr("x", m => margin.left + calendarPosition(new Date(years[0], m, 1)).week * size)
+    .attr("y", margin.top - 8)
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(m => monthNames(locale, "short")[m]);
+
+  // ── Year labels, vertically centered on their blocks ──
+  labels.selectAll(".calendar-year")
+    .data(years, year => year)
+    .join("text")
+    .attr("class", "calendar-year")
+    .attr("x", margin.left - 8)
+    .attr("y", (year, i) => blockTop(i) + 3.5 * size)
+    .attr("text-anchor", "end")
+    .attr("dominant-baseline", "middle")
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(year => year);
+
+  drawDayMarks({
+    svg, canvas, cells, years, place, dateAt, colorValue, colorScale,
+    onCellHover, onCellLeave, onCellClick, totalWidth, totalHeight,
+    // Every day of every year in grey, so days missing from the data show as gaps
+    empty: years.flatMap(year =>
+      d3.timeDays(new Date(year, 0, 1), new Date(year + 1, 0, 1)).map(place)),
+    area:  {
+      x:      margin.left,
+      y:      margin.top,
+      width:  CALENDAR_WEEKS * size,
+      height: years.length * CALENDAR_BLOCK_ROWS * size,
+    },
+  });
+}
+
+/**
+ * drawRaster — the day-of-year × year raster: one row per year and one
+ * thin column per day of the year, colored by the day's value. Leap years
+ * run one column further, so from March on they sit a day to the right.
+ *
+ * Takes the same parameters as drawCalendar().
+ *
+ * @param {object} params
+ */
+export function drawRaster({
+  svg, canvas = null, cells, years, colorValue, colorScale, legend,
+  onCellHover, onCellLeave, onCellClick, label, margin = DEFAULT_MARGIN, locale = DEFAULT_LOCALE,
+  totalWidth, totalHeight, idPrefix = "",
+}) {
+  startDayLayout(svg, canvas ? "raster-canvas" : "raster-svg", label);
+
+  const chartWidth  = totalWidth  - margin.left - margin.right;
+  const chartHeight = totalHeight - margin.top  - margin.bottom;
+
+  // X scale: day of the year (0 = 1 January) → left edge of its column
+  const xScale = d3.scaleLinear()
+    .domain([0, RASTER_DAYS])
+    .range([margin.left, margin.left + chartWidth]);
+  const dayWidth = xScale(1) - xScale(0);
+
+  // Y scale: each year gets an equal-height row band
+  const yScale = d3.scaleBand()
+    .domain(years)
+    .range([margin.top, margin.top + chartHeight])
+    .padding(0.08);
+
+  const place = date => ({
+    x:      xScale(dayOfYear(date)),
+    y:      yScale(date.getFullYear()),
+    width:  Math.max(1, dayWidth),
+    height: yScale.bandwidth(),
+  });
+
+  // The inverse of place(): the year's row, then the day's column
+  const dateAt = (px, py) => {
+    const year = bandAt(yScale, py);
+    if (year === undefined) return null;
+    const date = d3.timeDay.offset(new Date(year, 0, 1), Math.floor(xScale.invert(px)));
+    return date.getFullYear() === year ? date : null;
+  };
+
+  const legendLayer = layer(svg, "legend-layer");
+  legendLayer.selectAll("*").remove();
+  if (legend) drawLegend(legendLayer, totalWidth, totalHeight, margin, { colorScale, ...legend, idPrefix });
+
+  const labels = layer(svg, "raster-labels").attr("aria-hidden", true);
+
+  // ── Month ticks and names along the top (positions of a common year) ──
+  const monthStarts = d3.range(13).map(m => d3.timeDay.count(new Date(2001, 0, 1), new Date(2001, m, 1)));
+  labels.selectAll(".raster-tick")
+    .data(monthStarts)
+    .join("line")
+    .attr("class", "raster-tick")
+    .attr("x1", doy => xScale(doy))
+    .attr("x2", doy => xScale(doy))
+    .attr("y1", margin.top - 18)
+    .attr("y2", margin.top - 2)
+    .attr("stroke", "#999");
+  labels.selectAll(".raster-month")
+    .data(d3.range(12))
+    .join("text")
+    .attr("class", "raster-month")
+    .attr("x", m => xScale((monthStarts[m] + monthStarts[m + 1]) / 2))
+    .attr("y", margin.top - 8)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(m => monthNames(locale, "short")[m]);
+
+  // ── Year labels down the left, thinned out when rows get short ──
+  const rowStep = Math.max(1, Math.ceil(MIN_ROW_LABEL_SPACING / yScale.step()));
+  labels.selectAll(".raster-year")
+    .data(years.filter((d, i) => i % rowStep === 0), year => year)
+    .join("text")
+    .attr("class", "raster-year")
+    .attr("x", margin.left - 8)
+    .attr("y", year => yScale(year) + yScale.bandwidth() / 2)
+    .attr("text-anchor", "end")
+    .attr("dominant-baseline", "middle")
+    .attr("font-size", 11)
+    .attr("font-family", "monospace")
+    .attr("fill", "#333")
+    .text(year => year);
+
+  drawDayMarks({
+    svg, canvas, cells, years, place, dateAt, colorValue, colorScale,
+    onCellHover, onCellLeave, onCellClick, totalWidth, totalHeight,
+    // One grey row per year, so days missing from the data show as gaps
+    empty: years.map(year => ({
+      x:      margin.left,
+      y:      yScale(year),
+      width:  xScale(d3.timeDay.count(new Date(year, 0, 1), new Date(year + 1, 0, 1))) - margin.left,
+      height: yScale.bandwidth(),
+    })),
+    area:  { x: margin.left, y: margin.top, width: chartWidth, height: chartHeight },
+  });
+}
+
+/**
+ * drawSideBySide — matrices next to each other, one nested <svg> each,
+ * e.g. the two year ranges or stations of compare mode. Only the last has
+ * the legend; the others are narrower by its margin, so all the grids
+ * are the same size.
+ *
+ * @param {object}   params - those of drawMatrix(), shared by every matrix, plus:
+ * @param {object[]} params.parts - [{ cells, years, heading, clickable }] left to right;
+ *                                  clickable: false leaves onCellClick off for that matrix
+ * @param {string}   params.label - accessible name of the group; each matrix is named
+ *                                  by its heading, then this
+ */
+function drawSideBySide({
+  svg, parts, legend, margin = DEFAULT_MARGIN, label, onCellClick, totalWidth, totalHeight, idPrefix = "",
+  ...shared
+}) {
+  const partWidth = Math.floor((totalWidth - margin.right + COMPARE_GAP) / parts.length);
+  const last      = parts.length - 1;
+
+  resetOnChange(svg, "compare-side");
+  svg
+    .attr("role", "group")
+    .attr("aria-label", label)
+    .attr("aria-multiselectable", null)
+    .attr("aria-rowcount", null)
+    .attr("aria-colcount", null);
+
+  svg.selectAll(".compare-part")
+    .data(parts, (part, i) => i)
+    .join("svg")
+    .attr("class", "compare-part")
+    .attr("x", (part, i) => i * partWidth)
+    .attr("width", (part, i) => i === last ? totalWidth - last * partWidth : partWidth)
+    .attr("height", totalHeight)
+    .each(function(part, i) {
+      drawMatrix({
+        ...shared,
+        svg:         d3.select(this),
+        cells:       part.cells,
+        years:       part.years,
+        legend:      i === last ? legend : null,
+        margin:      i === last ? margin : { ...margin, right: COMPARE_GAP },
+        heading:     part.heading,
+        label:       `${part.heading}. ${label}`,
+        // The trend column and marginals summarize a single matrix
+        trends:      null,
+        marginals:   null,
+        onCellClick: part.clickable === false ? null : onCellClick,
+        idPrefix:    `${idPrefix}${i}-`,
+        totalWidth:  i === last ? totalWidth - last * partWidth : partWidth,
+        totalHeight,
+      });
+    });
+}
+
+/**
+ * renderMatrix — draws a matrix of cells into an element and keeps it up
+ * to date, for pages that only have data, options and callbacks to give:
+ * it fills the element (unless given a size), redraws when the element is
+ * resized, picks the SVG or canvas renderer, and tracks the selected and
+ * focused cells itself (selection.js has the click and drag rules). Every
+ * option has a default; with none, the cells are colored by their hottest
+ * day, with a legend.
+ *
+ * The drawing goes into the element's own <svg> and <canvas> children
+ * when it has them (TemperatureMatrix renders both), else they are added.
+ *
+ * @param {Element}  element - the container; made position: relative if static
+ * @param {object[]} data    - cells from aggregateCells() / buildCells(), in `unit`
+ * @param {object}   options
+ * @param {string}   options.mode        - key of `statistics` to color by (default "max")
+ * @param {object}   options.statistics  - statistics by key (default: localizeStatistics(unit, locale))
+ * @param {object}   options.thresholds  - the thresholds named in titles (default DEFAULT_THRESHOLDS)
+ * @param {number[]} options.years       - the years shown (default: every year of the cells)
+ * @param {number}   options.width       - in px (default: the element's width)
+ * @param {number}   options.height      - in px (default: the element's height)
+ * @param {object}   options.margin      - { top, right, bottom, left } in px; omitted sides from DEFAULT_MARGIN
+ * @param {d3.Scale} options.colorScale  - maps colorValue to a fill color (default: the statistic's palette and range)
+ * @param {Function} options.colorValue  - cell → value to color by (default: the statistic's field)
+ * @param {object|null} options.legend   - settings for drawLegend(), or null for none
+ *                                         (default: the statistic's title and unit)
+ * @param {object}   options.formatters  - any of:
+ *   year     year → axis label
+ *   month    month → axis label
+ *   value    number → legend tick label
+ *   cell     cell → text printed in the cell (none by default)
+ *   describe cell → text read out by screen readers (default describeCell())
+ * @param {string}   options.renderer    - "svg", "canvas" or "auto" (default: by the number of
+ *                                         cells, or of days in the day layouts)
+ * @param {number}   options.duration    - ms an update or resize takes to animate in SVG
+ *                                         (default TRANSITION_MS; 0 for none)
+ * @param {string}   options.layout      - key of LAYOUTS (layouts.js): "matrix" (default),
+ *                                         "transposed" (years as rows), or the day layouts
+ *                                         "calendar" and "raster", which color each day by the
+ *                                         statistic's daily value (colorValue then takes a day)
+ * @param {object[]|null} options.sideBySide - matrices drawn next to each other instead of one
+ *                                         of all the cells, always in SVG:
+ *                                         [{ cells, years, heading, clickable }] (clickable:
+ *                                         false for a matrix whose cells can't be opened);
+ *                                         the cells given for all of them set the colors
+ * @param {Map|boolean} options.trends   - month → trend for the trend column (matrix layout), true to fit
+ *                                         them with buildMonthTrends(), or false (default)
+ * @param {object|boolean} options.marginals - year/month strips and climatology panel: from
+ *                                         buildMarginals(), true to build them from the cells'
+ *                                         colorValue, or false (default)
+ * @param {string|null} options.highlightRuns - key of EVENT_KINDS shaded on the mini charts
+ *                                         (default: the statistic's event, if any)
+ * @param {string}   options.heading     - caption above the matrix
+ * @param {string}   options.label       - accessible name of the grid
+ * @param {string}   options.unit        - key of TEMPERATURE_UNITS the cells are in
+ * @param {string}   options.locale      - key of LOCALES, for month names and numbers
+ * @param {object[]} options.selection   - [{ year, month }] of the selected cells; when given,
+ *                                         the caller keeps it up to date from onSelectionChange
+ * @param {Function} options.onCellClick       - (event, cell) on a plain click, Enter or Space;
+ *                                               with shift, ctrl or ⌘ held the selection changes instead
+ * @param {Function} options.onCellHover       - (event, cell, day) as the pointer moves over a cell;
+ *                                               day is the mini-chart day under it, or null
+ * @param {Function} options.onCellLeave       - (event, cell) when the pointer leaves the cells
+ * @param {Function} options.onCellFocus       - (cell) when a cell receives keyboard focus
+ * @param {Function} options.onSelectionChange - ([{ year, month }]) when a click or drag changes
+ *                                               the selection
+ *   Cells can be clicked and dragged across only when onCellClick or
+ *   onSelectionChange is given.
+ * @returns {{ update: Function, destroy: Function }} update(data, options) redraws
+ *   with new cells and options; destroy() stops following the element's size and
+ *   empties it
+ */
+export function renderMatrix(element, data, options = {}) {
+  if (getComputedStyle(element).position === "static") element.style.position = "relative";
+
+  const canvasNode = element.querySelector(":scope > canvas")
+    ?? element.insertBefore(document.createElement("canvas"), element.firstChild);
+  const svgNode = element.querySelector(":scope > svg")
+    ?? element.appendChild(document.createElementNS(SVG_NS, "svg"));
+
+  // The canvas lies under the SVG, which takes the pointer for both
+  Object.assign(canvasNode.style, { position: "absolute", left: 0, top: 0, pointerEvents: "none" });
+  canvasNode.setAttribute("aria-hidden", "true");
+  Object.assign(svgNode.style, { display: "block", position: "relative" });
+
+  // Prefix of every <defs> id, so two matrices on a page keep their own gradients and hatches
+  const idPrefix = `matrix-${++drawingCount}-`;
+
+  let current  = { data, options };
+  let selection = options.selection ?? [];
+  let anchor    = null; // corner of shift-click rectangles: the last cell clicked alone or toggled
+  let focused   = null;
+
+  const draw = () => {
+    const { data: cells, options: opts } = current;
+    const svg = d3.select(svgNode);
+
+    if (!cells.length) {
+      svg.selectAll("*").remove();
+      svg.attr("data-drawing", null);
+      clearCanvas(canvasNode);
+      return;
+    }
+
+    const {
+      mode = "max", unit = DEFAULT_UNIT, locale = DEFAULT_LOCALE, thresholds = DEFAULT_THRESHOLDS,
+      statistics = localizeStatistics(unit, locale), formatters = {}, layout = "matrix", sideBySide = null,
+      onCellClick, onSelectionChange, onCellHover = () => {}, onCellLeave = () => {},
+    } = opts;
+    const stat      = statistics[mode];
+    const years     = opts.years ?? [...new Set(cells.map(d => d.year))].sort(d3.ascending);
+    const transpose = layout === "transposed";
+    // The day layouts color each day by the daily value matching the statistic
+    const daily     = isDailyLayout(layout) ? localizeDailyValues(unit)[stat.daily] : null;
+
+    const bounds      = element.getBoundingClientRect();
+    const totalWidth  = opts.width  ?? bounds.width;
+    const totalHeight = opts.height ?? bounds.height;
+    // Sides without a set size follow the element
+    svg
+      .attr("width",  totalWidth)
+      .attr("height", totalHeight)
+      .style("width",  opts.width  ? null : "100%")
+      .style("height", opts.height ? null : "100%");
+
+    const colorValue = opts.colorValue ?? (daily ? daily.value : d => d[stat.field]);
+    const colorScale = opts.colorScale ?? buildColorScale(DEFAULT_COLOR_SETTINGS, {
+      interpolator: (daily ?? stat).interpolator,
+      presetDomain: (daily ?? stat).domain,
+      diverging:    false,
+      values:       (daily ? cells.flatMap(d => d.days) : cells).map(colorValue).filter(v => v !== null),
+    }).scale;
+    const legend = opts.legend !== undefined ? opts.legend
+      : daily ? { title: daily.label, unitName: TEMPERATURE_UNITS[unit].name, locale }
+      : { title: statisticTitle(stat, thresholds), unitName: stat.unitName, locale };
+    // Values as the legend writes them (signed, in the anomaly view)
+    const formatValue = legend?.tickFormat ?? formatters.value ?? (v => formatRounded(v, 1, locale));
+
+    // The canvas only holds pixels while the canvas renderer is in use;
+    // side by side, the matrices are small and always SVG
+    const renderer = sideBySide ? "svg"
+      : opts.renderer === "svg" || opts.renderer === "canvas" ? opts.renderer
+      : chooseRenderer(daily ? d3.sum(cells, d => d.days.length) : cells.length * SVG_NODES_PER_CELL);
+    const canvas = renderer === "canvas" ? canvasNode : null;
+    if (renderer !== "canvas") clearCanvas(canvasNode);
+
+    // Without a caller keeping `selection`, the new one is outlined here
+    const select = next => {
+      selection = next;
+      if (!("selection" in opts)) draw();
+      onSelectionChange?.(selection);
+    };
+
+    // A plain click selects the cell alone and is passed on; with a modifier
+    // key it only changes the selection
+    const click = (event, d) => {
+      const cell = { year: d.year, month: d.month };
+      if (event.ctrlKey || event.metaKey) {
+        anchor = cell;
+        select(toggleCell(selection, cell));
+      } else if (event.shiftKey && anchor) {
+        select(cellsBetween(cells, anchor, cell));
+      } else {
+        anchor = cell;
+        select([cell]);
+        onCellClick?.(event, d);
+      }
+    };
+
+    const brush = (brushed, event) => {
+      const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+      select(additive ? addCells(selection, brushed) : addCells([], brushed));
+    };
+    const selectable = Boolean(onCellClick || onSelectionChange);
+
+    const margin = { ...DEFAULT_MARGIN, ...opts.margin };
+
+    // Day layouts: one mark per day rather than a grid of month cells
+    if (daily) {
+      const drawDays = layout === "calendar" ? drawCalendar : drawRaster;
+      drawDays({
+        svg,
+        canvas,
+        cells,
+        years,
+        colorValue,
+        colorScale,
+        legend:      legend && { tickFormat: formatters.value, ...legend },
+        onCellHover,
+        onCellLeave,
+        onCellClick: selectable ? click : null,
+        label:       opts.label ?? `${daily.label} by day, ${years[0]}–${years[years.length - 1]}`,
+        margin,
+        locale,
+        totalWidth,
+        totalHeight,
+        idPrefix,
+      });
+      return;
+    }
+
+    // Side by side: each matrix takes its own cells, the rest is shared
+    const drawGrids = sideBySide
+      ? params => drawSideBySide({ ...params, parts: sideBySide })
+      : drawMatrix;
+
+    drawGrids({
+      svg,
+      canvas,
+      cells,
+      years,
+      colorValue,
+      colorScale,
+      legend:      legend && { tickFormat: formatters.value, ...legend },
+      onCellHover,
+      onCellLeave,
+      onCellClick: selectable ? click : null,
+      // Dragging picks cells of one grid; side by side there are several
+      onBrush:     selectable && !sideBySide ? brush : null,
+      selection,
+      focused,
+      describe:    formatters.describe ?? (d => describeCell(d, stat, thresholds)),
+      onCellFocus: d => {
+        focused = { year: d.year, month: d.month };
+        opts.onCellFocus?.(d);
+      },
+      label:       opts.label ?? `${statisticTitle(stat, thresholds)} by month, ${years[0]}–${years[years.length - 1]}`,
+      transpose,
+      // The trend column runs down the month rows
+      trends:      transpose ? null : opts.trends === true ? buildMonthTrends(cells, stat.field) : opts.trends || null,
+      trendUnit:   stat.unit,
+      // So do the marginals, which summarize what the colors show
+      marginals:   transpose ? null
+        : opts.marginals === true ? buildMarginals(cells, colorValue, stat.extreme)
+        : opts.marginals || null,
+      marginalFormat: v => `${formatValue(v)} ${stat.unit}`,
+      highlightRuns: opts.highlightRuns === undefined ? stat.event ?? null : opts.highlightRuns,
+      margin,
+      yearLabel:   formatters.year,
+      monthLabel:  formatters.month,
+      cellText:    formatters.cell,
+      heading:     opts.heading,
+      unit,
+      locale,
+      totalWidth,
+      totalHeight,
+      duration:    opts.duration ?? TRANSITION_MS,
+      idPrefix,
+    });
+  };
+
+  draw();
+  const stopObserving = observeResize(element, draw);
+
+  return {
+    update(nextData, nextOptions = {}) {
+      current = { data: nextData, options: nextOptions };
+      if ("selection" in nextOptions) selection = nextOptions.selection ?? [];
+      draw();
+    },
+    destroy() {
+      stopObserving();
+      d3.select(svgNode).attr("data-drawing", null).selectAll("*").remove();
+      clearCanvas(canvasNode);
+    },
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * playback.js
+ *
+ * Animated playback of the matrix for presentations. Playing steps through
+ * frames at a chosen speed, and the matrix transitions from one to the next:
+ *
+ *   reveal  — the year window stays put and its years appear one at a time
+ *   window  — a window as long as the shown one slides across every year
+ *             of the dataset, one year per step
+ *
+ * A frame is { yearRange, revealYear }: the year window to show and the
+ * last year whose cells are drawn (null for all of them).
+ */
+
+export const PLAY_MODES = {
+  reveal: "Reveal year by year",
+  window: "Sliding window",
+};
+
+// Playback speeds: multiplier → time (ms) each frame stays on screen
+export const PLAY_SPEEDS = { 0.5: 2400, 1: 1200, 2: 600, 4: 300 };
+
+export const DEFAULT_PLAY_SPEED = 1;
+
+/**
+ * playFrames — the frames of a playback, first to last.
+ *
+ * @param {string}   mode      - key of PLAY_MODES
+ * @param {number[]} extent    - [firstYear, lastYear] of the dataset
+ * @param {number[]} yearRange - [startYear, endYear] of the shown window
+ * @returns {object[]} [{ yearRange, revealYear }]
+ */
+export function playFrames(mode, [firstYear, lastYear], [start, end]) {
+  if (mode === "reveal") {
+    return Array.from({ length: end - start + 1 }, (_, i) => ({
+      yearRange:  [start, end],
+      revealYear: start + i,
+    }));
+  }
+
+  const length = Math.min(end - start, lastYear - firstYear) + 1;
+  return Array.from({ length: lastYear - firstYear - length + 2 }, (_, i) => ({
+    yearRange:  [firstYear + i, firstYear + i + length - 1],
+    revealYear: null,
+  }));
+}
+
+/**
+ * revealCells — the cells a frame draws: those up to its revealYear.
+ *
+ * @param {object[]}    cells
+ * @param {number|null} revealYear - last year drawn, or null for all
+ * @returns {object[]}
+ */
+export function revealCells(cells, revealYear) {
+  return revealYear === null ? cells : cells.filter(d => d.year <= revealYear);
+}
+
+/**
+ * frameTransition — how long (ms) the matrix takes to move from one frame
+ * to the next: most of the frame, so each step settles before the next.
+ *
+ * @param {number} speed - key of PLAY_SPEEDS
+ * @returns {number}
+ */
+export function frameTransition(speed) {
+  return Math.round(PLAY_SPEEDS[speed] * 0.6);
+}
@@ -0,0 +1,120 @@
+/**
+ * projection.js
+ *
+ * Projection mode: the next year or two of each month, from the straight
+ * line through that month's values across the shown years — the fit of the
+ * trend column (trend.js), extended. Each projection comes with its 95%
+ * prediction interval, the range a single new year is expected to fall in,
+ * which is much wider than the uncertainty of the line itself.
+ *
+ * A backtest shows how far to trust it: the lines are refitted without the
+ * last shown year, and their projection of that year is compared with what
+ * was recorded.
+ *
+ * Projected cells carry only the statistic projected and are marked
+ * `projected: true`; they have no days, so no mini chart or month detail.
+ */
+
+import * as d3 from "d3";
+import { linearTrend, predictTrend } from "./trend.js";
+
+// Years ahead the projection mode offers
+export const PROJECTION_YEARS = [1, 2];
+
+/**
+ * fitMonths — a trend line per month through the cells' values of a field.
+ *
+ * @param {object[]} cells
+ * @param {string}   field
+ * @returns {Map<number, object>} month → fit from linearTrend() (months with
+ *                                too few values left out)
+ */
+function fitMonths(cells, field) {
+  const fits = new Map();
+  d3.group(cells, d => d.month).forEach((monthCells, month) => {
+    const fit = linearTrend(monthCells
+      .filter(d => d[field] !== null && d[field] !== undefined)
+      .map(d => ({ x: d.year, y: d[field] })));
+    if (fit) fits.set(month, fit);
+  });
+  return fits;
+}
+
+/**
+ * predict — a fit's projection for a year, kept at or above zero for the
+ * statistics that count days or spells.
+ *
+ * @param {object} fit  - from linearTrend()
+ * @param {number} year
+ * @param {object} stat - entry of STATISTICS
+ * @returns {{ value: number, interval: number[] }}
+ */
+function predict(fit, year, stat) {
+  const { value, interval } = predictTrend(fit, year);
+  if (stat.temperature) return { value, interval };
+  return { value: Math.max(0, value), interval: interval.map(v => Math.max(0, v)) };
+}
+
+/**
+ * projectCells — projected cells for the years after the last shown one.
+ *
+ * @param {object[]} cells   - the shown cells
+ * @param {object}   stat    - entry of STATISTICS to project
+ * @param {number}   horizon - years ahead (see PROJECTION_YEARS)
+ * @returns {{ years: number[], cells: object[] }} the projected years, and a
+ *   cell per month of each: { year, month, projected, [stat.field], interval,
+ *   fitYears, days: [], coverage: 1 }; months without a fit have a null value
+ */
+export function projectCells(cells, stat, horizon) {
+  const [first, last] = d3.extent(cells, d => d.year);
+  const fits  = fitMonths(cells, stat.field);
+  const years = d3.range(last + 1, last + horizon + 1);
+
+  return {
+    years,
+    cells: years.flatMap(year => d3.range(1, 13).map(month => {
+      const fit = fits.get(month);
+      const { value = null, interval = null } = fit ? predict(fit, year, stat) : {};
+      return {
+        year,
+        month,
+        projected:    true,
+        [stat.field]: value,
+        interval,
+        fitYears:     [first, last],
+        days:         [],
+        coverage:     1,
+      };
+    })),
+  };
+}
+
+/**
+ * backtestProjection — refits without the last shown year and projects it,
+ * month by month, against the recorded values.
+ *
+ * @param {object[]} cells - the shown cells
+ * @param {object}   stat  - entry of STATISTICS
+ * @returns {object|null} { year, months, meanError, bias, inside }:
+ *   months     [{ month, actual, value, interval }] for months that could be compared
+ *   meanError  mean absolute difference, projected − recorded
+ *   bias       mean signed difference
+ *   inside     how many recorded values fell inside their interval
+ *   or null when no month could be compared
+ */
+export function backtestProjection(cells, stat) {
+  const year   = d3.max(cells, d => d.year);
+  const fits   = fitMonths(cells.filter(d => d.year < year), stat.field);
+  const months = cells
+    .filter(d => d.year === year && d[stat.field] !== null && d[stat.field] !== undefined && fits.has(d.month))
+    .map(d => ({ month: d.month, actual: d[stat.field], ...predict(fits.get(d.month), year, stat) }));
+  if (!months.length) return null;
+
+  return {
+    year,
+    months,
+    meanError: d3.mean(months, d => Math.abs(d.value - d.actual)),
+    bias:      d3.mean(months, d => d.value - d.actual),
+    inside:    months.filter(d => d.actual >= d.interval[0] && d.actual <= d.interval[1]).length,
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * render.js
+ *
+ * Plumbing shared by the drawing functions in matrix.js and App.jsx:
+ *   - choosing between the SVG and canvas renderers: SVG keeps every mark
+ *     a DOM node, canvas paints the cells or days onto one bitmap and finds
+ *     the mark under the pointer by arithmetic (hit-testing), which stays
+ *     fast with thousands of marks
+ *   - sizing a canvas for the screen's pixel density
+ *   - resize observation that redraws once the size settles
+ *   - reusing SVG layers and band lookups, so redraws update the existing
+ *     elements instead of rebuilding them
+ *   - transitions for those updates, skipped for readers who prefer
+ *     reduced motion
+ */
+
+import * as d3 from "d3";
+
+// Above this many SVG nodes a drawing switches to the canvas renderer
+export const CANVAS_NODE_THRESHOLD = 4000;
+
+// Resize events closer together than this (ms) cause a single redraw
+export const RESIZE_DEBOUNCE_MS = 80;
+
+// Time (ms) a redraw takes to move, resize and recolor the existing marks
+export const TRANSITION_MS = 450;
+
+/**
+ * chooseRenderer — "canvas" for drawings that would need more than
+ * CANVAS_NODE_THRESHOLD SVG nodes, otherwise "svg".
+ *
+ * @param {number} nodeCount - SVG nodes the drawing would create
+ * @returns {"svg"|"canvas"}
+ */
+export function chooseRenderer(nodeCount) {
+  return nodeCount > CANVAS_NODE_THRESHOLD ? "canvas" : "svg";
+}
+
+/**
+ * prepareCanvas — sizes a canvas to width × height CSS pixels at the
+ * screen's pixel density and clears it.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {number}            width  - in CSS px
+ * @param {number}            height - in CSS px
+ * @returns {CanvasRenderingContext2D} context drawing in CSS px
+ */
+export function prepareCanvas(canvas, width, height) {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width  = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.width  = `${width}px`;
+  canvas.style.height = `${height}px`;
+
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return ctx;
+}
+
+/**
+ * clearCanvas — empties a canvas that is not in use.
+ *
+ * @param {HTMLCanvasElement|null} canvas
+ */
+export function clearCanvas(canvas) {
+  if (!canvas) return;
+  canvas.width  = 0;
+  canvas.height = 0;
+}
+
+/**
+ * observeResize — calls `render` whenever the element's size changes,
+ * waiting until no change has come for RESIZE_DEBOUNCE_MS so that
+ * dragging a window edge redraws once rather than on every frame.
+ *
+ * @param {Element}  element
+ * @param {Function} render
+ * @returns {Function} stops observing
+ */
+export function observeResize(element, render) {
+  let timer = null;
+  let first = true;
+
+  const observer = new ResizeObserver(() => {
+    // The observer reports the initial size straight away; the caller has drawn it
+    if (first) {
+      first = false;
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(render, RESIZE_DEBOUNCE_MS);
+  });
+  observer.observe(element);
+
+  return () => {
+    clearTimeout(timer);
+    observer.disconnect();
+  };
+}
+
+/**
+ * animate — a transition of the selection lasting `duration` ms, or, for a
+ * duration of 0 or when the reader prefers reduced motion, the selection
+ * itself; both take the same .attr() calls, so the caller needn't know
+ * which. Transitions are named, so a redraw takes over from one still
+ * running instead of being overwritten when it ends.
+ *
+ * @param {d3.Selection} selection
+ * @param {number}       duration - in ms
+ * @param {string}       name     - name of the transition (default "redraw")
+ * @returns {d3.Selection|d3.Transition}
+ */
+export function animate(selection, duration, name = "redraw") {
+  if (!duration || window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) {
+    return selection.interrupt(name);
+  }
+  return selection.transition(name).duration(duration).ease(d3.easeCubicInOut);
+}
+
+/**
+ * layer — the child element of `parent` with the given class, created on
+ * first use, so each redraw finds and updates the same group.
+ *
+ * @param {d3.Selection} parent
+ * @param {string}       className
+ * @param {string}       tag - element name (default "g")
+ * @returns {d3.Selection}
+ */
+export function layer(parent, className, tag = "g") {
+  return parent.selectChildren(`${tag}.${className}`)
+    .data([null])
+    .join(tag)
+    .attr("class", className);
+}
+
+/**
+ * resetOnChange — empties the SVG when it is about to show a different
+ * kind of drawing (another layout or renderer) than last time, so that
+ * redraws of the same kind can update its elements in place.
+ *
+ * @param {d3.Selection} svg
+ * @param {string}       kind - e.g. "matrix-svg" or "calendar-canvas"
+ */
+export function resetOnChange(svg, kind) {
+  if (svg.attr("data-drawing") === kind) return;
+  svg.selectAll("*").remove();
+  svg.attr("data-drawing", kind);
+}
+
+/**
+ * bandAt — the domain value of a band scale whose band contains `position`,
+ * or undefined in the padding between bands or outside the scale.
+ *
+ * @param {d3.ScaleBand} scale
+ * @param {number}       position - in px
+ * @returns {*}
+ */
+export function bandAt(scale, position) {
+  const domain = scale.domain();
+  const start  = d3.min(scale.range());
+  const index  = Math.floor((position - start - scale.step() * scale.paddingOuter()) / scale.step());
+  const value  = domain[index];
+  if (value === undefined) return undefined;
+
+  const offset = position - scale(value);
+  return offset >= 0 && offset <= scale.bandwidth() ? value : undefined;
+}
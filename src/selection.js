@@ -0,0 +1,121 @@
+/**
+ * selection.js
+ *
+ * Multi-cell selection: which months are selected, how clicks and the
+ * brush change that, and the summary shown for them. A selection is a
+ * list of { year, month }, so it outlives the cells it was made on — a
+ * new statistic, threshold or unit gives new cells for the same months,
+ * and the summary is worked out again from those.
+ *
+ *   click             the cell alone
+ *   ctrl/⌘-click      the cell added or removed
+ *   shift-click       the rectangle from the last clicked cell to this one
+ *   drag              the cells under the rectangle (with shift/ctrl/⌘, added)
+ */
+
+import * as d3 from "d3";
+import { DAILY_VALUES } from "./statistics.js";
+
+/**
+ * cellKey — identifies a cell (or any { year, month }), e.g. "2015-7".
+ *
+ * @param {{ year: number, month: number }} d
+ * @returns {string}
+ */
+export function cellKey(d) {
+  return `${d.year}-${d.month}`;
+}
+
+/**
+ * toggleCell — the selection with a cell added, or removed if it was in it.
+ *
+ * @param {object[]} selection - [{ year, month }]
+ * @param {object}   cell
+ * @returns {object[]}
+ */
+export function toggleCell(selection, cell) {
+  const key = cellKey(cell);
+  return selection.some(d => cellKey(d) === key)
+    ? selection.filter(d => cellKey(d) !== key)
+    : [...selection, { year: cell.year, month: cell.month }];
+}
+
+/**
+ * addCells — the selection with more cells, each listed once.
+ *
+ * @param {object[]} selection - [{ year, month }]
+ * @param {object[]} cells
+ * @returns {object[]}
+ */
+export function addCells(selection, cells) {
+  const keys = new Set(selection.map(cellKey));
+  return [
+    ...selection,
+    ...cells.filter(d => !keys.has(cellKey(d))).map(d => ({ year: d.year, month: d.month })),
+  ];
+}
+
+/**
+ * cellsBetween — the cells in the rectangle of years and months spanned by
+ * two corner cells, whichever way round the matrix is drawn.
+ *
+ * @param {object[]} cells - the shown cells
+ * @param {object}   a     - { year, month } of one corner
+ * @param {object}   b     - { year, month } of the opposite corner
+ * @returns {object[]} [{ year, month }]
+ */
+export function cellsBetween(cells, a, b) {
+  const [year0, year1]   = d3.extent([a.year, b.year]);
+  const [month0, month1] = d3.extent([a.month, b.month]);
+  return cells
+    .filter(d => d.year >= year0 && d.year <= year1 && d.month >= month0 && d.month <= month1)
+    .map(d => ({ year: d.year, month: d.month }));
+}
+
+/**
+ * selectedCells — the cells of a selection among the shown cells; months
+ * outside the year window are left out.
+ *
+ * @param {object[]} cells     - the shown cells
+ * @param {object[]} selection - [{ year, month }]
+ * @returns {object[]}
+ */
+export function selectedCells(cells, selection) {
+  const keys = new Set(selection.map(cellKey));
+  return cells.filter(d => keys.has(cellKey(d)));
+}
+
+/**
+ * summarizeSelection — aggregate figures for the selected cells:
+ *   values   — how many of them have a value of the statistic
+ *   mean / max / min — of the statistic over those, with the cells holding
+ *              the max and min
+ *   days     — daily rows in all of them
+ *   extreme  — the single most extreme day, by the daily value that goes
+ *              with the statistic (the hottest daily max for "Max", the
+ *              coldest daily min for "Min", …): { day, value }, or null
+ *
+ * @param {object[]} cells - the selected cells
+ * @param {object}   stat  - entry of STATISTICS
+ * @returns {object} { values, mean, max, min, maxCell, minCell, days, extreme }
+ */
+export function summarizeSelection(cells, stat) {
+  const withValue = cells.filter(d => d[stat.field] !== null && d[stat.field] !== undefined);
+  const value     = d => d[stat.field];
+
+  const daily = DAILY_VALUES[stat.daily].value;
+  const days  = cells.flatMap(d => d.days);
+  const pick  = stat.extreme === "low" ? d3.least : d3.greatest;
+  const day   = pick(days.filter(d => Number.isFinite(daily(d))), daily);
+
+  return {
+    values:  withValue.length,
+    mean:    withValue.length ? d3.mean(withValue, value) : null,
+    max:     withValue.length ? d3.max(withValue, value) : null,
+    min:     withValue.length ? d3.min(withValue, value) : null,
+    maxCell: d3.greatest(withValue, value) ?? null,
+    minCell: d3.least(withValue, value) ?? null,
+    days:    days.length,
+    extreme: day ? { day, value: daily(day) } : null,
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * stations.js
+ *
+ * The station dimension of the data. A dataset holds one or more weather
+ * stations, coming from either
+ *   - a station column in a single file, chosen in the column mapping, or
+ *   - a manifest: a JSON file listing one file per station,
+ *
+ *       { "stations": [{ "name": "Hong Kong Observatory", "url": "hko.csv" }, …] }
+ *
+ *     whose files are merged into one table with a STATION_COLUMN column
+ *     (station URLs are relative to the manifest)
+ *
+ * A file with neither is a single station named DEFAULT_STATION.
+ */
+
+import * as d3 from "d3";
+
+// Name of the one station of a file without a station column
+export const DEFAULT_STATION = "Hong Kong";
+
+// Column added to the merged table of a manifest, holding each row's station
+export const STATION_COLUMN = "station";
+
+/**
+ * parseManifest — the stations listed by a manifest, or null when the
+ * text is not a manifest (any other CSV or JSON file).
+ *
+ * @param {string} text  - file contents
+ * @param {string} label - file name or URL, used in messages
+ * @returns {{ name: string, url: string }[]|null}
+ */
+export function parseManifest(text, label) {
+  if (!/^\s*\{/.test(text)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null; // parseTable() reports the broken JSON
+  }
+  if (!Object.hasOwn(data, "stations")) return null;
+
+  const stations = data.stations;
+  const valid = Array.isArray(stations) && stations.length &&
+    stations.every(s => typeof s?.name === "string" && s.name.trim() && typeof s.url === "string");
+  if (!valid) throw new Error(`${label}: "stations" must list objects with a name and a url`);
+
+  const names = stations.map(s => s.name.trim());
+  if (new Set(names).size < names.length) throw new Error(`${label}: station names must be unique`);
+
+  return stations.map((s, i) => ({ name: names[i], url: s.url }));
+}
+
+/**
+ * mergeTables — one table holding the records of every station's table,
+ * each with its station's name in STATION_COLUMN.
+ *
+ * The merged table keeps where each file's records start (parts), so
+ * describeRow() can still name the file and line of a record.
+ *
+ * @param {object[]} tables - one table per station, from parseTable()
+ * @param {string[]} names  - the station names, in the same order
+ * @param {string}   label  - the manifest's file name or URL
+ * @returns {object} table, plus parts: [{ label, start, firstRow, rowKind }]
+ */
+export function mergeTables(tables, names, label) {
+  let start = 0;
+  const parts = tables.map(table => {
+    const part = { label: table.label.split("/").pop(), start, firstRow: table.firstRow, rowKind: table.rowKind };
+    start += table.records.length;
+    return part;
+  });
+
+  return {
+    label,
+    format:   "manifest",
+    columns:  [...new Set([...tables.flatMap(t => t.columns), STATION_COLUMN])],
+    records:  tables.flatMap((table, i) => table.records.map(r => ({ ...r, [STATION_COLUMN]: names[i] }))),
+    firstRow: 1,
+    rowKind:  "record",
+    parts,
+  };
+}
+
+/**
+ * splitByStation — the parsed rows and dropped-row issues of each station,
+ * in the order the stations first appear. Without a station column
+ * everything belongs to DEFAULT_STATION. A station whose rows were all
+ * dropped has nothing to show and is left out.
+ *
+ * @param {object[]} rows      - output of parseRows()
+ * @param {object[]} dropped   - dropped-row issues from parseRows()
+ * @param {boolean}  byStation - the mapping has a station column
+ * @returns {{ name: string, rows: object[], dropped: object[] }[]}
+ */
+export function splitByStation(rows, dropped, byStation) {
+  if (!byStation) return [{ name: DEFAULT_STATION, rows, dropped }];
+
+  return Array.from(d3.group(rows, d => d.station), ([name, stationRows]) => ({
+    name,
+    rows:    stationRows,
+    dropped: dropped.filter(d => d.station === name),
+  }));
+}
+
+/**
+ * stationSlug — a station name for file names, e.g. "lau-fau-shan"
+ * ("station" for names without any Latin letters or digits).
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function stationSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "station";
+}
@@ -0,0 +1,301 @@
+/**
+ * statistics.js
+ *
+ * The per-cell statistics the matrix can be colored by. buildCells() stores
+ * every statistic on every cell (computeCellStats), and the mode selector
+ * picks which one drives the cell fill, the tooltip and the legend.
+ *
+ * Each entry of STATISTICS describes one mode:
+ *   field        — property of the cell holding the value
+ *   label        — full name for the selector and legend title
+ *   short        — short name for the tooltip
+ *   unit         — unit suffix ("°C", "days" or "spells")
+ *   unitName     — unit spelled out for the legend end labels
+ *   temperature  — "level" for temperatures, "difference" for spreads of
+ *                  temperatures (no 32° offset in °F); unset for counts
+ *   domain       — default [low, high] of the color scale
+ *   interpolator — d3 color interpolator (0 → low, 1 → high)
+ *   accent       — background of the mode selector while this mode is active
+ *   anomalySpan  — departure from the baseline shown at full color in the anomaly view
+ *   threshold    — for day and spell counts, which entry of the thresholds applies
+ *   event        — for event statistics, the key of EVENT_KINDS whose spells are
+ *                  highlighted on the mini charts
+ *   spell        — counts spells (runs of at least thresholds.minRun event days)
+ *   daily        — key of DAILY_VALUES the day-level layouts color by
+ *   extreme      — "low" when the statistic's notable days are its lowest daily
+ *                  values (cold days); otherwise the highest are (see selection.js)
+ *
+ * These are in °C. The app uses localizeStatistics(), which adds the
+ * display unit and locale (temperatureUnit, locale) and converts units,
+ * domains and anomaly spans to match.
+ */
+
+import * as d3 from "d3";
+import { EVENT_KINDS, isEventDay } from "./events.js";
+import { TEMPERATURE_UNITS, DEFAULT_UNIT, toUnit, toUnitDifference, formatThreshold } from "./units.js";
+import { DEFAULT_LOCALE, formatNumber } from "./locale.js";
+
+// Cold → blue, hot → red: the inverted RdYlBu palette used for temperatures
+const TEMPERATURE_INTERPOLATOR = t => d3.interpolateRdYlBu(1 - t);
+
+// Default thresholds (°C) for the day-count statistics — veryHot, hotNight
+// and cold follow the Hong Kong Observatory — and the minimum spell length (days)
+export const DEFAULT_THRESHOLDS = { hot: 30, cold: 12, veryHot: 33, hotNight: 28, minRun: 3 };
+
+// The daily values the calendar and day-of-year layouts can color days by,
+// each with the color scale defaults of its monthly counterpart
+export const DAILY_VALUES = {
+  max: {
+    label: "Daily Max Temperature", value: d => d.max,
+    domain: [0, 40], interpolator: TEMPERATURE_INTERPOLATOR, temperature: "level",
+  },
+  min: {
+    label: "Daily Min Temperature", value: d => d.min,
+    domain: [0, 40], interpolator: TEMPERATURE_INTERPOLATOR, temperature: "level",
+  },
+  mean: {
+    label: "Daily Mean Temperature", value: d => (d.max + d.min) / 2,
+    domain: [0, 40], interpolator: TEMPERATURE_INTERPOLATOR, temperature: "level",
+  },
+  range: {
+    label: "Daily Diurnal Range", value: d => d.max - d.min,
+    domain: [0, 12], interpolator: d3.interpolatePuBuGn, temperature: "difference",
+  },
+};
+
+export const STATISTICS = {
+  max: {
+    field: "absMax", label: "Max Temperature", short: "max",
+    unit: "°C", unitName: "Celsius", domain: [0, 40], temperature: "level",
+    interpolator: TEMPERATURE_INTERPOLATOR, accent: "#c0392b", anomalySpan: 3,
+    daily: "max",
+  },
+  min: {
+    field: "absMin", label: "Min Temperature", short: "min",
+    unit: "°C", unitName: "Celsius", domain: [0, 40], temperature: "level",
+    interpolator: TEMPERATURE_INTERPOLATOR, accent: "#2980b9", anomalySpan: 3,
+    daily: "min", extreme: "low",
+  },
+  meanMax: {
+    field: "meanMax", label: "Mean Daily Max", short: "mean max",
+    unit: "°C", unitName: "Celsius", domain: [0, 40], temperature: "level",
+    interpolator: TEMPERATURE_INTERPOLATOR, accent: "#d35400", anomalySpan: 3,
+    daily: "max",
+  },
+  meanMin: {
+    field: "meanMin", label: "Mean Daily Min", short: "mean min",
+    unit: "°C", unitName: "Celsius", domain: [0, 40], temperature: "level",
+    interpolator: TEMPERATURE_INTERPOLATOR, accent: "#16a085", anomalySpan: 3,
+    daily: "min", extreme: "low",
+  },
+  mean: {
+    field: "mean", label: "Mean Temperature", short: "mean",
+    unit: "°C", unitName: "Celsius", domain: [0, 40], temperature: "level",
+    interpolator: TEMPERATURE_INTERPOLATOR, accent: "#8e44ad", anomalySpan: 3,
+    daily: "mean",
+  },
+  median: {
+    field: "median", label: "Median Temperature", short: "median",
+    unit: "°C", unitName: "Celsius", domain: [0, 40], temperature: "level",
+    interpolator: TEMPERATURE_INTERPOLATOR, accent: "#6c3483", anomalySpan: 3,
+    daily: "mean",
+  },
+  range: {
+    field: "range", label: "Mean Diurnal Range", short: "diurnal range",
+    unit: "°C", unitName: "Celsius", domain: [0, 12], temperature: "difference",
+    interpolator: d3.interpolatePuBuGn, accent: "#117a65", anomalySpan: 2,
+    daily: "range",
+  },
+  stdDev: {
+    field: "stdDev", label: "Std. Deviation", short: "std. dev.",
+    unit: "°C", unitName: "Celsius", domain: [0, 5], temperature: "difference",
+    interpolator: d3.interpolatePurples, accent: "#5b2c6f", anomalySpan: 1.5,
+    daily: "mean",
+  },
+  daysAbove: {
+    field: "daysAbove", label: "Days with Max ≥", short: "days max ≥",
+    unit: "days", unitName: "days", domain: [0, 31],
+    interpolator: d3.interpolateOrRd, accent: "#a04000", anomalySpan: 10, threshold: "hot",
+    daily: "max",
+  },
+  daysBelow: {
+    field: "daysBelow", label: "Cold Days, Min ≤", short: "cold days, min ≤",
+    unit: "days", unitName: "days", domain: [0, 31],
+    interpolator: d3.interpolateBlues, accent: "#1f618d", anomalySpan: 10, threshold: "cold",
+    event: "cold", daily: "min", extreme: "low",
+  },
+  veryHotDays: {
+    field: "veryHotDays", label: "Very Hot Days, Max ≥", short: "very hot days, max ≥",
+    unit: "days", unitName: "days", domain: [0, 31],
+    interpolator: d3.interpolateReds, accent: "#922b21", anomalySpan: 10, threshold: "veryHot",
+    event: "veryHot", daily: "max",
+  },
+  hotNights: {
+    field: "hotNights", label: "Hot Nights, Min ≥", short: "hot nights, min ≥",
+    unit: "days", unitName: "days", domain: [0, 31],
+    interpolator: d3.interpolateRdPu, accent: "#76448a", anomalySpan: 10, threshold: "hotNight",
+    event: "hotNight", daily: "min",
+  },
+  hotSpells: {
+    field: "veryHotSpells", label: "Hot Spells, Max ≥", short: "hot spells, max ≥",
+    unit: "spells", unitName: "spells", domain: [0, 4],
+    interpolator: d3.interpolateYlOrRd, accent: "#b03a2e", anomalySpan: 2, threshold: "veryHot",
+    event: "veryHot", spell: true, daily: "max",
+  },
+  hotNightSpells: {
+    field: "hotNightSpells", label: "Hot-Night Spells, Min ≥", short: "hot-night spells, min ≥",
+    unit: "spells", unitName: "spells", domain: [0, 4],
+    interpolator: d3.interpolatePuRd, accent: "#5b2c6f", anomalySpan: 2, threshold: "hotNight",
+    event: "hotNight", spell: true, daily: "min",
+  },
+  coldSpells: {
+    field: "coldSpells", label: "Cold Spells, Min ≤", short: "cold spells, min ≤",
+    unit: "spells", unitName: "spells", domain: [0, 4],
+    interpolator: d3.interpolatePuBu, accent: "#1a5276", anomalySpan: 2, threshold: "cold",
+    event: "cold", spell: true, daily: "min", extreme: "low",
+  },
+};
+
+/**
+ * thresholdSuffix — the threshold (and, for spells, minimum length) that
+ * completes a day- or spell-count name, e.g. " 33 °C, 3+ days".
+ *
+ * @param {object} stat       - entry of STATISTICS
+ * @param {object} thresholds - threshold values in °C, plus minRun (days)
+ * @returns {string}
+ */
+function thresholdSuffix(stat, thresholds) {
+  if (!stat.threshold) return "";
+  const suffix = ` ${formatThreshold(thresholds[stat.threshold], stat.temperatureUnit, stat.locale)}`;
+  return stat.spell ? `${suffix}, ${thresholds.minRun}+ days` : suffix;
+}
+
+/**
+ * statisticTitle — the full name of a statistic, with its threshold filled
+ * in for the day-count modes (e.g. "Days with Max ≥ 30 °C").
+ *
+ * @param {object} stat       - entry of STATISTICS
+ * @param {object} thresholds - threshold values in °C, plus minRun (days)
+ * @returns {string}
+ */
+export function statisticTitle(stat, thresholds) {
+  return stat.label + thresholdSuffix(stat, thresholds);
+}
+
+/**
+ * statisticShort — the short tooltip name of a statistic, with its threshold
+ * filled in for the day-count modes.
+ *
+ * @param {object} stat       - entry of STATISTICS
+ * @param {object} thresholds - threshold values in °C, plus minRun (days)
+ * @returns {string}
+ */
+export function statisticShort(stat, thresholds) {
+  return stat.short + thresholdSuffix(stat, thresholds);
+}
+
+/**
+ * formatStatistic — formats a cell value with its unit, or "N/A" when the
+ * month has no data.
+ *
+ * @param {object}      stat  - entry of STATISTICS
+ * @param {number|null} value - the cell's value for this statistic
+ * @returns {string}
+ */
+export function formatStatistic(stat, value) {
+  if (value === null || value === undefined) return "N/A";
+  return `${formatNumber(value, stat.temperature ? 1 : 0, stat.locale)} ${stat.unit}`;
+}
+
+/**
+ * convertRange — a [low, high] domain in °C converted to a unit.
+ *
+ * @param {number[]}    range
+ * @param {string|null} temperature - the entry's temperature kind, if any
+ * @param {string}      unit        - key of TEMPERATURE_UNITS
+ * @returns {number[]}
+ */
+function convertRange(range, temperature, unit) {
+  if (temperature === "level") return range.map(v => toUnit(v, unit));
+  if (temperature === "difference") return range.map(v => toUnitDifference(v, unit));
+  return range;
+}
+
+/**
+ * localizeStatistics — STATISTICS for a display unit and locale: units,
+ * color domains and anomaly spans of the temperature statistics converted,
+ * and every entry carrying the unit and locale its values are formatted with.
+ *
+ * @param {string} unit   - key of TEMPERATURE_UNITS
+ * @param {string} locale - key of LOCALES (locale.js)
+ * @returns {object} same keys as STATISTICS
+ */
+export function localizeStatistics(unit = DEFAULT_UNIT, locale = DEFAULT_LOCALE) {
+  return Object.fromEntries(Object.entries(STATISTICS).map(([key, stat]) => [key, {
+    ...stat,
+    ...(stat.temperature && {
+      unit:        TEMPERATURE_UNITS[unit].symbol,
+      unitName:    TEMPERATURE_UNITS[unit].name,
+      domain:      convertRange(stat.domain, stat.temperature, unit),
+      anomalySpan: toUnitDifference(stat.anomalySpan, unit),
+    }),
+    temperatureUnit: unit,
+    locale,
+  }]));
+}
+
+/**
+ * localizeDailyValues — DAILY_VALUES with their color domains in a unit.
+ *
+ * @param {string} unit - key of TEMPERATURE_UNITS
+ * @returns {object} same keys as DAILY_VALUES
+ */
+export function localizeDailyValues(unit = DEFAULT_UNIT) {
+  return Object.fromEntries(Object.entries(DAILY_VALUES).map(([key, daily]) => [key, {
+    ...daily,
+    domain: convertRange(daily.domain, daily.temperature, unit),
+  }]));
+}
+
+/**
+ * computeCellStats — every statistic for one month of daily records.
+ *
+ * The daily mean temperature is taken as (max + min) / 2, the usual
+ * approximation when only daily extremes are recorded. Months with no
+ * days get null for every temperature statistic.
+ *
+ * @param {object[]} days       - the month's daily records
+ * @param {object}   thresholds - threshold values in °C for the day counts
+ * @returns {object} { absMax, absMin, meanMax, meanMin, mean, median, range, stdDev,
+ *                     daysAbove, daysBelow, veryHotDays, hotNights }
+ */
+export function computeCellStats(days, thresholds) {
+  if (!days.length) {
+    return {
+      absMax: null, absMin: null, meanMax: null, meanMin: null, mean: null,
+      median: null, range: null, stdDev: null, daysAbove: null, daysBelow: null,
+      veryHotDays: null, hotNights: null,
+    };
+  }
+
+  const dailyMean = d => (d.max + d.min) / 2;
+
+  return {
+    // absMax: the peak daily maximum in this month → drives "Max" cell color
+    absMax:    d3.max(days, d => d.max),
+    // absMin: the lowest daily minimum in this month → drives "Min" cell color
+    absMin:    d3.min(days, d => d.min),
+    meanMax:   d3.mean(days, d => d.max),
+    meanMin:   d3.mean(days, d => d.min),
+    mean:      d3.mean(days, dailyMean),
+    median:    d3.median(days, dailyMean),
+    range:     d3.mean(days, d => d.max - d.min),
+    // d3.deviation needs two values; a single-day month has no spread
+    stdDev:    d3.deviation(days, dailyMean) ?? 0,
+    daysAbove: days.filter(d => d.max >= thresholds.hot).length,
+    daysBelow: days.filter(d => isEventDay(d, EVENT_KINDS.cold, thresholds)).length,
+    // Observatory event days (see events.js); spells are added per cell by addEventRuns()
+    veryHotDays: days.filter(d => isEventDay(d, EVENT_KINDS.veryHot, thresholds)).length,
+    hotNights:   days.filter(d => isEventDay(d, EVENT_KINDS.hotNight, thresholds)).length,
+  };
+}
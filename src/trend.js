@@ -0,0 +1,263 @@
+/**
+ * trend.js
+ *
+ * Linear trends down the rows of the matrix: for each calendar month, the
+ * least-squares slope of a statistic across the shown years, expressed
+ * per decade, with a 95% confidence interval and the two-sided p-value
+ * of the t-test on the slope (H0: no trend).
+ */
+
+import * as d3 from "d3";
+import { formatSigned } from "./anomaly.js";
+import { formatNumber } from "./locale.js";
+
+// Fewer points than this give no trend (a line through two points has no error estimate)
+const MIN_TREND_POINTS = 3;
+
+// Significance levels marked with one and two stars
+export const SIGNIFICANCE_LEVELS = [0.05, 0.01];
+
+/**
+ * logGamma — ln Γ(x) by the Lanczos approximation (x > 0).
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.001208650973866179, -0.5395239384953e-5,
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((c, i) => { series += c / (x + i + 1); });
+  const t = x + 5.5;
+  return (x + 0.5) * Math.log(t) - t + Math.log(2.5066282746310002 * series / x);
+}
+
+/**
+ * betaContinuedFraction — the continued fraction in the incomplete beta
+ * function (Numerical Recipes, betacf).
+ *
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+
+    // Even step
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    // Odd step
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+/**
+ * regularizedBeta — the regularized incomplete beta function I_x(a, b).
+ *
+ * @param {number} x - in [0, 1]
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * studentTwoSidedP — P(|T| ≥ t) for Student's t with `df` degrees of freedom.
+ *
+ * @param {number} t
+ * @param {number} df
+ * @returns {number}
+ */
+function studentTwoSidedP(t, df) {
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * studentCritical — the t value with P(|T| ≥ t) = alpha, by bisection.
+ *
+ * @param {number} alpha - e.g. 0.05 for a 95% interval
+ * @param {number} df
+ * @returns {number}
+ */
+function studentCritical(alpha, df) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (studentTwoSidedP(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * linearTrend — ordinary least-squares line through points, with the
+ * slope's standard error, 95% confidence interval and p-value.
+ *
+ * @param {object[]} points - [{ x, y }]
+ * @returns {object|null} { slope, intercept, ci: [low, high], pValue, n,
+ *                        meanX, sxx, sigma } — sigma being the residual
+ *                        standard deviation — or null with fewer than
+ *                        MIN_TREND_POINTS points or no spread in x
+ */
+export function linearTrend(points) {
+  const n = points.length;
+  if (n < MIN_TREND_POINTS) return null;
+
+  const meanX = d3.mean(points, p => p.x);
+  const meanY = d3.mean(points, p => p.y);
+  const sxx   = d3.sum(points, p => (p.x - meanX) ** 2);
+  const sxy   = d3.sum(points, p => (p.x - meanX) * (p.y - meanY));
+  if (sxx === 0) return null;
+
+  const slope     = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  const df    = n - 2;
+  const sse   = d3.sum(points, p => (p.y - intercept - slope * p.x) ** 2);
+  const sigma = Math.sqrt(sse / df);
+  const se    = sigma / Math.sqrt(sxx);
+
+  // A perfect fit has no error: any non-zero slope is certain
+  const pValue = se === 0 ? (slope === 0 ? 1 : 0) : studentTwoSidedP(Math.abs(slope / se), df);
+  const margin = studentCritical(0.05, df) * se;
+
+  return { slope, intercept, ci: [slope - margin, slope + margin], pValue, n, meanX, sxx, sigma };
+}
+
+/**
+ * predictTrend — the value a trend line gives at x, with the 95% prediction
+ * interval for a single new point there: wider than the line's own
+ * uncertainty by the scatter of points about it, and widening with the
+ * distance from the fitted points' mean x.
+ *
+ * @param {object} fit - from linearTrend()
+ * @param {number} x
+ * @returns {{ value: number, interval: number[] }} interval as [low, high]
+ */
+export function predictTrend(fit, x) {
+  const value  = fit.intercept + fit.slope * x;
+  const spread = fit.sigma * Math.sqrt(1 + 1 / fit.n + (x - fit.meanX) ** 2 / fit.sxx);
+  const margin = studentCritical(0.05, fit.n - 2) * spread;
+  return { value, interval: [value - margin, value + margin] };
+}
+
+/**
+ * buildMonthTrends — the trend of one statistic for each calendar month
+ * (each row of the matrix) across the given cells' years.
+ *
+ * Slopes and intervals are per decade. Months with too few valued
+ * cells are left out of the map.
+ *
+ * @param {object[]} cells - cells from buildCells()
+ * @param {string}   field - statistic field to fit
+ * @returns {Map<number, object>} month → { slope, ci, pValue, n }
+ */
+export function buildMonthTrends(cells, field) {
+  const trends = new Map();
+
+  d3.group(cells, d => d.month).forEach((monthCells, month) => {
+    const points = monthCells
+      .filter(d => d[field] !== null && d[field] !== undefined)
+      .map(d => ({ x: d.year, y: d[field] }));
+
+    const fit = linearTrend(points);
+    if (!fit) return;
+
+    trends.set(month, {
+      slope:  fit.slope * 10,
+      ci:     fit.ci.map(v => v * 10),
+      pValue: fit.pValue,
+      n:      fit.n,
+    });
+  });
+
+  return trends;
+}
+
+/**
+ * significanceStars — "**" below the strictest level, "*" below the
+ * other, "" when not significant.
+ *
+ * @param {number} pValue
+ * @returns {string}
+ */
+export function significanceStars(pValue) {
+  return "*".repeat(SIGNIFICANCE_LEVELS.filter(level => pValue < level).length);
+}
+
+/**
+ * formatPValue — p-value for display, e.g. "p = 0.03" or "p < 0.001".
+ *
+ * @param {number} pValue
+ * @param {string} locale - key of LOCALES (locale.js)
+ * @returns {string}
+ */
+export function formatPValue(pValue, locale) {
+  return pValue < 0.001 ? `p < ${formatNumber(0.001, 3, locale)}` : `p = ${formatNumber(pValue, 3, locale)}`;
+}
+
+/**
+ * formatTrend — full description of a trend, e.g.
+ * "+0.32 °C/decade (95% CI -0.10 to +0.74, p = 0.120, 10 years)".
+ *
+ * @param {object} trend  - entry of buildMonthTrends()
+ * @param {string} unit   - unit of the statistic ("°C", "°F" or "days")
+ * @param {string} locale - key of LOCALES (locale.js)
+ * @returns {string}
+ */
+export function formatTrend(trend, unit, locale) {
+  const digits = trendDigits(unit);
+  const [low, high] = trend.ci;
+  return `${formatSigned(trend.slope, digits, locale)} ${unit}/decade ` +
+    `(95% CI ${formatSigned(low, digits, locale)} to ${formatSigned(high, digits, locale)}, ` +
+    `${formatPValue(trend.pValue, locale)}, ${trend.n} years)`;
+}
+
+/**
+ * trendDigits — decimals shown for slopes in a unit.
+ *
+ * @param {string} unit
+ * @returns {number}
+ */
+export function trendDigits(unit) {
+  return unit === "days" ? 1 : 2;
+}
@@ -0,0 +1,99 @@
+/**
+ * units.js
+ *
+ * Temperature units. Data is parsed, aggregated and cached in °C; a view
+ * in °F converts each station's rows and cells once (convertStation), so
+ * that colors, legend, tooltips, trends, comparisons and exports all work
+ * on °F values without knowing about units. localizeStatistics() in
+ * statistics.js converts the statistics' color domains to match.
+ *
+ * Thresholds stay in °C, since the data worker counts days against them,
+ * and are converted only where they are shown or typed in.
+ */
+
+import { formatRounded } from "./locale.js";
+
+export const TEMPERATURE_UNITS = {
+  C: { symbol: "°C", name: "Celsius"    },
+  F: { symbol: "°F", name: "Fahrenheit" },
+};
+
+export const DEFAULT_UNIT = "C";
+
+// Cell fields holding temperatures (see computeCellStats() in statistics.js),
+// and those holding differences between two temperatures, which convert
+// without the 32° offset
+const LEVEL_FIELDS      = ["absMax", "absMin", "meanMax", "meanMin", "mean", "median"];
+const DIFFERENCE_FIELDS = ["range", "stdDev"];
+
+/**
+ * toUnit — a temperature in °C converted to a unit.
+ *
+ * @param {number|null} celsius
+ * @param {string}      unit - key of TEMPERATURE_UNITS
+ * @returns {number|null}
+ */
+export function toUnit(celsius, unit = DEFAULT_UNIT) {
+  if (celsius === null || unit === "C") return celsius;
+  return celsius * 9 / 5 + 32;
+}
+
+/**
+ * toUnitDifference — a temperature difference (a range, an anomaly) in °C
+ * converted to a unit.
+ *
+ * @param {number|null} celsius
+ * @param {string}      unit - key of TEMPERATURE_UNITS
+ * @returns {number|null}
+ */
+export function toUnitDifference(celsius, unit = DEFAULT_UNIT) {
+  if (celsius === null || unit === "C") return celsius;
+  return celsius * 9 / 5;
+}
+
+/**
+ * fromUnit — a temperature typed in a unit, back in °C.
+ *
+ * @param {number} value
+ * @param {string} unit - key of TEMPERATURE_UNITS
+ * @returns {number}
+ */
+export function fromUnit(value, unit = DEFAULT_UNIT) {
+  return unit === "C" ? value : (value - 32) * 5 / 9;
+}
+
+/**
+ * formatThreshold — a threshold in °C as shown in a unit, to at most one
+ * decimal, e.g. "33 °C" or "91.4 °F".
+ *
+ * @param {number} celsius
+ * @param {string} unit   - key of TEMPERATURE_UNITS
+ * @param {string} locale - key of LOCALES (locale.js)
+ * @returns {string}
+ */
+export function formatThreshold(celsius, unit = DEFAULT_UNIT, locale) {
+  return `${formatRounded(toUnit(celsius, unit), 1, locale)} ${TEMPERATURE_UNITS[unit].symbol}`;
+}
+
+/**
+ * convertStation — a station's rows and cells with every temperature in a
+ * unit. Each cell's days are the converted rows themselves, as in the
+ * data from the worker. Spells keep their °C days; only their dates are used.
+ *
+ * @param {object} station - { name, rows, quality, cells } from the data worker
+ * @param {string} unit    - key of TEMPERATURE_UNITS
+ * @returns {object} the station, converted (the same object for °C)
+ */
+export function convertStation(station, unit) {
+  if (unit === "C") return station;
+
+  const converted = new Map(station.rows.map(d => [d, { ...d, max: toUnit(d.max, unit), min: toUnit(d.min, unit) }]));
+  const cells = station.cells.map(d => {
+    const cell = { ...d, days: d.days.map(day => converted.get(day)) };
+    LEVEL_FIELDS.forEach(field => { cell[field] = toUnit(d[field], unit); });
+    DIFFERENCE_FIELDS.forEach(field => { cell[field] = toUnitDifference(d[field], unit); });
+    return cell;
+  });
+
+  return { ...station, rows: [...converted.values()], cells };
+}
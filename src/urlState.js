@@ -0,0 +1,259 @@
+/**
+ * urlState.js
+ *
+ * Keeps the view state in the page URL so a view can be bookmarked or sent
+ * to a colleague, and so the browser's back/forward buttons step through
+ * views. Only settings that differ from the defaults are written, e.g.
+ *
+ *   ?mode=min&years=2012-2017&cell=2015-07&palette=viridis
+ *
+ * Parameters:
+ *   mode     — key of STATISTICS
+ *   years    — year window, "2008-2017"
+ *   anomaly  — baseline period of the anomaly view, "1997-2006" (absent = off)
+ *   station  — shown station, by name (absent = the dataset's first station)
+ *   compare  — compare mode's ranges A and B, "1998-2007,2008-2017" (absent = off)
+ *   versus   — compare mode against another station: station B's name
+ *              (station A is the shown station; replaces compare)
+ *   layout   — compare layout, "side" (absent = difference)
+ *   trend    — "0" hides the trend column
+ *   margins  — "1" shows the year/month strips and the climatology panel
+ *   project  — years projected past the window, "1" or "2" (absent = none)
+ *   view     — key of LAYOUTS, e.g. "calendar" (absent = matrix)
+ *   hot/cold/veryhot/hotnight — day-count thresholds in °C (whatever the unit)
+ *   unit     — key of TEMPERATURE_UNITS, "F" (absent = °C)
+ *   locale   — key of LOCALES, e.g. "zh-HK" (absent = DEFAULT_LOCALE)
+ *   minrun   — minimum spell length in days
+ *   range    — color range: "auto" or "manual:0,40" (absent = preset)
+ *   scale    — "quantize:8" or "threshold:10,20,30" (absent = continuous)
+ *   palette  — key of PALETTES; reverse=1 flips it
+ *   cell     — selected cells, "2015-07" or "2018-07,2018-08,2019-07"
+ *   detail   — month shown in the detail view, "2015-07"
+ *   data     — dataset URL (read by dataSource.js, always kept as is)
+ *
+ * Anything missing, malformed or outside the dataset falls back to its
+ * default instead of breaking the page.
+ */
+
+import { STATISTICS, DEFAULT_THRESHOLDS } from "./statistics.js";
+import { PALETTES, DEFAULT_COLOR_SETTINGS, parseBreaks } from "./colorScale.js";
+import { COMPARE_LAYOUTS } from "./compare.js";
+import { LAYOUTS } from "./layouts.js";
+import { TEMPERATURE_UNITS, DEFAULT_UNIT } from "./units.js";
+import { LOCALES, DEFAULT_LOCALE } from "./locale.js";
+import { addCells } from "./selection.js";
+import { PROJECTION_YEARS } from "./projection.js";
+
+// URL parameter of each entry of the thresholds
+const THRESHOLD_PARAMS = {
+  hot: "hot", cold: "cold", veryHot: "veryhot", hotNight: "hotnight", minRun: "minrun",
+};
+
+// Bounds for the number of equal-width color bins
+const MIN_BINS = 2;
+const MAX_BINS = 20;
+
+/**
+ * parseYearRange — reads "2008-2017" and clamps it to the dataset's years.
+ *
+ * @param {string|null} text
+ * @param {number[]}    extent - [firstYear, lastYear] of the dataset
+ * @returns {number[]|null} [startYear, endYear], or null when unusable
+ */
+function parseYearRange(text, [firstYear, lastYear]) {
+  const match = /^(\d{4})-(\d{4})$/.exec(text ?? "");
+  if (!match) return null;
+
+  const start = Math.max(firstYear, +match[1]);
+  const end   = Math.min(lastYear, +match[2]);
+  return start <= end ? [start, end] : null;
+}
+
+/**
+ * parseCompareRanges — reads "1998-2007,2008-2017" into ranges A and B.
+ *
+ * @param {string|null} text
+ * @param {number[]}    extent - [firstYear, lastYear] of the dataset
+ * @returns {{ a: number[], b: number[] }|null}
+ */
+function parseCompareRanges(text, extent) {
+  const [a, b, ...rest] = (text ?? "").split(",").map(part => parseYearRange(part, extent));
+  return a && b && !rest.length ? { a, b } : null;
+}
+
+/**
+ * parseYearMonth — reads "2015-07" and checks it lies within the dataset's years.
+ *
+ * @param {string|null} text
+ * @param {number[]}    extent - [firstYear, lastYear] of the dataset
+ * @returns {{ year, month }|null}
+ */
+function parseYearMonth(text, [firstYear, lastYear]) {
+  const match = /^(\d{4})-(\d{2})$/.exec(text ?? "");
+  if (!match) return null;
+
+  const year  = +match[1];
+  const month = +match[2];
+  if (year < firstYear || year > lastYear || month < 1 || month > 12) return null;
+  return { year, month };
+}
+
+/**
+ * parseNumber — a finite number, or the fallback.
+ *
+ * @param {string|null} text
+ * @param {number}      fallback
+ * @returns {number}
+ */
+function parseNumber(text, fallback) {
+  const value = text === null || text.trim() === "" ? NaN : +text;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * parseColorSettings — the color settings encoded by range/scale/palette/reverse.
+ *
+ * @param {URLSearchParams} params
+ * @returns {object} color settings (see colorScale.js)
+ */
+function parseColorSettings(params) {
+  const settings = { ...DEFAULT_COLOR_SETTINGS };
+
+  const range = params.get("range") ?? "";
+  if (range === "auto") {
+    settings.domainMode = "auto";
+  } else if (range.startsWith("manual:")) {
+    const [low, high] = range.slice("manual:".length).split(",").map(Number);
+    if (Number.isFinite(low) && Number.isFinite(high) && low < high) {
+      Object.assign(settings, { domainMode: "manual", manualMin: low, manualMax: high });
+    }
+  }
+
+  const scale = params.get("scale") ?? "";
+  if (scale.startsWith("quantize:")) {
+    const bins = Math.round(+scale.slice("quantize:".length));
+    if (bins >= MIN_BINS && bins <= MAX_BINS) Object.assign(settings, { scaleType: "quantize", bins });
+  } else if (scale.startsWith("threshold:")) {
+    const breaks = parseBreaks(scale.slice("threshold:".length));
+    if (breaks.length) Object.assign(settings, { scaleType: "threshold", breaks: breaks.join(", ") });
+  }
+
+  const palette = params.get("palette");
+  if (Object.hasOwn(PALETTES, palette ?? "")) settings.palette = palette;
+  settings.reverse = params.get("reverse") === "1";
+
+  return settings;
+}
+
+/**
+ * readUrlState — the full view state described by a query string, with
+ * defaults filled in for anything missing or invalid.
+ *
+ * @param {string}   search   - window.location.search
+ * @param {object}   defaults - { yearRange, baselineRange, compareRanges, station } for this dataset
+ * @param {number[]} extent   - [firstYear, lastYear] of the dataset
+ * @param {string[]} stations - names of the dataset's stations
+ * @returns {object} { mode, yearRange, anomaly, baselineRange, station, compare, compareBy,
+ *                     compareRanges, compareStation, compareLayout, showTrend, showMarginals,
+ *                     projectYears, layout, thresholds, unit, locale, colorSettings, selection, detail }
+ */
+export function readUrlState(search, defaults, extent, stations) {
+  const params   = new URLSearchParams(search);
+  const mode     = params.get("mode");
+  const baseline = parseYearRange(params.get("anomaly"), extent);
+  const compare  = parseCompareRanges(params.get("compare"), extent);
+  const station  = stations.includes(params.get("station")) ? params.get("station") : defaults.station;
+  const versus   = stations.includes(params.get("versus")) && params.get("versus") !== station
+    ? params.get("versus")
+    : null;
+  const layout   = params.get("layout");
+  const view     = params.get("view");
+  const unit     = params.get("unit");
+  const locale   = params.get("locale");
+
+  const thresholds = Object.fromEntries(Object.entries(THRESHOLD_PARAMS).map(([key, name]) =>
+    [key, parseNumber(params.get(name), DEFAULT_THRESHOLDS[key])]
+  ));
+  thresholds.minRun = Math.max(1, Math.round(thresholds.minRun)); // whole days
+
+  return {
+    mode:           Object.hasOwn(STATISTICS, mode ?? "") ? mode : "max",
+    yearRange:      parseYearRange(params.get("years"), extent) ?? defaults.yearRange,
+    anomaly:        baseline !== null,
+    baselineRange:  baseline ?? defaults.baselineRange,
+    station,
+    compare:        compare !== null || versus !== null,
+    compareBy:      versus !== null ? "stations" : "years",
+    compareRanges:  compare ?? defaults.compareRanges,
+    compareStation: versus,
+    compareLayout:  Object.hasOwn(COMPARE_LAYOUTS, layout ?? "") ? layout : "difference",
+    showTrend:      params.get("trend") !== "0",
+    showMarginals:  params.get("margins") === "1",
+    projectYears:   PROJECTION_YEARS.includes(+params.get("project")) ? +params.get("project") : 0,
+    layout:         Object.hasOwn(LAYOUTS, view ?? "") ? view : "matrix",
+    thresholds,
+    unit:           Object.hasOwn(TEMPERATURE_UNITS, unit ?? "") ? unit : DEFAULT_UNIT,
+    locale:         Object.hasOwn(LOCALES, locale ?? "") ? locale : DEFAULT_LOCALE,
+    colorSettings:  parseColorSettings(params),
+    selection:      addCells([], (params.get("cell") ?? "").split(",")
+      .map(text => parseYearMonth(text, extent))
+      .filter(Boolean)),
+    detail:         parseYearMonth(params.get("detail"), extent),
+  };
+}
+
+/**
+ * writeUrlState — the query string for a view state, leaving out defaults.
+ *
+ * @param {object} state    - same shape as readUrlState() returns
+ * @param {object} defaults - { yearRange, baselineRange, compareRanges, station } for this dataset
+ * @param {string} search   - current window.location.search (for ?data=)
+ * @returns {string} "?…" or "" when everything is at its default
+ */
+export function writeUrlState(state, defaults, search) {
+  const params    = new URLSearchParams();
+  const range     = ([start, end]) => `${start}-${end}`;
+  const yearMonth = ({ year, month }) => `${year}-${String(month).padStart(2, "0")}`;
+
+  // The dataset URL is not view state; carry it over untouched
+  const data = new URLSearchParams(search).get("data");
+  if (data) params.set("data", data);
+
+  if (state.mode !== "max") params.set("mode", state.mode);
+  if (range(state.yearRange) !== range(defaults.yearRange)) params.set("years", range(state.yearRange));
+  if (state.anomaly) params.set("anomaly", range(state.baselineRange));
+  if (state.station !== defaults.station) params.set("station", state.station);
+  if (state.compare) {
+    if (state.compareBy === "stations") {
+      params.set("versus", state.compareStation);
+    } else {
+      params.set("compare", `${range(state.compareRanges.a)},${range(state.compareRanges.b)}`);
+    }
+    if (state.compareLayout !== "difference") params.set("layout", state.compareLayout);
+  }
+  if (!state.showTrend) params.set("trend", "0");
+  if (state.showMarginals) params.set("margins", "1");
+  if (state.projectYears) params.set("project", state.projectYears);
+  if (state.layout !== "matrix") params.set("view", state.layout);
+  Object.entries(THRESHOLD_PARAMS).forEach(([key, name]) => {
+    if (state.thresholds[key] !== DEFAULT_THRESHOLDS[key]) params.set(name, state.thresholds[key]);
+  });
+  if (state.unit !== DEFAULT_UNIT) params.set("unit", state.unit);
+  if (state.locale !== DEFAULT_LOCALE) params.set("locale", state.locale);
+
+  const colors = state.colorSettings;
+  if (colors.domainMode === "auto") params.set("range", "auto");
+  if (colors.domainMode === "manual") params.set("range", `manual:${colors.manualMin},${colors.manualMax}`);
+  if (colors.scaleType === "quantize") params.set("scale", `quantize:${colors.bins}`);
+  if (colors.scaleType === "threshold" && parseBreaks(colors.breaks).length) {
+    params.set("scale", `threshold:${parseBreaks(colors.breaks).join(",")}`);
+  }
+  if (colors.palette !== DEFAULT_COLOR_SETTINGS.palette) params.set("palette", colors.palette);
+  if (colors.reverse) params.set("reverse", "1");
+
+  if (state.selection.length) params.set("cell", state.selection.map(yearMonth).join(","));
+  if (state.detail)           params.set("detail", yearMonth(state.detail));
+
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}